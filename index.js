@@ -5,8 +5,21 @@ parameters.registerParams();
 
 module.exports = {
     EventGameSystem: require('./lib/game_system/event_game_system.js'),
+    DescriptionWatcher: require('./lib/description_watcher'),
+    Diagram: require('./lib/diagram'),
     EventProvider: require('./lib/event_provider'),
+    GameLoop: require('./lib/game_loop'),
+    Profiler: require('./lib/profiler'),
+    Recorder: require('./lib/recorder'),
+    Replayer: require('./lib/replayer'),
+    Replicator: require('./lib/replication').Replicator,
+    Replica: require('./lib/replication').Replica,
+    MemoryTransport: require('./lib/replication').MemoryTransport,
+    WebSocketTransport: require('./lib/replication').WebSocketTransport,
+    Scheduler: require('./lib/scheduler'),
+    SessionManager: require('./lib/session_manager'),
     UpdateArgs: require('./lib/update_args'),
+    validateDescription: require('./lib/validation').validateDescription,
     GameSystem: require('./lib/game_system'),
     StateTree: require('./lib/state_tree'),
     InitArgs: require('./lib/init_args'),
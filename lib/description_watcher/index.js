@@ -0,0 +1,135 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Number of milliseconds to wait after a change before the description is reloaded, unless specified otherwise.
+ * Editors often write a file in several steps, so changes within this period are combined.
+ * @type {number}
+ */
+const DEFAULT_DELAY = 100;
+
+/**
+ * Watches the JSON file containing the description of a state tree, reloading the state tree whenever
+ * the file changes. This is intended for use during development.
+ *
+ * The directory containing the file is watched rather than the file itself, so the watcher continues to see
+ * changes after an editor saves the file by replacing it.
+ *
+ * Errors encountered while reading or reloading the description are supplied to the onError callback,
+ * the state tree continues to use its previous description.
+ */
+class DescriptionWatcher {
+
+    /**
+     * Creates a new watcher for the specified state tree and description file.
+     * @param {StateTree} stateTree - The state tree to be reloaded.
+     * @param {String} filePath - Path to the JSON file containing the description of the state tree.
+     * @param {Object=} options - Optional settings for the watcher.
+     * @param {number=} options.delay - Milliseconds to wait after a change before reloading, defaults to 100.
+     * @param {Function=} options.onReload - Invoked once the state tree has been reloaded.
+     * @param {Function=} options.onError - Invoked with the error if the description could not be reloaded.
+     */
+    constructor(stateTree, filePath, options) {
+        if (!stateTree) {
+            throw new Error('DescriptionWatcher.constructor - A valid state tree must be supplied during construction.');
+        }
+
+        if (!filePath) {
+            throw new Error('DescriptionWatcher.constructor - No file path was specified.');
+        }
+
+        options = options || {};
+
+        this.stateTree = stateTree;
+        this.filePath = filePath;
+        this.delay = options.delay !== undefined ? options.delay : DEFAULT_DELAY;
+        this.onReload = options.onReload || null;
+        this.onError = options.onError || (err => console.log('DescriptionWatcher - Unable to reload \'' + filePath + '\'. ' + err));
+
+        this._watcher = null;
+        this._timer = null;
+        this._onWatch = this._onWatch.bind(this);
+    }
+
+    /**
+     * Begins watching the description file for changes.
+     */
+    start() {
+        if (!this._watcher) {
+            this._watcher = fs.watch(path.dirname(this.filePath), this._onWatch);
+        }
+    }
+
+    /**
+     * Stops watching the description file, any reload that is waiting to be applied is cancelled.
+     */
+    stop() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+
+        if (this._watcher) {
+            this._watcher.close();
+            this._watcher = null;
+        }
+    }
+
+    /**
+     * Reads the description file and reloads the state tree with its contents. Errors raised while reloading,
+     * including those raised by the onReload callback, are supplied to the onError callback.
+     * @returns {Promise} Promise that is fulfilled once the state tree has been reloaded.
+     */
+    reload() {
+        let reloading;
+
+        try {
+            const desc = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+            reloading = this.stateTree.reload(desc);
+        } catch (err) {
+            reloading = Promise.reject(err);
+        }
+
+        return reloading.then(() => {
+            if (this.onReload) {
+                this.onReload(this.stateTree);
+            }
+        }).catch(err => this.onError(err));
+    }
+
+    /**
+     * Invoked when an entry within the directory of the description file has changed, changes to other files
+     * are ignored. Platforms that do not report the name of the file are assumed to have changed the description.
+     * @param {String} eventType - The type of change, either 'rename' or 'change'.
+     * @param {String} fileName - The name of the file that changed, if known.
+     * @private
+     */
+    _onWatch(eventType, fileName) {
+        if (!fileName || fileName.toString() === path.basename(this.filePath)) {
+            this._onChange();
+        }
+    }
+
+    /**
+     * Invoked when the description file has changed, the reload is delayed so that changes made together
+     * only cause a single reload.
+     * @private
+     */
+    _onChange() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+        }
+
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this.reload();
+        }, this.delay);
+    }
+}
+
+DescriptionWatcher.DEFAULT_DELAY = DEFAULT_DELAY;
+
+module.exports = DescriptionWatcher;
@@ -0,0 +1,347 @@
+'use strict';
+
+const StateRef = require('../parameters/state_ref');
+
+/**
+ * Retrieves the description of each system within a state description.
+ * @param {Object} desc - The state description.
+ * @returns {Array} The name, type and parameters of each system.
+ */
+function describeSystems(desc) {
+    return (desc.systems || []).map(system => {
+        if (typeof system === 'string') {
+            return {
+                name: system,
+                type: system,
+                params: null
+            };
+        }
+
+        return {
+            name: system.name,
+            type: system.type || system.name,
+            params: system.params || null
+        };
+    });
+}
+
+/**
+ * Creates the model drawn by the exporters from a running state tree.
+ * @param {StateTree} stateTree - The state tree to be drawn.
+ * @param {Object} options - Options supplied to the exporter.
+ * @returns {Object} The model to be drawn.
+ */
+function createTreeModel(stateTree, options) {
+    const states = [];
+
+    for (const state of stateTree.stateMap.values()) {
+        states.push({
+            name: state.name,
+            children: state.childNames.slice(),
+            parallel: state.parallel,
+            initial: state.initialName,
+            active: !!options.highlightActive && stateTree.isActive(state),
+            transitions: Array.from(state.transitions.keys()).map(eventName => ({
+                event: eventName,
+                target: state.transitions.get(eventName)
+            })),
+            systems: Array.from(state.gameSystems.keys()).map(name => {
+                const system = state.gameSystems.get(name);
+
+                return {
+                    name: name,
+                    type: system.typeName,
+                    params: system.params
+                };
+            })
+        });
+    }
+
+    return {
+        name: stateTree.name,
+        main: stateTree.defaultState ? stateTree.defaultState.name : null,
+        factory: stateTree.systemFactory,
+        states: states
+    };
+}
+
+/**
+ * Creates the model drawn by the exporters from a state tree description.
+ * @param {Object} desc - The description to be drawn.
+ * @param {Object} options - Options supplied to the exporter.
+ * @returns {Object} The model to be drawn.
+ */
+function createDescriptionModel(desc, options) {
+    const states = (desc.states || []).map(state => ({
+        name: state.name,
+        children: (state.children || []).slice(),
+        parallel: !!state.parallel,
+        initial: state.initial || null,
+        active: false,
+        transitions: Object.keys(state.transitions || {}).map(eventName => ({
+            event: eventName,
+            target: state.transitions[eventName]
+        })),
+        systems: describeSystems(state)
+    }));
+
+    return {
+        name: desc.name,
+        main: desc.main || (states.length ? states[0].name : null),
+        factory: options.factory || null,
+        states: states
+    };
+}
+
+/**
+ * Creates the model drawn by the exporters, from either a state tree or its description.
+ * @param {StateTree|Object} source - The state tree or description to be drawn.
+ * @param {Object=} options - Options supplied to the exporter.
+ * @returns {Object} The model to be drawn.
+ */
+function createModel(source, options) {
+    if (!source) {
+        throw new Error('Diagram.createModel - No state tree or description was provided.');
+    }
+
+    options = options || {};
+
+    const model = source.stateMap ? createTreeModel(source, options) : createDescriptionModel(source, options);
+
+    model.stateMap = new Map();
+    model.roots = [];
+    model.edges = [];
+
+    for (const state of model.states) {
+        model.stateMap.set(state.name, state);
+    }
+
+    const children = new Set();
+    for (const state of model.states) {
+        for (const child of state.children) {
+            children.add(child);
+        }
+    }
+
+    model.roots = model.states.filter(state => !children.has(state.name));
+
+    for (const state of model.states) {
+        for (const transition of state.transitions) {
+            model.edges.push({
+                source: state.name,
+                target: transition.target,
+                label: transition.event,
+                reference: false
+            });
+        }
+
+        for (const system of state.systems) {
+            const type = model.factory ? model.factory.map.get(system.type) : null;
+
+            // State references held by a system are drawn as transitions from the state owning the system
+            for (const param of type && type.Parameters ? type.Parameters : []) {
+                const target = system.params ? system.params[param.name] : null;
+
+                if (param.type === StateRef.TYPE_NAME && typeof target === 'string') {
+                    model.edges.push({
+                        source: state.name,
+                        target: target,
+                        label: system.name + '.' + param.name,
+                        reference: true
+                    });
+                }
+            }
+        }
+    }
+
+    return model;
+}
+
+/**
+ * Escapes a value for use as a quoted string within a DOT file.
+ * @param {String} value - The value to be escaped.
+ * @returns {String} The quoted value.
+ */
+function quoteDot(value) {
+    return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * Creates the label of a state within a DOT file, listing the systems attached to the state.
+ * @param {Object} state - The state within the model.
+ * @returns {String} The quoted label.
+ */
+function createDotLabel(state) {
+    const lines = [state.parallel ? state.name + ' (parallel)' : state.name];
+
+    for (const system of state.systems) {
+        lines.push(system.name === system.type ? system.name : system.name + ' : ' + system.type);
+    }
+
+    return quoteDot(lines.join('\n')).replace(/\n/g, '\\n');
+}
+
+/**
+ * Writes a state and its children into a DOT file, states with children are drawn as clusters.
+ * @param {Object} model - The model being drawn.
+ * @param {Object} state - The state to be written.
+ * @param {String} indent - The indentation of the lines being written.
+ * @param {Array} lines - Receives the lines of the DOT file.
+ */
+function writeDotState(model, state, indent, lines) {
+    const attributes = state.active ? ', color=red, penwidth=2' : '';
+
+    if (!state.children.length) {
+        lines.push(indent + quoteDot(state.name) + ' [label=' + createDotLabel(state) + attributes + '];');
+        return;
+    }
+
+    lines.push(indent + 'subgraph ' + quoteDot('cluster_' + state.name) + ' {');
+    lines.push(indent + '    label=' + quoteDot(state.name) + ';');
+
+    if (state.active) {
+        lines.push(indent + '    color=red;');
+    }
+
+    lines.push(indent + '    ' + quoteDot(state.name) + ' [label=' + createDotLabel(state) + attributes + '];');
+
+    for (const name of state.children) {
+        const child = model.stateMap.get(name);
+        if (child) {
+            writeDotState(model, child, indent + '    ', lines);
+        }
+    }
+
+    lines.push(indent + '}');
+}
+
+/**
+ * Renders a state tree, or its description, as a Graphviz DOT graph. States with children are drawn as
+ * clusters, each state lists the systems attached to it, and transitions are drawn as edges. State
+ * references held by systems are drawn as dashed edges.
+ * @param {StateTree|Object} source - The state tree or description to be drawn.
+ * @param {Object=} options - Optional settings for the diagram.
+ * @param {boolean=} options.highlightActive - True if the active branches of a state tree should be highlighted.
+ * @param {Object=} options.factory - The factory used to find state references, when drawing a description.
+ * @returns {String} The DOT graph.
+ */
+function toDot(source, options) {
+    const model = createModel(source, options);
+    const lines = [];
+
+    lines.push('digraph ' + quoteDot(model.name || 'state_tree') + ' {');
+    lines.push('    compound=true;');
+    lines.push('    node [shape=box, style=rounded];');
+
+    for (const state of model.roots) {
+        writeDotState(model, state, '    ', lines);
+    }
+
+    if (model.main) {
+        lines.push('    "__main" [shape=point];');
+        lines.push('    "__main" -> ' + quoteDot(model.main) + ';');
+    }
+
+    for (const edge of model.edges) {
+        const style = edge.reference ? ', style=dashed' : '';
+
+        lines.push('    ' + quoteDot(edge.source) + ' -> ' + quoteDot(edge.target) + ' [label=' + quoteDot(edge.label) + style + '];');
+    }
+
+    lines.push('}');
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Converts a state name into an identifier that may be used within a Mermaid diagram.
+ * @param {String} name - The name of the state.
+ * @returns {String} The identifier of the state.
+ */
+function getMermaidId(name) {
+    return String(name).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Writes a state and its children into a Mermaid diagram, states with children are drawn as composite states.
+ * @param {Object} model - The model being drawn.
+ * @param {Object} state - The state to be written.
+ * @param {String} indent - The indentation of the lines being written.
+ * @param {Array} lines - Receives the lines of the diagram.
+ */
+function writeMermaidState(model, state, indent, lines) {
+    const id = getMermaidId(state.name);
+
+    if (id !== state.name) {
+        lines.push(indent + 'state "' + state.name + '" as ' + id);
+    }
+
+    if (state.children.length) {
+        lines.push(indent + 'state ' + id + ' {');
+
+        if (state.initial) {
+            lines.push(indent + '    [*] --> ' + getMermaidId(state.initial));
+        }
+
+        state.children.forEach((name, index) => {
+            const child = model.stateMap.get(name);
+
+            // Each region of a parallel state is separated within the composite state
+            if (state.parallel && index > 0) {
+                lines.push(indent + '    --');
+            }
+
+            if (child) {
+                writeMermaidState(model, child, indent + '    ', lines);
+            }
+        });
+
+        lines.push(indent + '}');
+    } else {
+        lines.push(indent + id);
+    }
+
+    for (const system of state.systems) {
+        lines.push(indent + id + ' : ' + (system.name === system.type ? system.name : system.name + ' (' + system.type + ')'));
+    }
+}
+
+/**
+ * Renders a state tree, or its description, as a Mermaid state diagram. States with children are drawn as
+ * composite states, each state lists the systems attached to it, and transitions are drawn as edges.
+ * State references held by systems are drawn as edges labelled with the system and parameter name.
+ * @param {StateTree|Object} source - The state tree or description to be drawn.
+ * @param {Object=} options - Optional settings for the diagram.
+ * @param {boolean=} options.highlightActive - True if the active branches of a state tree should be highlighted.
+ * @param {Object=} options.factory - The factory used to find state references, when drawing a description.
+ * @returns {String} The Mermaid diagram.
+ */
+function toMermaid(source, options) {
+    const model = createModel(source, options);
+    const lines = ['stateDiagram-v2'];
+
+    for (const state of model.roots) {
+        writeMermaidState(model, state, '    ', lines);
+    }
+
+    if (model.main) {
+        lines.push('    [*] --> ' + getMermaidId(model.main));
+    }
+
+    for (const edge of model.edges) {
+        lines.push('    ' + getMermaidId(edge.source) + ' --> ' + getMermaidId(edge.target) + ' : ' + edge.label);
+    }
+
+    const active = model.states.filter(state => state.active);
+    if (active.length) {
+        lines.push('    classDef active stroke:red,stroke-width:2px');
+        lines.push('    class ' + active.map(state => getMermaidId(state.name)).join(',') + ' active');
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    toDot: toDot,
+    toMermaid: toMermaid
+};
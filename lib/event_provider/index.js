@@ -1,39 +1,91 @@
+/**
+ * Segment of an event pattern that matches any single segment of an event name.
+ * @type {string}
+ */
+const WILDCARD = '*';
+
+/**
+ * Segment of an event pattern that matches any number of segments of an event name, including none.
+ * @type {string}
+ */
+const WILDCARD_DEEP = '**';
+
+/**
+ * Determines whether an event name, split into its segments, matches a pattern.
+ * @param {Array} pattern - The segments of the pattern.
+ * @param {Array} name - The segments of the event name.
+ * @param {number} p - The index of the pattern segment being compared.
+ * @param {number} n - The index of the name segment being compared.
+ * @returns {boolean} True if the remaining segments of the name match the remaining segments of the pattern.
+ */
+function matchSegments(pattern, name, p, n) {
+    if (p === pattern.length) {
+        return n === name.length;
+    }
+
+    if (pattern[p] === WILDCARD_DEEP) {
+        for (let skip = n; skip <= name.length; ++skip) {
+            if (matchSegments(pattern, name, p + 1, skip)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    return n < name.length && (pattern[p] === WILDCARD || pattern[p] === name[n]) && matchSegments(pattern, name, p + 1, n + 1);
+}
+
+/**
+ * Determines whether an event name is a pattern, containing wildcard segments.
+ * @param {String} eventName - The event name to be checked.
+ * @returns {boolean} True if the event name contains a wildcard.
+ */
+function isPattern(eventName) {
+    return eventName.indexOf(WILDCARD) !== -1;
+}
+
 /**
  * Object used for managing a collection of events and their associated listeners.
+ *
+ * Event names may be divided into namespaces using '.', such as 'player.died'. Listeners may subscribe to a
+ * pattern rather than a single event, where a '*' segment matches any single segment and a '**' segment
+ * matches any number of segments. For example 'player.*' receives 'player.died' but not 'player.item.added',
+ * which is received by 'player.**'.
+ *
+ * Listeners are invoked in order of their priority, highest first, and listeners with the same priority are
+ * invoked in the order they subscribed. Each listener receives the event object along with a context, whose
+ * stopPropagation method prevents the remaining listeners from being invoked. Listeners may subscribe and
+ * unsubscribe while an event is being fired, listeners that subscribe are not invoked until the next time the
+ * event is fired and listeners that unsubscribe are not invoked again.
  */
 class EventProvider {
     constructor() {
-        this._eventMap = new Map();
+        this.listeners = new Map();
+        this.patterns = new Map();
+        this.nextSequence = 0;
     }
 
     /**
      * Registers a new listener for a specified event.
-     * @param {String} eventName - The name of the event the listener wishes to be notified of.
+     * @param {String} eventName - The name of the event, or pattern of events, the listener wishes to be notified of.
      * @param {Function} cb - The callback to be invoked when the specified event is raised.
      * @param {Object|null} o - The object the supplied callback belongs to.
+     * @param {number=} priority - Listeners with a higher priority are invoked first, defaults to zero.
      */
-    on(eventName, cb, o) {
-        if (!eventName) {
-            throw new Error('EventProvider.on - No event name was specified.');
-        }
-
-        if (!cb) {
-            throw new Error('EventProvider.on - No callback was specified.');
-        }
-
-        let event = this._eventMap.get(eventName);
-        if (!event) {
-            event = {
-                listeners: []
-            };
-
-            this._eventMap.set(eventName, event);
-        }
+    on(eventName, cb, o, priority) {
+        this._addListener('on', eventName, cb, o, priority, false);
+    }
 
-        event.listeners.push({
-            cb: cb,
-            o: o
-        });
+    /**
+     * Registers a listener that is removed once it has been invoked.
+     * @param {String} eventName - The name of the event, or pattern of events, the listener wishes to be notified of.
+     * @param {Function} cb - The callback to be invoked when the specified event is raised.
+     * @param {Object|null} o - The object the supplied callback belongs to.
+     * @param {number=} priority - Listeners with a higher priority are invoked first, defaults to zero.
+     */
+    once(eventName, cb, o, priority) {
+        this._addListener('once', eventName, cb, o, priority, true);
     }
 
     /**
@@ -43,30 +95,190 @@ class EventProvider {
      * @param {Object|null} o - The object the supplied callback belongs to.
      */
     off(eventName, cb, o) {
-        const event = this._eventMap.get(eventName);
-        if (event) {
-            for (let loop = 0; loop < event.listeners.length; ++loop) {
-                if (event.listeners[loop].cb === cb && event.listeners[loop].o === o) {
-                    event.listeners.splice(loop, 1);
+        const listeners = this.listeners.get(eventName);
+        if (listeners) {
+            for (let loop = 0; loop < listeners.length; ++loop) {
+                if (listeners[loop].cb === cb && listeners[loop].o === o) {
+                    listeners[loop].removed = true;
+                    listeners.splice(loop, 1);
                     return;
                 }
             }
         }
     }
 
+    /**
+     * Unregisters every listener that belongs to the specified object, from every event.
+     * @param {Object} o - The object whose listeners are to be removed.
+     * @returns {number} The number of listeners that were removed.
+     */
+    offAll(o) {
+        if (!o) {
+            throw new Error('EventProvider.offAll - No object was specified.');
+        }
+
+        let count = 0;
+
+        for (const listeners of this.listeners.values()) {
+            for (let loop = listeners.length - 1; loop >= 0; --loop) {
+                if (listeners[loop].o === o) {
+                    listeners[loop].removed = true;
+                    listeners.splice(loop, 1);
+                    count++;
+                }
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * Determines whether any listener would be notified of the specified event, including those subscribed to a
+     * matching pattern.
+     * @param {String} eventName - The name of the event.
+     * @returns {boolean} True if the event has at least one listener otherwise false.
+     */
+    hasListeners(eventName) {
+        return this._collectListeners(eventName).length !== 0;
+    }
+
     /**
      * Raises the specified event and notifies all listeners.
      * @param {String} eventName - The name of the event to be raised.
      * @param {Object} e - Argument that will be passed onto all listeners attached to the event.
+     * @returns {boolean} True if a listener stopped the propagation of the event otherwise false.
      */
     fire(eventName, e) {
-        const event = this._eventMap.get(eventName);
-        if (event) {
-            for (const listener of event.listeners) {
-                listener.cb.call(listener.o, e);
+        if (isPattern(eventName)) {
+            throw new Error('EventProvider.fire - Event name \'' + eventName + '\' may not contain a wildcard.');
+        }
+
+        const listeners = this._collectListeners(eventName);
+        if (!listeners.length) {
+            return false;
+        }
+
+        const context = {
+            name: eventName,
+            stopped: false,
+            stopPropagation: () => {
+                context.stopped = true;
+            }
+        };
+
+        // The listeners are copied, so subscribing or unsubscribing within a listener does not affect this event
+        for (const listener of listeners) {
+            if (!listener.removed) {
+                if (listener.once) {
+                    this._removeListener(listener);
+                }
+
+                listener.cb.call(listener.o, e, context);
+
+                if (context.stopped) {
+                    return true;
+                }
             }
         }
+
+        return false;
+    }
+
+    /**
+     * Adds a listener to the list of listeners for an event, keeping the list ordered by priority.
+     * @param {String} caller - The name of the method adding the listener.
+     * @param {String} eventName - The name of the event, or pattern of events, the listener wishes to be notified of.
+     * @param {Function} cb - The callback to be invoked when the specified event is raised.
+     * @param {Object|null} o - The object the supplied callback belongs to.
+     * @param {number=} priority - Listeners with a higher priority are invoked first.
+     * @param {boolean} once - True if the listener should be removed once it has been invoked.
+     * @private
+     */
+    _addListener(caller, eventName, cb, o, priority, once) {
+        if (!eventName) {
+            throw new Error('EventProvider.' + caller + ' - No event name was specified.');
+        }
+
+        if (!cb) {
+            throw new Error('EventProvider.' + caller + ' - No callback was specified.');
+        }
+
+        if (priority !== undefined && typeof priority !== 'number') {
+            throw new Error('EventProvider.' + caller + ' - The priority must be a number.');
+        }
+
+        let listeners = this.listeners.get(eventName);
+        if (!listeners) {
+            listeners = [];
+            this.listeners.set(eventName, listeners);
+
+            if (isPattern(eventName)) {
+                this.patterns.set(eventName, eventName.split('.'));
+            }
+        }
+
+        const listener = {
+            eventName: eventName,
+            cb: cb,
+            o: o,
+            priority: priority || 0,
+            once: once,
+            sequence: this.nextSequence++,
+            removed: false
+        };
+
+        let index = listeners.length;
+        while (index > 0 && listeners[index - 1].priority < listener.priority) {
+            index--;
+        }
+
+        listeners.splice(index, 0, listener);
+    }
+
+    /**
+     * Removes a single listener from the list of listeners for its event.
+     * @param {Object} listener - The listener to be removed.
+     * @private
+     */
+    _removeListener(listener) {
+        const listeners = this.listeners.get(listener.eventName);
+        const index = listeners.indexOf(listener);
+
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+
+        listener.removed = true;
+    }
+
+    /**
+     * Retrieves the listeners to be invoked for an event, including those subscribed to a matching pattern.
+     * @param {String} eventName - The name of the event being raised.
+     * @returns {Array} A copy of the listeners, in the order they are to be invoked.
+     * @private
+     */
+    _collectListeners(eventName) {
+        const exact = this.listeners.get(eventName);
+        if (!this.patterns.size) {
+            return exact ? exact.slice() : [];
+        }
+
+        const segments = eventName.split('.');
+        const listeners = exact ? exact.slice() : [];
+
+        for (const pattern of this.patterns.keys()) {
+            if (matchSegments(this.patterns.get(pattern), segments, 0, 0)) {
+                for (const listener of this.listeners.get(pattern)) {
+                    listeners.push(listener);
+                }
+            }
+        }
+
+        return listeners.sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
     }
 }
 
+EventProvider.WILDCARD = WILDCARD;
+EventProvider.WILDCARD_DEEP = WILDCARD_DEEP;
+
 module.exports = EventProvider;
@@ -0,0 +1,205 @@
+'use strict';
+
+const UpdateArgs = require('../update_args');
+
+/**
+ * Duration (in seconds) of each simulation step, unless specified otherwise.
+ * @type {number}
+ */
+const DEFAULT_STEP = 1 / 60;
+
+/**
+ * Maximum number of simulation steps processed in a single frame, unless specified otherwise.
+ * @type {number}
+ */
+const DEFAULT_MAX_STEPS = 5;
+
+/**
+ * Clock used when the title does not supply its own, times are measured in milliseconds.
+ */
+const defaultClock = {
+    now() {
+        const time = process.hrtime();
+
+        return time[0] * 1000 + time[1] / 1000000;
+    },
+
+    schedule(cb, delay) {
+        return setTimeout(cb, delay);
+    },
+
+    cancel(handle) {
+        clearTimeout(handle);
+    }
+};
+
+/**
+ * Drives a StateTree at a fixed simulation rate, independent of the rate at which frames are presented.
+ *
+ * Each frame, the time elapsed since the previous frame is added to an accumulator and the state tree is
+ * updated once for each whole step within the accumulator, UpdateArgs.deltaTime always contains the step
+ * duration. If the title falls too far behind, the number of steps processed in a frame is limited by
+ * maxSteps and the remaining whole steps are discarded.
+ *
+ * Once the simulation steps have been processed, the render callback is invoked with an interpolation
+ * alpha between 0 and 1, describing how far the current time is between the last step and the next.
+ *
+ * The clock may be replaced, allowing the loop to be driven deterministically. A clock provides the
+ * following methods:
+ *
+ * now() - Returns the current time in milliseconds.
+ * schedule(cb, delay) - Invokes the callback after the specified number of milliseconds, returning a handle.
+ * cancel(handle) - Prevents a scheduled callback from being invoked.
+ */
+class GameLoop {
+
+    /**
+     * Creates a new game loop for the specified state tree.
+     * @param {StateTree} stateTree - The state tree to be updated by the game loop.
+     * @param {Object=} options - Optional settings for the game loop.
+     * @param {number=} options.step - Duration (in seconds) of each simulation step, defaults to 1/60.
+     * @param {number=} options.maxSteps - Maximum number of simulation steps processed per frame, defaults to 5.
+     * @param {Function=} options.render - Invoked once per frame with the interpolation alpha.
+     * @param {UpdateArgs=} options.updateArgs - The object supplied to the state tree each step.
+     * @param {Object=} options.clock - The clock used to measure time and schedule frames.
+     */
+    constructor(stateTree, options) {
+        if (!stateTree) {
+            throw new Error('GameLoop.constructor - A valid state tree must be supplied during construction.');
+        }
+
+        options = options || {};
+
+        this.stateTree = stateTree;
+        this.step = options.step || DEFAULT_STEP;
+        this.maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+        this.render = options.render || null;
+        this.updateArgs = options.updateArgs || new UpdateArgs();
+        this.clock = options.clock || defaultClock;
+
+        this.accumulator = 0;
+        this.lastTime = 0;
+        this.running = false;
+        this.paused = false;
+
+        this._handle = null;
+        this._onFrame = this._onFrame.bind(this);
+
+        if (this.step <= 0) {
+            throw new Error('GameLoop.constructor - The simulation step must be greater than zero.');
+        }
+    }
+
+    /**
+     * Begins updating the state tree, frames are processed until stop is called.
+     */
+    start() {
+        if (this.running) {
+            throw new Error('GameLoop.start - The game loop is already running.');
+        }
+
+        this.running = true;
+        this.accumulator = 0;
+        this.lastTime = this.clock.now();
+
+        this._schedule();
+    }
+
+    /**
+     * Stops updating the state tree, any frame that has been scheduled is cancelled.
+     */
+    stop() {
+        if (this._handle !== null) {
+            this.clock.cancel(this._handle);
+            this._handle = null;
+        }
+
+        this.running = false;
+    }
+
+    /**
+     * Suspends the simulation, frames continue to be rendered but the state tree is not updated.
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Resumes the simulation after a call to pause, time spent paused is not simulated.
+     */
+    resume() {
+        if (this.paused) {
+            this.paused = false;
+            this.lastTime = this.clock.now();
+        }
+    }
+
+    /**
+     * Processes a single frame, updating the state tree for each whole step of time that has elapsed
+     * since the previous frame.
+     * @returns {number} The number of simulation steps that were processed.
+     */
+    tick() {
+        const now = this.clock.now();
+        const elapsed = Math.max(now - this.lastTime, 0) / 1000;
+
+        this.lastTime = now;
+
+        let steps = 0;
+
+        if (!this.paused) {
+            this.accumulator += elapsed;
+
+            this.updateArgs.deltaTime = this.step;
+            this.updateArgs.stateTree = this.stateTree;
+
+            while (this.accumulator >= this.step && steps < this.maxSteps) {
+                this.stateTree.onUpdate(this.updateArgs);
+                this.accumulator -= this.step;
+                steps++;
+            }
+
+            // When we cannot keep up, the remaining whole steps are discarded rather than being carried forward,
+            // the partial step is kept so the loop does not drift
+            if (this.accumulator >= this.step) {
+                this.accumulator %= this.step;
+            }
+        }
+
+        if (this.render) {
+            this.render(this.accumulator / this.step);
+        }
+
+        return steps;
+    }
+
+    /**
+     * Schedules the next frame to be processed.
+     * @private
+     */
+    _schedule() {
+        this._handle = this.clock.schedule(this._onFrame, this.step * 1000);
+    }
+
+    /**
+     * Invoked by the clock when a scheduled frame is due.
+     * @private
+     */
+    _onFrame() {
+        this._handle = null;
+
+        if (this.running) {
+            this.tick();
+
+            // The frame may have stopped the loop
+            if (this.running) {
+                this._schedule();
+            }
+        }
+    }
+}
+
+GameLoop.DEFAULT_STEP = DEFAULT_STEP;
+GameLoop.DEFAULT_MAX_STEPS = DEFAULT_MAX_STEPS;
+
+module.exports = GameLoop;
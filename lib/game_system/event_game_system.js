@@ -1,34 +1,59 @@
 'use strict';
 
+const EventProvider = require('../event_provider');
 const GameSystem = require('./index.js');
 
 /**
  * Extended base class for game systems, this class provides support for a game system to supply events
  * to external objects. A game system may broadcast an event to interested listeners by calling the
  * 'fire' method.
+ *
+ * The listeners are managed by an EventProvider, held in the events property, so listeners may subscribe
+ * to patterns of events, be given a priority and stop the propagation of an event. The eventListeners property
+ * continues to map the name of each event to the listeners registered through this class, each entry holding
+ * the callback ('f') and the object it belongs to ('o').
  */
 class EventGameSystem extends GameSystem {
     constructor() {
         super();
 
         this.eventListeners = new Map();
+        this.events = new EventProvider();
+
+        this._onceCallbacks = new Map();
     }
 
     /**
      * Registers a callback to be invoked when a particular event is raised.
-     * @param {String} name - Name of the event the callback wishes to listen for.
+     * @param {String} name - Name of the event, or pattern of events, the callback wishes to listen for.
      * @param {Function} handler - The callback function to be invoked when the specified event is raised.
      * @param {Object=} obj - The object instance the method belongs to.
+     * @param {number=} priority - Listeners with a higher priority are invoked first, defaults to zero.
      */
-    addListener(name, handler, obj) {
-        if (!this.eventListeners.has(name)) {
-            this.eventListeners.set( name, [] );
-        }
+    addListener(name, handler, obj, priority) {
+        this.events.on(name, handler, obj, priority);
+        this._addEntry(name, { f: handler, o: obj });
+    }
+
+    /**
+     * Registers a callback to be invoked the next time a particular event is raised, after which it is removed.
+     * @param {String} name - Name of the event, or pattern of events, the callback wishes to listen for.
+     * @param {Function} handler - The callback function to be invoked when the specified event is raised.
+     * @param {Object=} obj - The object instance the method belongs to.
+     * @param {number=} priority - Listeners with a higher priority are invoked first, defaults to zero.
+     */
+    addOnceListener(name, handler, obj, priority) {
+        const entry = { f: handler, o: obj };
 
-        this.eventListeners.get(name).push({
-            f: handler,
-            o: obj
+        // The entry is removed from eventListeners once the provider has removed the listener
+        const callback = handler && ((data, context) => {
+            this._removeEntry(name, entry);
+            handler.call(obj, data, context);
         });
+
+        this.events.once(name, callback, obj, priority);
+        this._onceCallbacks.set(entry, callback);
+        this._addEntry(name, entry);
     }
 
     /**
@@ -40,33 +65,79 @@ class EventGameSystem extends GameSystem {
     removeListener(name, handler, obj) {
         const listeners = this.eventListeners.get(name);
         if (listeners) {
-            const l = listeners.length;
+            for (const entry of listeners) {
+                if (entry.f === handler && entry.o === obj) {
+                    const callback = this._onceCallbacks.get(entry) || handler;
 
-            for (let loop = 0; loop < l; ++loop ) {
-                if (listeners[loop].f === handler && listeners[loop].o === obj) {
-                    listeners.splice(loop, 1);
+                    this._removeEntry(name, entry);
+                    this.events.off(name, callback, obj);
                     return;
                 }
             }
         }
+
+        this.events.off(name, handler, obj);
+    }
+
+    /**
+     * Removes every listener belonging to an object, from every event.
+     * @param {Object} obj - The object instance whose listeners are to be removed.
+     * @returns {number} The number of listeners that were removed.
+     */
+    removeAllListeners(obj) {
+        const count = this.events.offAll(obj);
+
+        for (const listeners of this.eventListeners.values()) {
+            for (let loop = listeners.length - 1; loop >= 0; --loop) {
+                if (listeners[loop].o === obj) {
+                    this._onceCallbacks.delete(listeners[loop]);
+                    listeners.splice(loop, 1);
+                }
+            }
+        }
+
+        return count;
     }
 
     /**
      * Raises an event within the game server, any listeners for this event will be notified.
      * @param {String} name - Name of the event to be fired.
      * @param {Object=} data = Data associated with the raised event.
+     * @returns {boolean} True if a listener stopped the propagation of the event otherwise false.
      */
     fire(name, data) {
+        return this.events.fire(name, data);
+    }
+
+    /**
+     * Records a listener within eventListeners.
+     * @param {String} name - Name of the event, or pattern of events, the listener was registered for.
+     * @param {Object} entry - The callback ('f') and the object it belongs to ('o').
+     * @private
+     */
+    _addEntry(name, entry) {
+        if (!this.eventListeners.has(name)) {
+            this.eventListeners.set(name, []);
+        }
+
+        this.eventListeners.get(name).push(entry);
+    }
+
+    /**
+     * Removes a listener from eventListeners.
+     * @param {String} name - Name of the event, or pattern of events, the listener was registered for.
+     * @param {Object} entry - The entry recorded for the listener.
+     * @private
+     */
+    _removeEntry(name, entry) {
         const listeners = this.eventListeners.get(name);
-        if (listeners) {
-            for (const handler of listeners) {
-                if (handler.o) {
-                    handler.f.call(handler.o, data);
-                } else {
-                    handler.f(data);
-                }
-            }
+        const index = listeners.indexOf(entry);
+
+        if (index !== -1) {
+            listeners.splice(index, 1);
         }
+
+        this._onceCallbacks.delete(entry);
     }
 }
 
@@ -15,6 +15,28 @@
  *
  * The onDestroy method is invoked during system shutdown, the game system should
  * release any external references at this point.
+ *
+ * The onInitialize, onDestroy, onActivate and onDeactivate methods may return a
+ * promise if the game system needs to perform asynchronous work, such as loading
+ * a level file. The framework waits for the promise to be fulfilled before
+ * continuing, onPostActivate is not invoked and frame updates do not begin until
+ * all systems in the branch being entered have been activated.
+ *
+ * Before a state change is applied, the canExit and canEnter methods are consulted
+ * for each system that would be deactivated or activated. A system may reject the
+ * state change by returning false.
+ *
+ * Data may be supplied along with a state change request, such as the settings
+ * of a match being started. The data is delivered as the payload of the transition
+ * object given to onActivate, onPostActivate and onDeactivate.
+ *
+ * When the state tree is serialized, the serialize method of each system is invoked
+ * to capture its data. The data is later supplied to deserialize when the state tree
+ * is restored.
+ *
+ * While a session is recorded or replayed, the checksum method of each system is
+ * invoked after every frame. A replay whose checksums differ from the recording
+ * has diverged from the original session.
  */
 class GameSystem {
     constructor() {
@@ -26,6 +48,7 @@ class GameSystem {
      * processing.
      *
      * @param initArgs {InitArgs}
+     * @returns {Promise=} Optional promise that is fulfilled once the system has been initialized.
      */
     onInitialize(initArgs) {
         //
@@ -33,6 +56,8 @@ class GameSystem {
 
     /**
      * Called by the framework when the game is being destroyed.
+     *
+     * @returns {Promise=} Optional promise that is fulfilled once the system has been destroyed.
      */
     onDestroy() {
         //
@@ -41,25 +66,81 @@ class GameSystem {
     /**
      * Called by the framework when the game system is becoming active within the
      * running title.
+     *
+     * @param transition {Object=} Describes the state change, its payload property contains any data supplied with the request.
+     * @returns {Promise=} Optional promise that is fulfilled once the system has been activated.
      */
-    onActivate() {
+    onActivate(transition) {
         //
     }
 
     /**
      * Called by the framework when the first pass of the onActivate methods have been completed.
+     *
+     * @param transition {Object=} Describes the state change, its payload property contains any data supplied with the request.
      */
-    onPostActivate() {
+    onPostActivate(transition) {
 
     }
 
     /**
      * Called by the framework when the game system is no longer in the active
      * game state hierarchy.
+     *
+     * @param transition {Object=} Describes the state change, its target property is the leaf state being changed to.
+     * @returns {Promise=} Optional promise that is fulfilled once the system has been deactivated.
      */
-    onDeactivate() {
+    onDeactivate(transition) {
         //
     }
+
+    /**
+     * Called by the framework before the game system is deactivated by a state change.
+     *
+     * @param target {GameState} The leaf state the title is changing to.
+     * @returns {boolean} True if the state change may proceed otherwise false.
+     */
+    canExit(target) {
+        return true;
+    }
+
+    /**
+     * Called by the framework before the game system is activated by a state change.
+     *
+     * @param source {GameState} The leaf state the title is leaving, or null if no state was active.
+     * @returns {boolean} True if the state change may proceed otherwise false.
+     */
+    canEnter(source) {
+        return true;
+    }
+
+    /**
+     * Called by the framework when the state tree is being serialized, allowing the system to save its data.
+     *
+     * @returns {*} Data that can be converted to JSON, or undefined if the system has nothing to be saved.
+     */
+    serialize() {
+        return undefined;
+    }
+
+    /**
+     * Called by the framework when the state tree is being restored, before the saved branches are entered.
+     *
+     * @param data {*} The data previously returned by serialize.
+     */
+    deserialize(data) {
+        //
+    }
+
+    /**
+     * Called by the framework after each frame while a session is recorded or replayed, allowing the system to
+     * summarize its data so that a replay which differs from the recording can be detected.
+     *
+     * @returns {*} Value that can be converted to JSON, or undefined if the system does not provide a checksum.
+     */
+    checksum() {
+        return undefined;
+    }
 }
 
 module.exports = GameSystem;
@@ -11,6 +11,16 @@ class InitArgs {
         this.state = null;
     }
 
+    /**
+     * Retrieves the scheduler of the state tree, timers created while a system is being initialized are scoped
+     * to the state owning the system.
+     *
+     * @returns {Scheduler} The scheduler of the state tree or null if there is no state tree.
+     */
+    get scheduler() {
+        return this.stateTree ? this.stateTree.scheduler : null;
+    }
+
     /**
      * Retrieves the system object associated with the specified name.
      * System objects will only be found if they exist within the callers state hierarchy.
@@ -9,8 +9,8 @@ class StateRef {
         this.stateName = stateName;
     }
 
-    apply() {
-        this.stateTree.changeState(this.stateName);
+    apply(payload) {
+        this.stateTree.changeState(this.stateName, payload);
     }
 }
 
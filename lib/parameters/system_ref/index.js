@@ -18,6 +18,11 @@ class SystemRefParameter extends NodeParam.ParameterBase {
 
         const systemObject = initArgs.getSystem(desc);
         if (!systemObject) {
+            // Transient systems only exist while their state is active
+            if (initArgs.state && initArgs.state.findSystemInfo(desc)) {
+                throw new Error('SystemRef.extractValue - Referenced system object \'' + desc + '\' is transient and does not currently exist.');
+            }
+
             throw new Error('SystemRef.extractValue - Referenced system object \'' + desc + '\' could not be found.');
         }
 
@@ -0,0 +1,409 @@
+'use strict';
+
+/**
+ * Number of samples kept for each statistic, unless specified otherwise.
+ * @type {number}
+ */
+const DEFAULT_SAMPLE_COUNT = 120;
+
+/**
+ * Maximum number of trace events kept for export, unless specified otherwise.
+ * @type {number}
+ */
+const DEFAULT_TRACE_LIMIT = 10000;
+
+/**
+ * Name of the statistic recording the time taken by each frame.
+ * @type {string}
+ */
+const PHASE_FRAME = 'frame';
+
+/**
+ * Name of the statistic recording the time taken by each state change.
+ * @type {string}
+ */
+const PHASE_TRANSITION = 'transition';
+
+/**
+ * Returns the current time in milliseconds, used when the title does not supply its own clock.
+ * @returns {number} The current time in milliseconds.
+ */
+function defaultNow() {
+    const time = process.hrtime();
+
+    return time[0] * 1000 + time[1] / 1000000;
+}
+
+/**
+ * Keeps the most recent samples of a measurement, from which rolling statistics are calculated.
+ */
+class Statistic {
+
+    /**
+     * Creates a new statistic.
+     * @param {number} size - The number of samples to be kept.
+     */
+    constructor(size) {
+        this.size = size;
+        this.samples = [];
+        this.next = 0;
+        this.count = 0;
+    }
+
+    /**
+     * Adds a new sample to the statistic, replacing the oldest sample once the statistic is full.
+     * @param {number} value - The value of the sample.
+     */
+    add(value) {
+        if (this.samples.length < this.size) {
+            this.samples.push(value);
+        } else {
+            this.samples[this.next] = value;
+        }
+
+        this.next = (this.next + 1) % this.size;
+        this.count++;
+    }
+
+    /**
+     * Calculates the statistics for the samples currently held.
+     * @returns {Object} The number of samples recorded, along with the average, 95th percentile and maximum value.
+     */
+    summarize() {
+        const sorted = this.samples.slice().sort((a, b) => a - b);
+        const total = sorted.reduce((sum, value) => sum + value, 0);
+
+        return {
+            count: this.count,
+            avg: sorted.length ? total / sorted.length : 0,
+            p95: sorted.length ? sorted[Math.ceil(sorted.length * 0.95) - 1] : 0,
+            max: sorted.length ? sorted[sorted.length - 1] : 0
+        };
+    }
+}
+
+/**
+ * Retrieves the statistic for a phase from a map of statistics, creating it if it does not exist.
+ * @param {Map} map - Map of phase names to their statistic.
+ * @param {String} phase - The name of the phase.
+ * @param {number} size - The number of samples kept by a new statistic.
+ * @returns {Statistic} The statistic for the phase.
+ */
+function getStatistic(map, phase, size) {
+    let statistic = map.get(phase);
+    if (!statistic) {
+        statistic = new Statistic(size);
+        map.set(phase, statistic);
+    }
+
+    return statistic;
+}
+
+/**
+ * Converts a map of statistics into a plain object.
+ * @param {Map} map - Map of phase names to their statistic.
+ * @returns {Object} Object containing the summary of each phase.
+ */
+function summarizeAll(map) {
+    const result = {};
+
+    for (const phase of map.keys()) {
+        result[phase] = map.get(phase).summarize();
+    }
+
+    return result;
+}
+
+/**
+ * Formats a duration in milliseconds for display within a table.
+ * @param {number} value - The duration in milliseconds.
+ * @returns {String} The formatted duration.
+ */
+function formatTime(value) {
+    return value.toFixed(3);
+}
+
+/**
+ * Measures the time spent by each game system within a StateTree. The profiler is attached using
+ * StateTree.enableProfiler, after which the state tree reports the time each system spends in onUpdate,
+ * onPostUpdate, onActivate, onPostActivate and onDeactivate, along with the duration of each frame and
+ * state change.
+ *
+ * Rolling statistics (average, 95th percentile and maximum) are kept for each system and for each state,
+ * the statistics of a state are the combined time of its systems within a frame or state change. When a
+ * frame budget is specified, each system whose time within a frame exceeds the budget is flagged.
+ *
+ * The results may be retrieved as a plain object using getReport, formatted as a table using formatTable,
+ * or exported as Chrome trace-event JSON using getTraceEvents.
+ */
+class Profiler {
+
+    /**
+     * Creates a new profiler.
+     * @param {Object=} options - Optional settings for the profiler.
+     * @param {number=} options.samples - Number of samples kept for each statistic, defaults to 120.
+     * @param {number=} options.budget - Milliseconds a system may spend within a single frame, systems are not flagged if not specified.
+     * @param {Function=} options.onBudgetExceeded - Invoked with the details of each system that exceeds the budget.
+     * @param {number=} options.traceLimit - Maximum number of trace events kept for export, defaults to 10000.
+     * @param {Function=} options.now - Returns the current time in milliseconds.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.sampleCount = options.samples || DEFAULT_SAMPLE_COUNT;
+        this.budget = options.budget || 0;
+        this.onBudgetExceeded = options.onBudgetExceeded || null;
+        this.traceLimit = options.traceLimit !== undefined ? options.traceLimit : DEFAULT_TRACE_LIMIT;
+        this.now = options.now || defaultNow;
+
+        this.reset();
+    }
+
+    /**
+     * Discards all measurements recorded so far.
+     */
+    reset() {
+        this.frameCount = 0;
+        this.systems = new Map();
+        this.states = new Map();
+        this.phases = new Map();
+        this.traceEvents = [];
+
+        this._traceNext = 0;
+        this._frameSystems = new Map();
+        this._stateTotals = new Map();
+    }
+
+    /**
+     * Records the time taken by a single call to a system.
+     * @param {String} name - The name of the system.
+     * @param {String} stateName - The name of the state the system belongs to.
+     * @param {String} phase - The name of the method that was invoked.
+     * @param {number} start - The time (in milliseconds) the call began.
+     * @param {number} end - The time (in milliseconds) the call completed.
+     */
+    recordSystem(name, stateName, phase, start, end) {
+        const duration = end - start;
+
+        let system = this.systems.get(name);
+        if (!system) {
+            system = {
+                state: stateName,
+                overBudget: 0,
+                phases: new Map()
+            };
+
+            this.systems.set(name, system);
+        }
+
+        getStatistic(system.phases, phase, this.sampleCount).add(duration);
+
+        // Time spent by the systems of a state is combined, until the frame or state change is complete
+        let totals = this._stateTotals.get(stateName);
+        if (!totals) {
+            totals = new Map();
+            this._stateTotals.set(stateName, totals);
+        }
+
+        totals.set(phase, (totals.get(phase) || 0) + duration);
+
+        if (phase === 'onUpdate' || phase === 'onPostUpdate') {
+            this._frameSystems.set(name, (this._frameSystems.get(name) || 0) + duration);
+        }
+
+        this._addTraceEvent(name, phase, start, duration);
+    }
+
+    /**
+     * Records the time taken by a state change.
+     * @param {String} name - Description of the state change.
+     * @param {number} start - The time (in milliseconds) the state change began.
+     * @param {number} end - The time (in milliseconds) the state change completed.
+     */
+    recordTransition(name, start, end) {
+        getStatistic(this.phases, PHASE_TRANSITION, this.sampleCount).add(end - start);
+
+        this._flushStates();
+        this._addTraceEvent(name, PHASE_TRANSITION, start, end - start);
+    }
+
+    /**
+     * Records the time taken by a frame, systems that exceeded the frame budget within the frame are flagged.
+     * @param {number} start - The time (in milliseconds) the frame began.
+     * @param {number} end - The time (in milliseconds) the frame completed.
+     */
+    recordFrame(start, end) {
+        this.frameCount++;
+
+        getStatistic(this.phases, PHASE_FRAME, this.sampleCount).add(end - start);
+
+        if (this.budget) {
+            for (const name of this._frameSystems.keys()) {
+                const duration = this._frameSystems.get(name);
+
+                if (duration > this.budget) {
+                    const system = this.systems.get(name);
+
+                    system.overBudget++;
+
+                    if (this.onBudgetExceeded) {
+                        this.onBudgetExceeded({
+                            name: name,
+                            state: system.state,
+                            duration: duration,
+                            budget: this.budget,
+                            frame: this.frameCount
+                        });
+                    }
+                }
+            }
+        }
+
+        this._frameSystems.clear();
+        this._flushStates();
+        this._addTraceEvent(PHASE_FRAME, PHASE_FRAME, start, end - start);
+    }
+
+    /**
+     * Retrieves the statistics recorded so far as a plain object, all times are in milliseconds.
+     * @returns {Object} The statistics for each frame, state change, system and state.
+     */
+    getReport() {
+        const systems = {};
+        const states = {};
+
+        for (const name of this.systems.keys()) {
+            const system = this.systems.get(name);
+
+            systems[name] = {
+                state: system.state,
+                overBudget: system.overBudget,
+                phases: summarizeAll(system.phases)
+            };
+        }
+
+        for (const name of this.states.keys()) {
+            states[name] = summarizeAll(this.states.get(name));
+        }
+
+        const phases = summarizeAll(this.phases);
+
+        return {
+            frames: this.frameCount,
+            budget: this.budget,
+            frame: phases[PHASE_FRAME] || null,
+            transition: phases[PHASE_TRANSITION] || null,
+            systems: systems,
+            states: states
+        };
+    }
+
+    /**
+     * Formats the statistics of each system as a table of text, all times are in milliseconds.
+     * @returns {String} The formatted table.
+     */
+    formatTable() {
+        const report = this.getReport();
+        const rows = [['System', 'State', 'Phase', 'Calls', 'Avg', 'P95', 'Max', 'Over']];
+
+        for (const name of Object.keys(report.systems)) {
+            const system = report.systems[name];
+
+            for (const phase of Object.keys(system.phases)) {
+                const stats = system.phases[phase];
+
+                rows.push([
+                    name,
+                    system.state,
+                    phase,
+                    String(stats.count),
+                    formatTime(stats.avg),
+                    formatTime(stats.p95),
+                    formatTime(stats.max),
+                    String(system.overBudget)
+                ]);
+            }
+        }
+
+        const widths = rows[0].map((column, index) => Math.max.apply(null, rows.map(row => row[index].length)));
+
+        return rows.map(row => row.map((value, index) => {
+            const padding = ' '.repeat(widths[index] - value.length);
+
+            // Text is aligned to the left and numbers to the right
+            return index < 3 ? value + padding : padding + value;
+        }).join('  ').replace(/\s+$/, '')).join('\n') + '\n';
+    }
+
+    /**
+     * Retrieves the measurements recorded so far in the Chrome trace-event format, the result may be converted
+     * to JSON and loaded into a trace viewer such as chrome://tracing.
+     * @returns {Object} The trace, containing the list of trace events.
+     */
+    getTraceEvents() {
+        return {
+            traceEvents: this.traceEvents.slice(this._traceNext).concat(this.traceEvents.slice(0, this._traceNext)),
+            displayTimeUnit: 'ms'
+        };
+    }
+
+    /**
+     * Moves the combined time of each state since the previous flush into the statistics of the state.
+     * @private
+     */
+    _flushStates() {
+        for (const stateName of this._stateTotals.keys()) {
+            const totals = this._stateTotals.get(stateName);
+
+            let state = this.states.get(stateName);
+            if (!state) {
+                state = new Map();
+                this.states.set(stateName, state);
+            }
+
+            for (const phase of totals.keys()) {
+                getStatistic(state, phase, this.sampleCount).add(totals.get(phase));
+            }
+        }
+
+        this._stateTotals.clear();
+    }
+
+    /**
+     * Records a complete event for the trace, once the limit is reached each event replaces the oldest event.
+     * The events are held in the order they were recorded, beginning at the position of the next replacement.
+     * @param {String} name - The name of the event.
+     * @param {String} category - The category of the event.
+     * @param {number} start - The time (in milliseconds) the event began.
+     * @param {number} duration - The duration (in milliseconds) of the event.
+     * @private
+     */
+    _addTraceEvent(name, category, start, duration) {
+        if (!this.traceLimit) {
+            return;
+        }
+
+        // Trace events are measured in microseconds
+        const event = {
+            name: name,
+            cat: category,
+            ph: 'X',
+            ts: Math.round(start * 1000),
+            dur: Math.round(duration * 1000),
+            pid: 1,
+            tid: 1
+        };
+
+        if (this.traceEvents.length < this.traceLimit) {
+            this.traceEvents.push(event);
+        } else {
+            this.traceEvents[this._traceNext] = event;
+            this._traceNext = (this._traceNext + 1) % this.traceLimit;
+        }
+    }
+}
+
+Profiler.DEFAULT_SAMPLE_COUNT = DEFAULT_SAMPLE_COUNT;
+Profiler.DEFAULT_TRACE_LIMIT = DEFAULT_TRACE_LIMIT;
+
+module.exports = Profiler;
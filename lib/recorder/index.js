@@ -0,0 +1,171 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Version number written into recordings produced by the Recorder.
+ * @type {number}
+ */
+const RECORDING_VERSION = 1;
+
+/**
+ * Entry written when a state change is requested from outside the state tree, followed by the method and its arguments.
+ * @type {string}
+ */
+const ENTRY_REQUEST = 'r';
+
+/**
+ * Entry written when a frame begins, followed by the delta time and the data captured from the UpdateArgs.
+ * @type {string}
+ */
+const ENTRY_UPDATE = 'u';
+
+/**
+ * Entry written when a frame completes, followed by the active leaves and the checksum of each system.
+ * @type {string}
+ */
+const ENTRY_FRAME = 'f';
+
+/**
+ * Captures the result of a frame, the names of the active leaves and the checksums provided by the systems.
+ * @param {StateTree} stateTree - The state tree that processed the frame.
+ * @returns {Object} The active leaves and the checksum of each system that provides one.
+ */
+function captureFrame(stateTree) {
+    const checksums = {};
+
+    for (const entry of stateTree.systemOrder) {
+        if (entry.system && typeof entry.system.checksum === 'function') {
+            const value = entry.system.checksum();
+            if (value !== undefined) {
+                checksums[entry.name] = value;
+            }
+        }
+    }
+
+    return {
+        states: stateTree.getActiveLeaves().map(state => state.name),
+        checksums: checksums
+    };
+}
+
+/**
+ * Records a session so that it may be replayed exactly by the Replayer, allowing problems such as desyncs to
+ * be reproduced.
+ *
+ * Once started, the recorder captures the delta time of every frame (along with any data the title chooses to
+ * capture from its UpdateArgs), and every state change request or event made from outside the state tree.
+ * Requests made by systems are not captured, as the systems make them again when the session is replayed.
+ * After each frame, the active leaves and the value returned by the checksum method of each system are
+ * captured so the replay can be compared with the recording.
+ *
+ * When the state tree is already running, the recording begins with a snapshot of the tree. Payloads and the
+ * data captured from UpdateArgs must be able to be converted to JSON.
+ */
+class Recorder {
+
+    /**
+     * Creates a new recorder for the specified state tree.
+     * @param {StateTree} stateTree - The state tree to be recorded.
+     * @param {Object=} options - Optional settings for the recorder.
+     * @param {Function=} options.captureArgs - Returns the data to be recorded from the UpdateArgs of each frame.
+     */
+    constructor(stateTree, options) {
+        if (!stateTree) {
+            throw new Error('Recorder.constructor - A valid state tree must be supplied during construction.');
+        }
+
+        options = options || {};
+
+        this.stateTree = stateTree;
+        this.captureArgs = options.captureArgs || null;
+        this.snapshot = null;
+        this.entries = [];
+    }
+
+    /**
+     * Begins recording the state tree, any previous recording is discarded.
+     */
+    start() {
+        if (this.stateTree.recorder && this.stateTree.recorder !== this) {
+            throw new Error('Recorder.start - The state tree is already being recorded.');
+        }
+
+        this.entries = [];
+        this.snapshot = this.stateTree.stateStack.length ? this.stateTree.serialize() : null;
+        this.stateTree.recorder = this;
+    }
+
+    /**
+     * Stops recording the state tree, the recording remains available.
+     */
+    stop() {
+        if (this.stateTree.recorder === this) {
+            this.stateTree.recorder = null;
+        }
+    }
+
+    /**
+     * Called by the state tree when a state change is requested from outside the tree.
+     * @param {String} method - The name of the method used to make the request.
+     * @param {Array} args - The arguments supplied to the method.
+     */
+    recordRequest(method, args) {
+        const values = args.slice();
+
+        // Trailing arguments that were not supplied are not written
+        while (values.length && values[values.length - 1] === undefined) {
+            values.pop();
+        }
+
+        this.entries.push([ENTRY_REQUEST, method, values]);
+    }
+
+    /**
+     * Called by the state tree when a frame begins.
+     * @param {UpdateArgs} updateArgs - The object supplied to the state tree for the frame.
+     */
+    recordUpdate(updateArgs) {
+        const data = this.captureArgs ? this.captureArgs(updateArgs) : undefined;
+
+        this.entries.push(data === undefined ? [ENTRY_UPDATE, updateArgs.deltaTime] : [ENTRY_UPDATE, updateArgs.deltaTime, data]);
+    }
+
+    /**
+     * Called by the state tree when a frame has completed.
+     */
+    recordFrame() {
+        const frame = captureFrame(this.stateTree);
+
+        this.entries.push([ENTRY_FRAME, frame.states, frame.checksums]);
+    }
+
+    /**
+     * Retrieves the recording, which may be converted to JSON and supplied to the Replayer.
+     * @returns {Object} The recording.
+     */
+    getLog() {
+        return {
+            version: RECORDING_VERSION,
+            name: this.stateTree.name,
+            snapshot: this.snapshot,
+            entries: this.entries.slice()
+        };
+    }
+
+    /**
+     * Writes the recording to a file.
+     * @param {String} filePath - Path to the file that receives the recording.
+     */
+    save(filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(this.getLog()));
+    }
+}
+
+Recorder.RECORDING_VERSION = RECORDING_VERSION;
+Recorder.ENTRY_REQUEST = ENTRY_REQUEST;
+Recorder.ENTRY_UPDATE = ENTRY_UPDATE;
+Recorder.ENTRY_FRAME = ENTRY_FRAME;
+Recorder.captureFrame = captureFrame;
+
+module.exports = Recorder;
@@ -0,0 +1,157 @@
+'use strict';
+
+const fs = require('fs');
+const Recorder = require('../recorder');
+const UpdateArgs = require('../update_args');
+
+/**
+ * The state tree methods that may appear as requests within a recording.
+ * @type {Array}
+ */
+const REQUEST_METHODS = ['changeState', 'goBack', 'pushState', 'popState', 'send', 'dispatch', 'addState', 'removeState', 'addSystem', 'removeSystem'];
+
+/**
+ * Compares the result of a replayed frame with the recording.
+ * @param {number} frame - The number of the frame, beginning at 1.
+ * @param {Object} expected - The active leaves and checksums within the recording.
+ * @param {Object} actual - The active leaves and checksums produced by the replay.
+ * @returns {Object} Description of the first difference, or null if the frames match.
+ */
+function compareFrames(frame, expected, actual) {
+    if (JSON.stringify(expected.states) !== JSON.stringify(actual.states)) {
+        return {
+            frame: frame,
+            reason: 'state',
+            system: null,
+            expected: expected.states,
+            actual: actual.states
+        };
+    }
+
+    const names = Object.keys(expected.checksums);
+    for (const name of Object.keys(actual.checksums)) {
+        if (names.indexOf(name) === -1) {
+            names.push(name);
+        }
+    }
+
+    for (const name of names) {
+        if (JSON.stringify(expected.checksums[name]) !== JSON.stringify(actual.checksums[name])) {
+            return {
+                frame: frame,
+                reason: 'checksum',
+                system: name,
+                expected: expected.checksums[name],
+                actual: actual.checksums[name]
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Drives a state tree using a recording produced by the Recorder, reporting the first frame where the replay
+ * differs from the recording.
+ *
+ * The state tree should be newly created and initialized, with the same description and systems as the tree
+ * that was recorded. When the recording begins with a snapshot, the snapshot is restored before the first frame.
+ * A replay differs from the recording when the active leaves, or the checksum of any system, do not match.
+ */
+class Replayer {
+
+    /**
+     * Creates a new replayer for the specified state tree and recording.
+     * @param {StateTree} stateTree - The state tree to be driven by the recording.
+     * @param {Object} log - The recording, as returned by Recorder.getLog or Replayer.load.
+     * @param {Object=} options - Optional settings for the replayer.
+     * @param {UpdateArgs=} options.updateArgs - The object supplied to the state tree each frame.
+     * @param {Function=} options.restoreArgs - Applies the data captured from the UpdateArgs of a frame, by default the data is copied onto the object.
+     */
+    constructor(stateTree, log, options) {
+        if (!stateTree) {
+            throw new Error('Replayer.constructor - A valid state tree must be supplied during construction.');
+        }
+
+        if (!log) {
+            throw new Error('Replayer.constructor - No recording was provided.');
+        }
+
+        if (log.version !== Recorder.RECORDING_VERSION) {
+            throw new Error('Replayer.constructor - Unsupported recording version \'' + log.version + '\'.');
+        }
+
+        options = options || {};
+
+        this.stateTree = stateTree;
+        this.log = log;
+        this.updateArgs = options.updateArgs || new UpdateArgs();
+        this.restoreArgs = options.restoreArgs || ((updateArgs, data) => Object.assign(updateArgs, data));
+    }
+
+    /**
+     * Reads a recording from a file.
+     * @param {String} filePath - Path to the file containing the recording.
+     * @returns {Object} The recording.
+     */
+    static load(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Replays the entire recording, stopping at the first frame that differs from the recording.
+     * @returns {Object} The number of frames replayed and a description of the first difference, which is null if the replay matched.
+     */
+    run() {
+        const stateTree = this.stateTree;
+
+        if (!stateTree.initialized) {
+            throw new Error('Replayer.run - The state tree has not been initialized.');
+        }
+
+        if (this.log.snapshot) {
+            stateTree.restore(this.log.snapshot);
+        }
+
+        let frame = 0;
+
+        for (const entry of this.log.entries) {
+            if (entry[0] === Recorder.ENTRY_REQUEST) {
+                if (REQUEST_METHODS.indexOf(entry[1]) === -1) {
+                    throw new Error('Replayer.run - Unknown request \'' + entry[1] + '\' in recording.');
+                }
+
+                stateTree[entry[1]].apply(stateTree, entry[2]);
+            } else if (entry[0] === Recorder.ENTRY_UPDATE) {
+                frame++;
+
+                this.updateArgs.deltaTime = entry[1];
+                this.updateArgs.stateTree = stateTree;
+
+                if (entry.length > 2) {
+                    this.restoreArgs(this.updateArgs, entry[2]);
+                }
+
+                stateTree.onUpdate(this.updateArgs);
+            } else if (entry[0] === Recorder.ENTRY_FRAME) {
+                const divergence = compareFrames(frame, { states: entry[1], checksums: entry[2] }, Recorder.captureFrame(stateTree));
+
+                if (divergence) {
+                    return {
+                        frames: frame,
+                        divergence: divergence
+                    };
+                }
+            } else {
+                throw new Error('Replayer.run - Unknown entry \'' + entry[0] + '\' in recording.');
+            }
+        }
+
+        return {
+            frames: frame,
+            divergence: null
+        };
+    }
+}
+
+module.exports = Replayer;
@@ -0,0 +1,20 @@
+'use strict';
+
+const Messages = require('./messages');
+
+/**
+ * Replication of a state tree to clients. The Replicator sends the active states and replicated system data of a
+ * tree over a transport, and the Replica applies them to a read-only mirror of the tree.
+ *
+ * A transport is any object with a send method accepting a message object, and an onMessage property that the
+ * replicator or replica sets to the function receiving messages. MemoryTransport and WebSocketTransport are provided.
+ */
+module.exports = {
+    Replicator: require('./replicator.js'),
+    Replica: require('./replica.js'),
+    MemoryTransport: require('./memory_transport.js'),
+    WebSocketTransport: require('./websocket_transport.js'),
+    MESSAGE_FULL: Messages.MESSAGE_FULL,
+    MESSAGE_DELTA: Messages.MESSAGE_DELTA,
+    MESSAGE_RESYNC: Messages.MESSAGE_RESYNC
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Transport that passes messages between two objects within the same process, typically used when testing
+ * replication or when the server and client run together. Transports are created in connected pairs using
+ * createPair, messages sent by one transport are received by the other.
+ *
+ * Messages are converted to JSON as they are sent, so the receiver never shares objects with the sender. By
+ * default messages are received as soon as they are sent, when the 'queued' option is specified they are held
+ * in the queue of the receiving transport until its flush method is called.
+ */
+class MemoryTransport {
+
+    /**
+     * Creates a new, unconnected, memory transport.
+     * @param {Object=} options - Optional settings for the transport.
+     * @param {boolean=} options.queued - True if received messages are held until flush is called.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.peer = null;
+        this.queued = !!options.queued;
+        this.queue = [];
+        this.onMessage = null;
+    }
+
+    /**
+     * Creates two memory transports that are connected to each other.
+     * @param {Object=} options - Optional settings for both transports.
+     * @returns {Array} The two connected transports.
+     */
+    static createPair(options) {
+        const first = new MemoryTransport(options);
+        const second = new MemoryTransport(options);
+
+        first.peer = second;
+        second.peer = first;
+
+        return [first, second];
+    }
+
+    /**
+     * Sends a message to the connected transport.
+     * @param {Object} message - The message to be sent.
+     * @returns {boolean} True if the message was sent, false if the transport is not connected.
+     */
+    send(message) {
+        const peer = this.peer;
+        if (!peer) {
+            return false;
+        }
+
+        peer.queue.push(JSON.stringify(message));
+
+        if (!peer.queued) {
+            peer.flush();
+        }
+
+        return true;
+    }
+
+    /**
+     * Receives every message held in the queue.
+     */
+    flush() {
+        while (this.queue.length) {
+            const message = JSON.parse(this.queue.shift());
+
+            if (this.onMessage) {
+                this.onMessage(message);
+            }
+        }
+    }
+
+    /**
+     * Disconnects the transport from its peer, messages sent by either transport are discarded.
+     */
+    close() {
+        if (this.peer) {
+            this.peer.peer = null;
+            this.peer = null;
+        }
+    }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Message sent to a client containing the active states and every replicated value, followed by the sequence number
+ * of the most recent delta it includes.
+ * @type {string}
+ */
+const MESSAGE_FULL = 'f';
+
+/**
+ * Message sent to clients containing the active states, if they changed, and the replicated values that changed
+ * since the previous delta.
+ * @type {string}
+ */
+const MESSAGE_DELTA = 'd';
+
+/**
+ * Message sent by a client that has missed a delta, requesting that it be sent a full message.
+ * @type {string}
+ */
+const MESSAGE_RESYNC = 'r';
+
+module.exports = {
+    MESSAGE_FULL: MESSAGE_FULL,
+    MESSAGE_DELTA: MESSAGE_DELTA,
+    MESSAGE_RESYNC: MESSAGE_RESYNC
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+const EventProvider = require('../event_provider');
+const Messages = require('./messages');
+const StateTree = require('../state_tree');
+
+/**
+ * Names of the events raised by the replica through its EventProvider.
+ */
+const Events = {
+    APPLIED: 'applied'
+};
+
+/**
+ * Mirrors a state tree running elsewhere, such as on a server, by applying the messages sent by its Replicator.
+ *
+ * The mirror is a state tree built from the same description as the tree being replicated, it is made read-only
+ * so its active states are only changed by the replica. When the active states of the replicated tree change,
+ * they are applied to the mirror using restore, which only exits the states that are no longer active and enters
+ * those that have become active. Replicated values are written directly onto the systems of the mirror, before any states are entered.
+ * The most recent value of each replicated field is retained, so transient systems the mirror creates later, as their
+ * state is entered, receive the values that were sent before they existed.
+ *
+ * The mirror must be initialized, and the replica created, before the transport is added to the replicator so
+ * the initial full message is received. Deltas must arrive in sequence, when a delta is missed the replica requests a full message and
+ * ignores further deltas until it arrives.
+ */
+class Replica {
+
+    /**
+     * Creates a new replica that applies the messages received through a transport to a mirror state tree.
+     * @param {StateTree} stateTree - The mirror state tree, built from the same description as the replicated tree.
+     * @param {Object} transport - The transport used to communicate with the replicator.
+     */
+    constructor(stateTree, transport) {
+        if (!stateTree) {
+            throw new Error('Replica.constructor - A valid state tree must be supplied during construction.');
+        }
+
+        if (!transport) {
+            throw new Error('Replica.constructor - No transport was specified.');
+        }
+
+        this.stateTree = stateTree;
+        this.transport = transport;
+        this.events = new EventProvider();
+        this.seq = null;
+        this.resyncRequested = false;
+        this.pendingStates = null;
+        this.values = {};
+
+        this._applyStates = this._applyStates.bind(this);
+        this._onSystemInitialized = this._onSystemInitialized.bind(this);
+
+        // States that arrive while the mirror is changing state are applied once the state change has finished
+        stateTree.events.on(StateTree.Events.AFTER_TRANSITION, this._applyStates);
+        stateTree.events.on(StateTree.Events.TRANSITION_FAILED, this._applyStates);
+        stateTree.events.on(StateTree.Events.SYSTEM_INITIALIZED, this._onSystemInitialized);
+
+        stateTree.readOnly = true;
+        transport.onMessage = message => this.receive(message);
+    }
+
+    /**
+     * Determines whether the mirror has received a full message and has not since missed a delta.
+     * @returns {boolean} True if the mirror is up to date with the messages received.
+     */
+    get synchronized() {
+        return this.seq !== null && !this.resyncRequested;
+    }
+
+    /**
+     * Applies a message sent by the replicator, this is invoked by the transport as each message arrives.
+     * @param {Object} message - The message that was received.
+     */
+    receive(message) {
+        if (!message) {
+            return;
+        }
+
+        if (!this.stateTree.initialized) {
+            throw new Error('Replica.receive - The state tree has not been initialized.');
+        }
+
+        if (message.type === Messages.MESSAGE_FULL) {
+            this.seq = message.seq;
+            this.resyncRequested = false;
+            this._apply(message, true);
+        } else if (message.type === Messages.MESSAGE_DELTA) {
+            if (this.seq !== null && message.seq <= this.seq) {
+                return;
+            }
+
+            if (this.seq === null || message.seq !== this.seq + 1) {
+                this.requestResync();
+                return;
+            }
+
+            this.seq = message.seq;
+            this._apply(message, false);
+        } else {
+            throw new Error('Replica.receive - Unknown message type \'' + message.type + '\'.');
+        }
+    }
+
+    /**
+     * Requests a full message from the replicator, deltas are ignored until it arrives. A request is only sent
+     * if one is not already outstanding.
+     */
+    requestResync() {
+        if (!this.resyncRequested) {
+            this.resyncRequested = true;
+            this.transport.send({ type: Messages.MESSAGE_RESYNC });
+        }
+    }
+
+    /**
+     * Stops applying messages to the mirror, which is no longer read-only.
+     */
+    close() {
+        this.stateTree.events.off(StateTree.Events.AFTER_TRANSITION, this._applyStates);
+        this.stateTree.events.off(StateTree.Events.TRANSITION_FAILED, this._applyStates);
+        this.stateTree.events.off(StateTree.Events.SYSTEM_INITIALIZED, this._onSystemInitialized);
+        this.stateTree.readOnly = false;
+        this.transport.onMessage = null;
+    }
+
+    /**
+     * Writes the replicated values within a message onto the systems of the mirror, then applies its states.
+     * @param {Object} message - The full or delta message.
+     * @param {boolean} full - True if the message is a full message.
+     * @private
+     */
+    _apply(message, full) {
+        const systems = message.systems || {};
+
+        if (full) {
+            this.values = {};
+        }
+
+        for (const name of Object.keys(systems)) {
+            const system = this.stateTree.systemMap.get(name);
+
+            this.values[name] = Object.assign(this.values[name] || {}, systems[name]);
+
+            // Systems the mirror does not contain are ignored
+            if (system) {
+                Object.assign(system, systems[name]);
+            }
+        }
+
+        if (message.states) {
+            this.pendingStates = message.states;
+            this._applyStates();
+        }
+
+        this.events.fire(Events.APPLIED, {
+            seq: message.seq,
+            full: full,
+            states: !!message.states,
+            systems: Object.keys(systems)
+        });
+    }
+
+    /**
+     * Writes the most recent replicated values onto a system the mirror has just created, such as a transient
+     * system whose state is being entered.
+     * @param {Object} e - The 'systemInitialized' event.
+     * @private
+     */
+    _onSystemInitialized(e) {
+        const values = this.values[e.name];
+
+        if (values) {
+            Object.assign(e.system, values);
+        }
+    }
+
+    /**
+     * Enters the most recently received active states, unless the mirror is changing state.
+     * @private
+     */
+    _applyStates() {
+        if (!this.pendingStates || this.stateTree.currentTransition) {
+            return;
+        }
+
+        const states = this.pendingStates;
+
+        this.pendingStates = null;
+        this.stateTree.restore({
+            version: StateTree.SNAPSHOT_VERSION,
+            name: this.stateTree.name,
+            stack: states
+        }, { keepActive: true });
+    }
+}
+
+Replica.Events = Events;
+
+module.exports = Replica;
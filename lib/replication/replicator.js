@@ -0,0 +1,215 @@
+'use strict';
+
+const Messages = require('./messages');
+
+/**
+ * Captures the active branches of a state tree, in the form used by the stack of a snapshot.
+ * @param {StateTree} stateTree - The state tree being replicated.
+ * @returns {Array} The state, branch root and leaf names of each entry in the state stack.
+ */
+function captureStates(stateTree) {
+    const getName = state => state ? state.name : null;
+
+    return stateTree.stateStack.map(entry => ({
+        state: getName(entry.state),
+        branchRoot: getName(entry.branchRoot),
+        leaves: entry.leaves.map(getName)
+    }));
+}
+
+/**
+ * Captures the replicated fields of every system, each value is held as JSON so it may be compared cheaply.
+ * Systems declare their replicated fields by attaching a 'Replicated' array of field names to their type.
+ * @param {StateTree} stateTree - The state tree being replicated.
+ * @returns {Map} Map of system names to a map of their field names and values.
+ */
+function captureValues(stateTree) {
+    const values = new Map();
+
+    for (const name of stateTree.systemMap.keys()) {
+        const system = stateTree.systemMap.get(name);
+        const fields = system.constructor.Replicated;
+
+        if (fields && fields.length) {
+            const entry = new Map();
+
+            for (const field of fields) {
+                entry.set(field, JSON.stringify(system[field]));
+            }
+
+            values.set(name, entry);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Converts the JSON of a field back into a value, fields holding undefined are sent as null.
+ * @param {String} json - The JSON of the field.
+ * @returns {*} The value of the field.
+ */
+function parseValue(json) {
+    return json === undefined ? null : JSON.parse(json);
+}
+
+/**
+ * Sends the active states and replicated system data of a state tree to clients, allowing them to mirror the
+ * tree using a Replica.
+ *
+ * Each connection is a transport that sends messages to a single client. When a connection is added, the client
+ * is sent a full message containing the active states and every replicated value. Each call to update then sends
+ * a delta to every client, containing the active states if they have changed and only those replicated values that
+ * have changed. Nothing is sent when nothing has changed.
+ *
+ * Systems declare the fields to be replicated by attaching a 'Replicated' array of field names to their type,
+ * the values of these fields must be able to be converted to JSON. Every delta carries a sequence number, a client
+ * that detects a missing delta requests a full message before applying any more deltas.
+ */
+class Replicator {
+
+    /**
+     * Creates a new replicator for the specified state tree.
+     * @param {StateTree} stateTree - The state tree to be replicated.
+     */
+    constructor(stateTree) {
+        if (!stateTree) {
+            throw new Error('Replicator.constructor - A valid state tree must be supplied during construction.');
+        }
+
+        this.stateTree = stateTree;
+        this.connections = [];
+        this.seq = 0;
+        this.states = null;
+        this.values = new Map();
+
+        this._capture();
+    }
+
+    /**
+     * Begins sending messages to a client, the client is immediately sent a full message.
+     * @param {Object} transport - The transport used to communicate with the client.
+     */
+    addConnection(transport) {
+        if (!transport) {
+            throw new Error('Replicator.addConnection - No transport was specified.');
+        }
+
+        if (this.connections.indexOf(transport) !== -1) {
+            throw new Error('Replicator.addConnection - The transport has already been added.');
+        }
+
+        this.connections.push(transport);
+
+        transport.onMessage = message => {
+            if (message && message.type === Messages.MESSAGE_RESYNC) {
+                this.sendFull(transport);
+            }
+        };
+
+        this.sendFull(transport);
+    }
+
+    /**
+     * Stops sending messages to a client.
+     * @param {Object} transport - The transport that was supplied to addConnection.
+     */
+    removeConnection(transport) {
+        const index = this.connections.indexOf(transport);
+        if (index !== -1) {
+            this.connections.splice(index, 1);
+            transport.onMessage = null;
+        }
+    }
+
+    /**
+     * Sends a full message to a client, containing the active states and replicated values as of the most recent
+     * delta.
+     * @param {Object} transport - The transport used to communicate with the client.
+     */
+    sendFull(transport) {
+        const systems = {};
+
+        for (const name of this.values.keys()) {
+            const entry = this.values.get(name);
+
+            systems[name] = {};
+
+            for (const field of entry.keys()) {
+                systems[name][field] = parseValue(entry.get(field));
+            }
+        }
+
+        transport.send({
+            type: Messages.MESSAGE_FULL,
+            seq: this.seq,
+            states: JSON.parse(this.states),
+            systems: systems
+        });
+    }
+
+    /**
+     * Sends the changes made since the previous update to every client, this is typically called once the
+     * state tree has processed a frame.
+     * @returns {boolean} True if a delta was sent otherwise false.
+     */
+    update() {
+        const previousStates = this.states;
+        const previousValues = this.values;
+
+        this._capture();
+
+        const message = {
+            type: Messages.MESSAGE_DELTA,
+            seq: this.seq + 1
+        };
+
+        let changed = false;
+
+        if (this.states !== previousStates) {
+            message.states = JSON.parse(this.states);
+            changed = true;
+        }
+
+        for (const name of this.values.keys()) {
+            const entry = this.values.get(name);
+            const previous = previousValues.get(name);
+
+            for (const field of entry.keys()) {
+                const value = entry.get(field);
+
+                if (!previous || previous.get(field) !== value) {
+                    message.systems = message.systems || {};
+                    message.systems[name] = message.systems[name] || {};
+                    message.systems[name][field] = parseValue(value);
+                    changed = true;
+                }
+            }
+        }
+
+        if (!changed) {
+            return false;
+        }
+
+        this.seq = message.seq;
+
+        for (const transport of this.connections) {
+            transport.send(message);
+        }
+
+        return true;
+    }
+
+    /**
+     * Captures the current active states and replicated values of the state tree.
+     * @private
+     */
+    _capture() {
+        this.states = JSON.stringify(captureStates(this.stateTree));
+        this.values = captureValues(this.stateTree);
+    }
+}
+
+Replicator.captureStates = captureStates;
+
+module.exports = Replicator;
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * The readyState of a WebSocket that is able to send messages.
+ * @type {number}
+ */
+const READY_STATE_OPEN = 1;
+
+/**
+ * Transport that sends messages over a WebSocket, or any object with the same interface. Both the browser
+ * WebSocket (which supports addEventListener) and Node.js implementations that use on are supported.
+ *
+ * Messages are sent as JSON. While the socket is not open messages are discarded, the Replica requests a full
+ * message once it notices the missing delta. Received data that is not valid JSON is ignored.
+ */
+class WebSocketTransport {
+
+    /**
+     * Creates a new transport for the specified socket.
+     * @param {Object} socket - The WebSocket used to send and receive messages.
+     */
+    constructor(socket) {
+        if (!socket) {
+            throw new Error('WebSocketTransport.constructor - No socket was specified.');
+        }
+
+        if (typeof socket.addEventListener !== 'function' && typeof socket.on !== 'function') {
+            throw new Error('WebSocketTransport.constructor - The socket does not support message listeners.');
+        }
+
+        this.socket = socket;
+        this.onMessage = null;
+
+        this._onSocketMessage = this._onSocketMessage.bind(this);
+
+        if (typeof socket.addEventListener === 'function') {
+            socket.addEventListener('message', this._onSocketMessage);
+        } else {
+            socket.on('message', this._onSocketMessage);
+        }
+    }
+
+    /**
+     * Sends a message over the socket.
+     * @param {Object} message - The message to be sent.
+     * @returns {boolean} True if the message was sent, false if the socket is not open.
+     */
+    send(message) {
+        if (this.socket.readyState !== undefined && this.socket.readyState !== READY_STATE_OPEN) {
+            return false;
+        }
+
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    /**
+     * Stops listening to the socket, the socket itself is not closed.
+     */
+    close() {
+        if (typeof this.socket.removeEventListener === 'function') {
+            this.socket.removeEventListener('message', this._onSocketMessage);
+        } else if (typeof this.socket.removeListener === 'function') {
+            this.socket.removeListener('message', this._onSocketMessage);
+        }
+
+        this.onMessage = null;
+    }
+
+    /**
+     * Invoked when the socket receives data, the browser supplies an event while Node.js supplies the data itself.
+     * @param {Object} event - The message event, or the data that was received.
+     * @private
+     */
+    _onSocketMessage(event) {
+        const data = event && event.data !== undefined ? event.data : event;
+
+        let message;
+
+        try {
+            message = JSON.parse(String(data));
+        } catch (err) {
+            return;
+        }
+
+        if (this.onMessage) {
+            this.onMessage(message);
+        }
+    }
+}
+
+WebSocketTransport.READY_STATE_OPEN = READY_STATE_OPEN;
+
+module.exports = WebSocketTransport;
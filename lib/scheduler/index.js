@@ -0,0 +1,254 @@
+'use strict';
+
+/**
+ * Runs timers using the time supplied with each frame, rather than the system clock, so timers only advance
+ * while the title is being updated.
+ *
+ * Each timer is scoped to a game state, by default the state owning the system that was being invoked when the
+ * timer was created. A timer only advances during frames in which its state is updated, so its timers are
+ * suspended while the branch containing the state is exited (or suspended beneath an overlay) and resume when
+ * it is entered again. Timers created outside of a system belong to the scheduler itself and advance every frame.
+ *
+ * Within a frame, timers fire in the order they became due, timers that became due at the same time fire in the
+ * order they were created. A repeating timer fires once for each interval that elapsed during the frame. Timers
+ * created during a frame begin advancing in the following frame, and a timer cancelled earlier in the frame
+ * does not fire.
+ */
+class Scheduler {
+
+    /**
+     * Creates a new scheduler.
+     * @param {Object=} options - Optional settings for the scheduler.
+     * @param {Function=} options.onError - Invoked with the timer and the error when a timer raises an exception, the exception is passed on if not specified.
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.onError = options.onError || null;
+        this.timers = [];
+        this.nextId = 1;
+        this.scope = null;
+    }
+
+    /**
+     * Retrieves the number of timers waiting to fire.
+     * @returns {number} The number of timers.
+     */
+    get count() {
+        return this.timers.length;
+    }
+
+    /**
+     * Creates a timer that fires once, after the specified delay.
+     * @param {number} delay - The time (in seconds) before the timer fires.
+     * @param {Function} callback - Invoked with the id of the timer when it fires.
+     * @param {GameState=} state - The state the timer is scoped to, by default the state of the system creating the timer.
+     * @returns {number} The id of the timer, which may be supplied to cancel.
+     */
+    after(delay, callback, state) {
+        if (typeof delay !== 'number' || delay < 0) {
+            throw new Error('Scheduler.after - The delay must be a number that is not negative.');
+        }
+
+        return this._addTimer('after', delay, 0, callback, state);
+    }
+
+    /**
+     * Creates a timer that fires repeatedly, each time the specified interval elapses.
+     * @param {number} interval - The time (in seconds) between each firing of the timer.
+     * @param {Function} callback - Invoked with the id of the timer each time it fires.
+     * @param {GameState=} state - The state the timer is scoped to, by default the state of the system creating the timer.
+     * @returns {number} The id of the timer, which may be supplied to cancel.
+     */
+    every(interval, callback, state) {
+        if (typeof interval !== 'number' || interval <= 0) {
+            throw new Error('Scheduler.every - The interval must be a number greater than zero.');
+        }
+
+        return this._addTimer('every', interval, interval, callback, state);
+    }
+
+    /**
+     * Cancels a timer, so that it does not fire again.
+     * @param {number} id - The id of the timer to be cancelled.
+     * @returns {boolean} True if the timer was cancelled, false if it has already fired or been cancelled.
+     */
+    cancel(id) {
+        for (const timer of this.timers) {
+            if (timer.id === id) {
+                this._removeTimer(timer);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Cancels every timer scoped to the specified state.
+     * @param {GameState} state - The state whose timers are to be cancelled.
+     * @returns {number} The number of timers that were cancelled.
+     */
+    cancelState(state) {
+        const timers = this.timers.filter(timer => timer.state === state);
+
+        for (const timer of timers) {
+            this._removeTimer(timer);
+        }
+
+        return timers.length;
+    }
+
+    /**
+     * Cancels every timer created by the specified system.
+     * @param {GameSystem} system - The system whose timers are to be cancelled.
+     * @returns {number} The number of timers that were cancelled.
+     */
+    cancelSystem(system) {
+        const timers = this.timers.filter(timer => timer.system === system);
+
+        for (const timer of timers) {
+            this._removeTimer(timer);
+        }
+
+        return timers.length;
+    }
+
+    /**
+     * Moves each scoped timer to the state returned for it, such as when the states of a tree are replaced while
+     * reloading. Timers for which no state is returned are cancelled.
+     * @param {Function} getState - Receives each scoped timer and returns its new state, or null to cancel it.
+     */
+    moveTimers(getState) {
+        for (const timer of this.timers.slice()) {
+            if (timer.state) {
+                const state = getState(timer);
+
+                if (state) {
+                    timer.state = state;
+                } else {
+                    this._removeTimer(timer);
+                }
+            }
+        }
+    }
+
+    /**
+     * Cancels every timer.
+     */
+    clear() {
+        for (const timer of this.timers) {
+            timer.cancelled = true;
+        }
+
+        this.timers = [];
+    }
+
+    /**
+     * Advances the timers whose state is being updated, and fires those that have become due.
+     * @param {number} deltaTime - The time (in seconds) since the previous update.
+     * @param {Set=} states - The game states being updated, timers scoped to any state advance if not specified.
+     */
+    update(deltaTime, states) {
+        const running = this.timers.filter(timer => !timer.state || !states || states.has(timer.state));
+
+        for (const timer of running) {
+            timer.remaining -= deltaTime;
+        }
+
+        for (;;) {
+            let next = null;
+
+            // The timer that became due earliest has the least time remaining
+            for (const timer of running) {
+                if (!timer.cancelled && timer.remaining <= 0) {
+                    if (!next || timer.remaining < next.remaining || (timer.remaining === next.remaining && timer.id < next.id)) {
+                        next = timer;
+                    }
+                }
+            }
+
+            if (!next) {
+                return;
+            }
+
+            if (next.interval) {
+                next.remaining += next.interval;
+            } else {
+                this._removeTimer(next);
+            }
+
+            this._fireTimer(next);
+        }
+    }
+
+    /**
+     * Creates a new timer, scoped to the supplied state or the state of the system currently being invoked.
+     * @param {String} caller - The name of the method creating the timer.
+     * @param {number} delay - The time (in seconds) before the timer first fires.
+     * @param {number} interval - The time (in seconds) between each firing, or zero if the timer fires once.
+     * @param {Function} callback - Invoked with the id of the timer when it fires.
+     * @param {GameState=} state - The state the timer is scoped to.
+     * @returns {number} The id of the timer.
+     * @private
+     */
+    _addTimer(caller, delay, interval, callback, state) {
+        if (typeof callback !== 'function') {
+            throw new Error('Scheduler.' + caller + ' - No callback was specified.');
+        }
+
+        const scope = this.scope;
+        const timer = {
+            id: this.nextId++,
+            state: state || (scope ? scope.state : null),
+            system: !state && scope ? scope.system : null,
+            interval: interval,
+            remaining: delay,
+            callback: callback,
+            cancelled: false
+        };
+
+        this.timers.push(timer);
+
+        return timer.id;
+    }
+
+    /**
+     * Removes a timer from the scheduler.
+     * @param {Object} timer - The timer to be removed.
+     * @private
+     */
+    _removeTimer(timer) {
+        const index = this.timers.indexOf(timer);
+        if (index !== -1) {
+            this.timers.splice(index, 1);
+        }
+
+        timer.cancelled = true;
+    }
+
+    /**
+     * Invokes the callback of a timer, timers created by the callback share the scope of the timer.
+     * @param {Object} timer - The timer that has fired.
+     * @private
+     */
+    _fireTimer(timer) {
+        const previous = this.scope;
+
+        this.scope = timer.state ? { state: timer.state, system: timer.system } : null;
+
+        try {
+            timer.callback(timer.id);
+        } catch (err) {
+            if (!this.onError) {
+                throw err;
+            }
+
+            this.onError(timer, err);
+        } finally {
+            this.scope = previous;
+        }
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,371 @@
+'use strict';
+
+const EventProvider = require('../event_provider');
+const InitArgs = require('../init_args');
+const StateTree = require('../state_tree');
+const UpdateArgs = require('../update_args');
+
+/**
+ * Reason supplied with the 'sessionEnded' event when the session was ended by the title.
+ * @type {string}
+ */
+const REASON_ENDED = 'ended';
+
+/**
+ * Reason supplied with the 'sessionEnded' event when the session was not used within the idle timeout.
+ * @type {string}
+ */
+const REASON_IDLE = 'idle';
+
+/**
+ * Reason supplied with the 'sessionEnded' event when the session raised an exception.
+ * @type {string}
+ */
+const REASON_FAILED = 'failed';
+
+/**
+ * Names of the events raised by the session manager through its EventProvider.
+ */
+const Events = {
+    SESSION_CREATED: 'sessionCreated',
+    SESSION_FAILED: 'sessionFailed',
+    SESSION_ENDED: 'sessionEnded'
+};
+
+/**
+ * Returns the current time in milliseconds, used when the title does not supply its own clock.
+ * @returns {number} The current time in milliseconds.
+ */
+function defaultNow() {
+    const time = process.hrtime();
+
+    return time[0] * 1000 + time[1] / 1000000;
+}
+
+/**
+ * Hosts many state trees within a single process, such as the matches running on a server. Each session is
+ * created from the shared factory and description, and is identified by its id.
+ *
+ * Calling update ticks every session, or when a batch size is specified, the next batch of sessions in
+ * round-robin order. Sessions that are not ticked accumulate the elapsed time, so each session receives the
+ * time since it was last ticked.
+ *
+ * An exception raised by a session is reported through the 'sessionFailed' event and the onError callback, and
+ * the session is ended, other sessions are unaffected. This includes state changes the state tree applies on its
+ * own tick, that either fail or are rejected while the transition policy raises exceptions. When an idle timeout
+ * is specified, sessions that have not been touched within the timeout are ended. The onDestroy method of the
+ * state tree is invoked whenever a session ends.
+ */
+class SessionManager {
+
+    /**
+     * Creates a new session manager.
+     * @param {Object} factory - The factory used to create the systems of each session.
+     * @param {Object} desc - The description of the state tree used by each session.
+     * @param {Object=} options - Optional settings for the session manager.
+     * @param {number=} options.batchSize - Number of sessions ticked by each update, all sessions are ticked if not specified.
+     * @param {number=} options.idleTimeout - Milliseconds a session may go without being touched before it is ended, sessions do not idle out if not specified.
+     * @param {Function=} options.createInitArgs - Returns the InitArgs supplied to the state tree of a new session.
+     * @param {Function=} options.createUpdateArgs - Returns the UpdateArgs supplied to the state tree of a session each tick.
+     * @param {Function=} options.onError - Invoked with the session and the error when a session raises an exception, in addition to the 'sessionFailed' event.
+     * @param {Function=} options.now - Returns the current time in milliseconds.
+     */
+    constructor(factory, desc, options) {
+        if (!factory) {
+            throw new Error('SessionManager.constructor - A valid system factory must be supplied during construction.');
+        }
+
+        if (!desc) {
+            throw new Error('SessionManager.constructor - No description was provided.');
+        }
+
+        options = options || {};
+
+        this.factory = factory;
+        this.desc = desc;
+        this.batchSize = options.batchSize || 0;
+        this.idleTimeout = options.idleTimeout || 0;
+        this.createInitArgs = options.createInitArgs || (() => new InitArgs());
+        this.createUpdateArgs = options.createUpdateArgs || (() => new UpdateArgs());
+        this.onError = options.onError || null;
+        this.now = options.now || defaultNow;
+        this.events = new EventProvider();
+
+        this.sessions = new Map();
+        this.nextId = 1;
+        this.cursor = 0;
+    }
+
+    /**
+     * Retrieves the number of sessions currently hosted.
+     * @returns {number} The number of sessions.
+     */
+    get count() {
+        return this.sessions.size;
+    }
+
+    /**
+     * Creates and initializes a new session.
+     * @param {String=} id - The id of the session, an id is generated if not specified.
+     * @returns {Object} The session, containing its id and state tree.
+     */
+    create(id) {
+        const sessionId = id !== undefined ? String(id) : String(this.nextId++);
+
+        if (this.sessions.has(sessionId)) {
+            throw new Error('SessionManager.create - Session \'' + sessionId + '\' already exists.');
+        }
+
+        const now = this.now();
+        const session = {
+            id: sessionId,
+            stateTree: new StateTree(this.factory, this.desc),
+            updateArgs: this.createUpdateArgs(),
+            createdAt: now,
+            lastActive: now,
+            pendingTime: 0,
+            ticks: 0,
+            ended: false
+        };
+
+        this.sessions.set(sessionId, session);
+        this._watchSession(session);
+
+        try {
+            session.stateTree.onInitialize(this.createInitArgs(session)).catch(err => this._fail(session, err));
+        } catch (err) {
+            // Systems initialized before the exception was raised are destroyed along with the tree
+            this.sessions.delete(sessionId);
+            session.ended = true;
+
+            try {
+                session.stateTree.onDestroy().catch(destroyErr => this._reportError(session, destroyErr));
+            } catch (destroyErr) {
+                this._reportError(session, destroyErr);
+            }
+
+            throw err;
+        }
+
+        this.events.fire(Events.SESSION_CREATED, { id: sessionId, session: session });
+
+        return session;
+    }
+
+    /**
+     * Retrieves the session associated with the specified id.
+     * @param {String} id - The id of the session.
+     * @returns {Object} The session, or undefined if it does not exist.
+     */
+    get(id) {
+        return this.sessions.get(String(id));
+    }
+
+    /**
+     * Records activity within a session, preventing it from idling out.
+     * @param {String} id - The id of the session.
+     */
+    touch(id) {
+        const session = this.sessions.get(String(id));
+        if (!session) {
+            throw new Error('SessionManager.touch - Session \'' + id + '\' could not be found.');
+        }
+
+        session.lastActive = this.now();
+    }
+
+    /**
+     * Ends a session, its state tree is destroyed.
+     * @param {String} id - The id of the session to be ended.
+     * @returns {Promise} Promise that is fulfilled once the state tree has been destroyed.
+     */
+    end(id) {
+        const session = this.sessions.get(String(id));
+        if (!session) {
+            throw new Error('SessionManager.end - Session \'' + id + '\' could not be found.');
+        }
+
+        return this._end(session, REASON_ENDED);
+    }
+
+    /**
+     * Ends every session.
+     * @returns {Promise} Promise that is fulfilled once every state tree has been destroyed.
+     */
+    endAll() {
+        return Promise.all(Array.from(this.sessions.values()).map(session => this._end(session, REASON_ENDED)));
+    }
+
+    /**
+     * Ticks the sessions, ending any that have idled out. When a batch size was specified only the next batch of
+     * sessions is ticked, the others accumulate the elapsed time until their turn.
+     * @param {number} deltaTime - The time (in seconds) since the previous update.
+     * @returns {number} The number of sessions that were ticked.
+     */
+    update(deltaTime) {
+        const now = this.now();
+        const sessions = Array.from(this.sessions.values());
+
+        for (const session of sessions) {
+            session.pendingTime += deltaTime;
+
+            if (this.idleTimeout && now - session.lastActive > this.idleTimeout) {
+                this._end(session, REASON_IDLE).catch(err => this._reportError(session, err));
+            }
+        }
+
+        const active = sessions.filter(session => !session.ended);
+        const count = this.batchSize ? Math.min(this.batchSize, active.length) : active.length;
+
+        if (this.cursor >= active.length) {
+            this.cursor = 0;
+        }
+
+        for (let loop = 0; loop < count; ++loop) {
+            const session = active[(this.cursor + loop) % active.length];
+
+            session.updateArgs.deltaTime = session.pendingTime;
+            session.updateArgs.stateTree = session.stateTree;
+            session.pendingTime = 0;
+            session.ticks++;
+
+            try {
+                session.stateTree.onUpdate(session.updateArgs);
+            } catch (err) {
+                this._fail(session, err);
+            }
+        }
+
+        this.cursor = active.length ? (this.cursor + count) % active.length : 0;
+
+        return count;
+    }
+
+    /**
+     * Retrieves information about a session, including its active states.
+     * @param {String} id - The id of the session.
+     * @returns {Object} Information about the session, or null if it does not exist.
+     */
+    getSessionInfo(id) {
+        const session = this.sessions.get(String(id));
+        if (!session) {
+            return null;
+        }
+
+        const stateTree = session.stateTree;
+
+        return {
+            id: session.id,
+            activeState: stateTree.activeState ? stateTree.activeState.name : null,
+            activeLeaves: stateTree.getActiveLeaves().map(state => state.name),
+            transitioning: !!stateTree.currentTransition,
+            ticks: session.ticks,
+            idleTime: this.now() - session.lastActive
+        };
+    }
+
+    /**
+     * Retrieves information about every session, along with the number of sessions in each active state.
+     * @returns {Object} The number of sessions, the number in each active state and information about each session.
+     */
+    getStats() {
+        const states = {};
+        const sessions = [];
+
+        for (const id of this.sessions.keys()) {
+            const info = this.getSessionInfo(id);
+            const name = info.activeState || '(none)';
+
+            states[name] = (states[name] || 0) + 1;
+            sessions.push(info);
+        }
+
+        return {
+            count: this.sessions.size,
+            states: states,
+            sessions: sessions
+        };
+    }
+
+    /**
+     * Listens for state changes the state tree of a session could not apply during its own tick, which have no
+     * caller to receive the exception. A rejected state change only fails the session when the transition policy
+     * of the tree would otherwise raise an exception.
+     * @param {Object} session - The session being created.
+     * @private
+     */
+    _watchSession(session) {
+        const stateTree = session.stateTree;
+
+        stateTree.events.on(StateTree.Events.APPLY_FAILED, e => this._fail(session, e.error));
+        stateTree.events.on(StateTree.Events.TRANSITION_REJECTED, (e) => {
+            if (stateTree.transitionPolicy !== StateTree.POLICY_NOTIFY) {
+                this._fail(session, new Error(e.reason));
+            }
+        });
+    }
+
+    /**
+     * Reports an exception raised by a session through the 'sessionFailed' event and the onError callback.
+     * @param {Object} session - The session that raised the exception.
+     * @param {Error} err - The exception raised by the session.
+     * @private
+     */
+    _reportError(session, err) {
+        this.events.fire(Events.SESSION_FAILED, { id: session.id, session: session, error: err });
+
+        if (this.onError) {
+            this.onError(session, err);
+        }
+    }
+
+    /**
+     * Ends a session that raised an exception, once the error has been reported.
+     * @param {Object} session - The session that failed.
+     * @param {Error} err - The exception raised by the session.
+     * @private
+     */
+    _fail(session, err) {
+        if (session.ended) {
+            return;
+        }
+
+        this._reportError(session, err);
+        this._end(session, REASON_FAILED).catch(destroyErr => this._reportError(session, destroyErr));
+    }
+
+    /**
+     * Removes a session from the manager and destroys its state tree.
+     * @param {Object} session - The session to be ended.
+     * @param {String} reason - Why the session is being ended.
+     * @returns {Promise} Promise that is fulfilled once the state tree has been destroyed.
+     * @private
+     */
+    _end(session, reason) {
+        if (session.ended) {
+            return Promise.resolve();
+        }
+
+        session.ended = true;
+        this.sessions.delete(session.id);
+
+        let destroying;
+
+        try {
+            destroying = session.stateTree.onDestroy();
+        } catch (err) {
+            destroying = Promise.reject(err);
+        }
+
+        this.events.fire(Events.SESSION_ENDED, { id: session.id, session: session, reason: reason });
+
+        return destroying;
+    }
+}
+
+SessionManager.REASON_ENDED = REASON_ENDED;
+SessionManager.REASON_IDLE = REASON_IDLE;
+SessionManager.REASON_FAILED = REASON_FAILED;
+SessionManager.Events = Events;
+
+module.exports = SessionManager;
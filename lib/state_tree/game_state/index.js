@@ -1,5 +1,82 @@
 'use strict';
 
+/**
+ * Overlay mode where the branch beneath an overlay state does not receive frame updates.
+ * @type {string}
+ */
+const OVERLAY_SUSPEND = 'suspend';
+
+/**
+ * Overlay mode where the branch beneath an overlay state continues to receive frame updates.
+ * @type {string}
+ */
+const OVERLAY_UPDATE = 'update';
+
+/**
+ * History mode where re-entering a state returns to its most recently active child.
+ * @type {string}
+ */
+const HISTORY_SHALLOW = 'shallow';
+
+/**
+ * History mode where re-entering a state returns to its most recently active leaf at every depth.
+ * @type {string}
+ */
+const HISTORY_DEEP = 'deep';
+
+/**
+ * Error policy where an exception raised by a system is passed on to the caller.
+ * @type {string}
+ */
+const ERROR_THROW = 'throw';
+
+/**
+ * Error policy where an exception raised by a system is logged, and processing continues with the next system.
+ * @type {string}
+ */
+const ERROR_LOG = 'log';
+
+/**
+ * Error policy where a system that raises an exception is disabled, it receives no further calls until re-enabled.
+ * @type {string}
+ */
+const ERROR_DISABLE = 'disable';
+
+/**
+ * Error policy where an exception raised by a system causes the state tree to change to the designated error state.
+ * @type {string}
+ */
+const ERROR_TRANSITION = 'transition';
+
+/**
+ * List of the supported error policies.
+ * @type {Array}
+ */
+const ERROR_POLICIES = [ERROR_THROW, ERROR_LOG, ERROR_DISABLE, ERROR_TRANSITION];
+
+/**
+ * System lifetime where the system is created when the state tree is initialized, and exists until it is destroyed.
+ * @type {string}
+ */
+const LIFETIME_TREE = 'tree';
+
+/**
+ * System lifetime where the system is created each time its state is entered, and destroyed when it is exited.
+ * @type {string}
+ */
+const LIFETIME_ACTIVE = 'active';
+
+/**
+ * Adds the value returned by a system method to a list of pending promises, if the value is a promise.
+ * @param {Array=} pending - List that receives any promise, may be undefined if the caller does not wait.
+ * @param {*} result - The value returned by the system method.
+ */
+function addPending(pending, result) {
+    if (pending && result && typeof result.then === 'function') {
+        pending.push(result);
+    }
+}
+
 /**
  * Represents a leaf in the state tree for a running title, when a game state is active
  * all parent states within the hierarchy are also considered active.
@@ -7,6 +84,13 @@
  * Game states do not include processing themselves, frame processing is provided by
  * implementing GameSystem objects and assigning them to a game state. An active
  * game state will forward updates to its assigned system objects.
+ *
+ * A system whose description declares the 'active' lifetime is transient, it is only created while its
+ * state is active. The object of a transient system is assigned using attachSystem when the state is
+ * entered, and removed using detachSystem once the state has been exited.
+ *
+ * Systems may be added to, or removed from, a state while the state tree is running using addSystem and
+ * removeSystem. The state tree applies the change, invoking the lifecycle methods of the system.
  */
 class GameState {
 
@@ -16,17 +100,62 @@ class GameState {
      * @param {Object} desc - Description of the state to be initialized.
      */
     constructor(stateTree, desc) {
+        this.stateTree = stateTree || null;
         this.parent = null;
         this.childNames = [];
 
         this.children = new Map();
         this.gameSystems = new Map();
+        this.transitions = new Map();
 
         this.childList = [];
         this.systemList = [];
 
+        this.overlayMode = OVERLAY_SUSPEND;
+        this.allowedTransitions = null;
+        this.parallel = false;
+        this.treeIndex = 0;
+
+        this.initialName = null;
+        this.initialChild = null;
+        this.historyMode = null;
+        this.lastActiveChild = null;
+
+        this.errorPolicy = null;
+        this.errorStateName = null;
+        this.errorState = null;
+
         if (desc) {
             this.name = desc.name;
+            this.parallel = !!desc.parallel;
+
+            if (desc.overlay) {
+                if (desc.overlay !== OVERLAY_SUSPEND && desc.overlay !== OVERLAY_UPDATE) {
+                    throw new Error('GameState.constructor - Unknown overlay mode \'' + desc.overlay + '\' in state \'' + desc.name + '\'.');
+                }
+
+                this.overlayMode = desc.overlay;
+            }
+
+            if (desc.history) {
+                if (desc.history !== HISTORY_SHALLOW && desc.history !== HISTORY_DEEP) {
+                    throw new Error('GameState.constructor - Unknown history mode \'' + desc.history + '\' in state \'' + desc.name + '\'.');
+                }
+
+                this.historyMode = desc.history;
+            }
+
+            this.initialName = desc.initial || null;
+
+            if (desc.errorPolicy) {
+                if (ERROR_POLICIES.indexOf(desc.errorPolicy) === -1) {
+                    throw new Error('GameState.constructor - Unknown error policy \'' + desc.errorPolicy + '\' in state \'' + desc.name + '\'.');
+                }
+
+                this.errorPolicy = desc.errorPolicy;
+            }
+
+            this.errorStateName = desc.errorState || null;
 
             if (desc.children) {
                 for (const name of desc.children) {
@@ -34,6 +163,16 @@ class GameState {
                 }
             }
 
+            if (desc.transitions) {
+                for (const eventName of Object.keys(desc.transitions)) {
+                    this.transitions.set(eventName, desc.transitions[eventName]);
+                }
+            }
+
+            if (desc.allowedTransitions) {
+                this.allowedTransitions = desc.allowedTransitions.slice();
+            }
+
             if (desc.systems) {
                 for (const systemDesc of desc.systems) {
                     this._createSystem(stateTree, systemDesc);
@@ -62,71 +201,250 @@ class GameState {
 
             child.parent = this;
         }
+
+        if (this.initialName) {
+            this.initialChild = this.children.get(this.initialName) || null;
+            if (!this.initialChild) {
+                throw new Error('Unable to resolve initial state in state \'' + this.name + '\', state \'' + this.initialName + '\' is not a child.');
+            }
+        }
+
+        for (const eventName of this.transitions.keys()) {
+            const target = this.transitions.get(eventName);
+            if (!stateTree.getState(target)) {
+                throw new Error('Unable to resolve transition \'' + eventName + '\' in state \'' + this.name + '\', state \'' + target + '\' could not be found.');
+            }
+        }
+
+        if (this.errorStateName) {
+            this.errorState = stateTree.getState(this.errorStateName) || null;
+            if (!this.errorState) {
+                throw new Error('Unable to resolve error state in state \'' + this.name + '\', state \'' + this.errorStateName + '\' could not be found.');
+            }
+        }
+
+        if (this.allowedTransitions) {
+            for (const name of this.allowedTransitions) {
+                if (!stateTree.getState(name)) {
+                    throw new Error('Unable to resolve allowed transition in state \'' + this.name + '\', state \'' + name + '\' could not be found.');
+                }
+            }
+        }
     }
 
     /**
      * Prepares the state tree for use by the application using the supplied description.
      * @param {InitArgs} initArgs -
+     * @param {Array=} pending - List that receives any promises returned by the systems being initialized.
      */
-    onInitialize(initArgs) {
-        initArgs.state = this;
-
-        for (const system of this.gameSystems.values()) {
-            if (system.type.Parameters) {
-                this._applyParameters(initArgs, system.type.Parameters, system.params, system.o);
+    onInitialize(initArgs, pending) {
+        for (const name of this.gameSystems.keys()) {
+            // Transient systems are initialized when they are created
+            if (this.gameSystems.get(name).o) {
+                this.initializeSystem(initArgs, name, pending);
             }
-
-            system.o.onInitialize(initArgs);
         }
 
         // Forward initialization onto each child
         for (const child of this.children.values()) {
-            child.onInitialize(initArgs);
+            child.onInitialize(initArgs, pending);
+        }
+    }
+
+    /**
+     * Prepares a single system within this state for use, extracting its parameters before invoking onInitialize.
+     * @param {InitArgs} initArgs - Initialization arguments supplied by the state tree.
+     * @param {String} name - The name of the system to be initialized.
+     * @param {Array=} pending - List that receives any promise returned by the system.
+     */
+    initializeSystem(initArgs, name, pending) {
+        this.applySystemParameters(initArgs, name);
+
+        addPending(pending, this.gameSystems.get(name).o.onInitialize(initArgs));
+    }
+
+    /**
+     * Assigns the parameters declared by a system within this state, using the values from its description.
+     * @param {InitArgs} initArgs - Initialization arguments supplied by the state tree.
+     * @param {String} name - The name of the system whose parameters are to be assigned.
+     */
+    applySystemParameters(initArgs, name) {
+        const system = this.gameSystems.get(name);
+
+        initArgs.state = this;
+
+        if (system.type.Parameters) {
+            this._applyParameters(initArgs, system.type.Parameters, system.params, system.o);
+        }
+    }
+
+    /**
+     * Assigns the object of a transient system, once it has been created as this state is entered.
+     * @param {String} name - The name of the transient system.
+     * @param {GameSystem} system - The system object that was created.
+     */
+    attachSystem(name, system) {
+        this.gameSystems.get(name).o = system;
+        this.systemList.push(system);
+    }
+
+    /**
+     * Removes the object of a transient system, once it has been destroyed as this state is exited.
+     * @param {String} name - The name of the transient system.
+     */
+    detachSystem(name) {
+        const system = this.gameSystems.get(name);
+        const index = this.systemList.indexOf(system.o);
+
+        if (index !== -1) {
+            this.systemList.splice(index, 1);
+        }
+
+        system.o = null;
+    }
+
+    /**
+     * Adds a system to this state while the state tree is running, see StateTree.addSystem.
+     * @param {String|Object} desc - Description of the system to be added.
+     * @returns {Promise} Promise that is fulfilled once the system has been initialized.
+     */
+    addSystem(desc) {
+        return this.stateTree.addSystem(this.name, desc);
+    }
+
+    /**
+     * Removes a system from this state while the state tree is running, see StateTree.removeSystem.
+     * @param {String} name - The name of the system to be removed.
+     * @returns {Promise} Promise that is fulfilled once the system has been destroyed.
+     */
+    removeSystem(name) {
+        if (!this.gameSystems.has(name)) {
+            throw new Error('GameState.removeSystem - System \'' + name + '\' does not belong to state \'' + this.name + '\'.');
+        }
+
+        return this.stateTree.removeSystem(name);
+    }
+
+    /**
+     * Declares a system within this state, creating the system unless it is transient. This is used by the state
+     * tree when a system is added at runtime, which then initializes the system.
+     * @param {StateTree} stateTree - The state tree we belong to.
+     * @param {String|Object} desc - Description of the system to be declared.
+     */
+    registerSystem(stateTree, desc) {
+        this._createSystem(stateTree, desc);
+    }
+
+    /**
+     * Removes the declaration of a system from this state. This is used by the state tree when a system is removed
+     * at runtime, once the system has been released.
+     * @param {String} name - The name of the system to be removed.
+     */
+    unregisterSystem(name) {
+        this.detachSystem(name);
+        this.gameSystems.delete(name);
+    }
+
+    /**
+     * Attaches a state that was added to the state tree at runtime as a child of this state.
+     * @param {GameState} child - The state to be attached.
+     */
+    addChild(child) {
+        this.childNames.push(child.name);
+        this.childList.push(child);
+        this.children.set(child.name, child);
+
+        child.parent = this;
+    }
+
+    /**
+     * Detaches a child state that is being removed from the state tree.
+     * @param {GameState} child - The state to be detached.
+     */
+    removeChild(child) {
+        this.childNames.splice(this.childNames.indexOf(child.name), 1);
+        this.childList.splice(this.childList.indexOf(child), 1);
+        this.children.delete(child.name);
+
+        if (this.lastActiveChild === child) {
+            this.lastActiveChild = null;
         }
+
+        child.parent = null;
     }
 
     /**
      * Called by the framework when the entire state tree is being destroyed.
+     * @param {Array=} pending - List that receives any promises returned by the systems being destroyed.
      */
-    onDestroy() {
+    onDestroy(pending) {
         const childCount = this.childList.length;
         for (let loop = childCount - 1; loop >= 0; loop--) {
-            this.childList[loop].onDestroy();
+            this.childList[loop].onDestroy(pending);
         }
 
         const systemCount = this.systemList.length;
         for (let loop = systemCount - 1; loop >= 0; loop--) {
-            this.systemList[loop].onDestroy();
+            addPending(pending, this.systemList[loop].onDestroy());
         }
     }
 
     /**
-     * Called by the framework when this game state is becoming active within the running session.
+     * Called by the framework when this game state is becoming active within the running session. When the state
+     * belongs to a state tree, the branch is entered by the tree so its systems are invoked as they are during a
+     * state change.
      * @param {GameState} branchRoot - The branch point iin the state tree where the switch occurred.
+     * @param {Object=} transition - Describes the state change, including any payload supplied with the request.
+     * @param {Array=} pending - List that receives any promises returned by the systems being activated.
      */
-    onEnter(branchRoot) {
+    onEnter(branchRoot, transition, pending) {
+        if (this.stateTree) {
+            this.stateTree.enterBranch([this], branchRoot, transition, pending);
+            return;
+        }
+
+        this.recordHistory();
+
         if (this.parent && this.parent !== branchRoot) {
-            this.parent.onEnter(branchRoot);
+            this.parent.onEnter(branchRoot, transition, pending);
         }
 
         for (const system of this.systemList) {
-            system.onActivate();
+            addPending(pending, system.onActivate(transition));
+        }
+    }
+
+    /**
+     * Records this state as the most recently active child of its parent, allowing a parent with history
+     * to return to it.
+     */
+    recordHistory() {
+        if (this.parent) {
+            this.parent.lastActiveChild = this;
         }
     }
 
     /**
-     * Called by the framework when control is leaving the branch where this game state exists.
+     * Called by the framework when control is leaving the branch where this game state exists. When the state
+     * belongs to a state tree, the branch is exited by the tree.
      * @param {GameState} branchRoot - The branch point in the state tree where the switch occurred.
+     * @param {Object=} transition - Describes the state change, including any payload supplied with the request.
+     * @param {Array=} pending - List that receives any promises returned by the systems being deactivated.
      */
-    onExit(branchRoot) {
+    onExit(branchRoot, transition, pending) {
+        if (this.stateTree) {
+            this.stateTree.exitBranch([this], branchRoot, transition, pending);
+            return;
+        }
+
         // System objects are exited in reverse order
         const systemCount = this.systemList.length;
         for (let index = systemCount - 1; index >= 0; index--) {
-            this.systemList[index].onDeactivate();
+            addPending(pending, this.systemList[index].onDeactivate(transition));
         }
 
         if (this.parent && this.parent !== branchRoot) {
-            this.parent.onExit(branchRoot);
+            this.parent.onExit(branchRoot, transition, pending);
         }
     }
 
@@ -134,24 +452,36 @@ class GameState {
      * Called by the framework once all systems have had their onActivate method call invoked. Allows for some systems
      * to wait before attempting to interact with another system.
      * @param {GameState} branchRoot - The branch point in the state tree where the switch occurred.
+     * @param {Object=} transition - Describes the state change, including any payload supplied with the request.
      */
-    onPostEnter(branchRoot) {
+    onPostEnter(branchRoot, transition) {
+        if (this.stateTree) {
+            this.stateTree.postEnterBranch([this], branchRoot, transition);
+            return;
+        }
+
         if (this.parent && this.parent !== branchRoot) {
-            this.parent.onPostEnter(branchRoot);
+            this.parent.onPostEnter(branchRoot, transition);
         }
 
         for (const system of this.systemList) {
-            system.onPostActivate();
+            system.onPostActivate(transition);
         }
     }
 
     /**
      * Called each frame allowing game systems to perform any necessary processing.
      * @param {UpdateArgs} updateArgs - Parameters describing the current frame being processed.
+     * @param {GameState=} branchRoot - The state in the hierarchy where processing should stop, all states are updated if not specified.
      */
-    onUpdate(updateArgs) {
-        if (this.parent) {
-            this.parent.onUpdate(updateArgs);
+    onUpdate(updateArgs, branchRoot) {
+        if (this.stateTree) {
+            this.stateTree.updateBranch([this], branchRoot || null, 'onUpdate', updateArgs);
+            return;
+        }
+
+        if (this.parent && this.parent !== branchRoot) {
+            this.parent.onUpdate(updateArgs, branchRoot);
         }
 
         for (const system of this.systemList) {
@@ -165,10 +495,16 @@ class GameState {
      * Called each frame once the initial onUpdate phase has completed, allowing systems to perform additional processing
      * after the main update phase.
      * @param {UpdateArgs} updateArgs - Parameters describing the current frame being processed.
+     * @param {GameState=} branchRoot - The state in the hierarchy where processing should stop, all states are updated if not specified.
      */
-    onPostUpdate(updateArgs) {
-        if (this.parent) {
-            this.parent.onPostUpdate(updateArgs);
+    onPostUpdate(updateArgs, branchRoot) {
+        if (this.stateTree) {
+            this.stateTree.updateBranch([this], branchRoot || null, 'onPostUpdate', updateArgs);
+            return;
+        }
+
+        if (this.parent && this.parent !== branchRoot) {
+            this.parent.onPostUpdate(updateArgs, branchRoot);
         }
 
         for (const system of this.systemList) {
@@ -178,18 +514,146 @@ class GameState {
         }
     }
 
+    /**
+     * Sorts the systems within this state into the order they are processed by the state tree.
+     * @param {Map} systemIndex - Map containing the position of each system object within the processing order.
+     */
+    sortSystems(systemIndex) {
+        this.systemList.sort((a, b) => systemIndex.get(a) - systemIndex.get(b));
+    }
+
     /**
      * Retrieves the game system associated with the specified name.
      * @param {String} name - The name associated with the system to be retrieved.
-     * @returns {GameSystem} The game system within the hierarchy associated with the specified name or null.
+     * @returns {GameSystem} The game system within the hierarchy associated with the specified name or null, a
+     * transient system is null unless its state is active.
      */
     findSystem(name) {
+        const system = this.findSystemInfo(name);
+
+        return system ? system.o : null;
+    }
+
+    /**
+     * Retrieves the description of the game system associated with the specified name, whether or not the system
+     * currently exists.
+     * @param {String} name - The name associated with the system to be retrieved.
+     * @returns {Object} The description of the system within the hierarchy associated with the specified name or null.
+     */
+    findSystemInfo(name) {
         const system = this.gameSystems.get(name);
         if (system) {
-            return system.o;
+            return system;
         }
 
-        return this.parent ? this.parent.findSystem(name) : null;
+        return this.parent ? this.parent.findSystemInfo(name) : null;
+    }
+
+    /**
+     * Retrieves the leaf states that become active when this state is entered without a specific leaf
+     * being requested. A state with history returns to its most recently active child, otherwise its
+     * initial child is entered (the first child if none was declared). Parallel states enter every child.
+     * @param {Array} leaves - List the initial leaves should be added to.
+     * @param {boolean=} deep - True if a parent declared deep history, causing every depth to use its history.
+     * @returns {Array} The supplied list of leaves.
+     */
+    findInitialLeaves(leaves, deep) {
+        const useDeep = !!deep || this.historyMode === HISTORY_DEEP;
+
+        if (!this.childList.length) {
+            leaves.push(this);
+        } else if (this.parallel) {
+            for (const child of this.childList) {
+                child.findInitialLeaves(leaves, useDeep);
+            }
+        } else if ((deep || this.historyMode) && this.lastActiveChild) {
+            this.lastActiveChild.findInitialLeaves(leaves, useDeep);
+        } else {
+            (this.initialChild || this.childList[0]).findInitialLeaves(leaves, useDeep);
+        }
+
+        return leaves;
+    }
+
+    /**
+     * Determines whether this state may be requested as the target of a state change. Leaf states may always be
+     * requested, other states must be parallel or declare an initial child or history so the leaf can be chosen.
+     * @returns {boolean} True if the state may be requested otherwise false.
+     */
+    isEnterable() {
+        return !this.childList.length || this.parallel || !!this.initialChild || !!this.historyMode;
+    }
+
+    /**
+     * Retrieves the name of the state a specified event transitions to, if this state does not declare a
+     * transition for the event the parent hierarchy is searched.
+     * @param {String} eventName - The name of the event whose transition is to be retrieved.
+     * @returns {String} The name of the state the event transitions to, or null if the event is not handled.
+     */
+    findTransition(eventName) {
+        const target = this.transitions.get(eventName);
+        if (target) {
+            return target;
+        }
+
+        return this.parent ? this.parent.findTransition(eventName) : null;
+    }
+
+    /**
+     * Retrieves the list of state names this state is allowed to transition to, if this state does not declare
+     * a list the parent hierarchy is searched.
+     * @returns {Array} The names of the permitted target states, or null if any state may be transitioned to.
+     */
+    findAllowedTransitions() {
+        if (this.allowedTransitions) {
+            return this.allowedTransitions;
+        }
+
+        return this.parent ? this.parent.findAllowedTransitions() : null;
+    }
+
+    /**
+     * Determines how an exception raised by one of the systems within this state is handled. The policy declared
+     * by the system is used if it has one, otherwise the policy of the nearest state within the parent hierarchy
+     * that declares one, otherwise the policy of the state tree. The error state is found in the same way.
+     * @param {StateTree} stateTree - The state tree we belong to.
+     * @param {String} systemName - The name of the system that raised the exception.
+     * @returns {Object} The error policy and the error state (which may be null) to be used.
+     */
+    findErrorPolicy(stateTree, systemName) {
+        const system = this.gameSystems.get(systemName);
+
+        let policy = system ? system.errorPolicy : null;
+        let errorState = null;
+
+        for (let scan = this; scan; scan = scan.parent) {
+            policy = policy || scan.errorPolicy;
+            errorState = errorState || scan.errorState;
+        }
+
+        return {
+            policy: policy || stateTree.errorPolicy,
+            errorState: errorState || stateTree.errorState
+        };
+    }
+
+    /**
+     * Consults a guard method (such as canExit or canEnter) on each system within this state.
+     * @param {String} methodName - Name of the guard method to be invoked.
+     * @param {GameState} state - The game state supplied to the guard method.
+     * @returns {String} The name of the first system whose guard rejected the state, or null if all systems accepted it.
+     */
+    checkGuard(methodName, state) {
+        for (const name of this.gameSystems.keys()) {
+            const system = this.gameSystems.get(name).o;
+
+            // Transient systems of a state being entered do not exist yet
+            if (system && system[methodName] && !system[methodName](state)) {
+                return name;
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -216,6 +680,10 @@ class GameState {
         let systemName = null;
         let systemParams = null;
         let systemOptions = null;
+        let systemPriority = null;
+        let systemAfter = null;
+        let systemErrorPolicy = null;
+        let systemLifetime = LIFETIME_TREE;
 
         if (typeof desc === 'string') {
             systemName = desc;
@@ -232,17 +700,49 @@ class GameState {
             if (desc.options) {
                 systemOptions = desc.options;
             }
+
+            if (desc.priority !== undefined) {
+                systemPriority = desc.priority;
+            }
+
+            if (desc.after) {
+                systemAfter = desc.after.slice();
+            }
+
+            if (desc.errorPolicy) {
+                if (ERROR_POLICIES.indexOf(desc.errorPolicy) === -1) {
+                    throw new Error('GameState.constructor - Unknown error policy \'' + desc.errorPolicy + '\' for system \'' + systemName + '\' in state \'' + this.name + '\'.');
+                }
+
+                systemErrorPolicy = desc.errorPolicy;
+            }
+
+            if (desc.lifetime) {
+                if (desc.lifetime !== LIFETIME_TREE && desc.lifetime !== LIFETIME_ACTIVE) {
+                    throw new Error('GameState.constructor - Unknown lifetime \'' + desc.lifetime + '\' for system \'' + systemName + '\' in state \'' + this.name + '\'.');
+                }
+
+                systemLifetime = desc.lifetime;
+            }
         }
 
-        const systemObject = stateTree.createSystem(systemName, systemType);
+        // Transient systems are created when the state is entered
+        const systemObject = systemLifetime === LIFETIME_TREE ? stateTree.createSystem(systemName, systemType) : null;
+
+        if (systemObject) {
+            this.systemList.push(systemObject);
+        }
 
-        this.systemList.push(systemObject);
         this.gameSystems.set(systemName, {
             o: systemObject,
             typeName: systemType,
             options: systemOptions,
             type: stateTree.systemFactory.map.get(systemType),
-            params: systemParams
+            params: systemParams,
+            priority: systemPriority,
+            after: systemAfter,
+            errorPolicy: systemErrorPolicy,
+            lifetime: systemLifetime
         });
     }
 
@@ -267,4 +767,17 @@ class GameState {
     }
 }
 
+GameState.OVERLAY_SUSPEND = OVERLAY_SUSPEND;
+GameState.OVERLAY_UPDATE = OVERLAY_UPDATE;
+GameState.HISTORY_SHALLOW = HISTORY_SHALLOW;
+GameState.HISTORY_DEEP = HISTORY_DEEP;
+GameState.ERROR_THROW = ERROR_THROW;
+GameState.ERROR_LOG = ERROR_LOG;
+GameState.ERROR_DISABLE = ERROR_DISABLE;
+GameState.ERROR_TRANSITION = ERROR_TRANSITION;
+GameState.ERROR_POLICIES = ERROR_POLICIES;
+GameState.LIFETIME_TREE = LIFETIME_TREE;
+GameState.LIFETIME_ACTIVE = LIFETIME_ACTIVE;
+GameState.addPending = addPending;
+
 module.exports = GameState;
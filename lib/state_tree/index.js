@@ -1,60 +1,2965 @@
 'use strict';
 
 const GameState = require('./game_state');
+const EventProvider = require('../event_provider');
+const Profiler = require('../profiler');
+const Scheduler = require('../scheduler');
 
 const MAXIMUM_STATE_CHANGES = 10;
 
 /**
- * Manages a hierarchy of game states that form the running application.
- *
- * The tree graph has each node represent a state within the session, where one
- * node is considered the active game state. The active node must be a leaf
- * node within the graph.
- * 
- * When a node is active, the parent nodes within its hierarchy are also considered
- * active.
- * 
- * Each game state may contain a list of system objects, these are created using
- * a factory (from npm module @nfactorial/factory_node). This factory must be
- * supplied to the state tree during construction. System objects should extend
- * the 'GameSystem' object provided within this package.
+ * Number of entries kept in the navigation history, unless the description of the tree specifies otherwise.
+ * @type {number}
+ */
+const DEFAULT_NAVIGATION_LIMIT = 20;
+
+/**
+ * Version number written into snapshots produced by StateTree.serialize.
+ * @type {number}
+ */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Transition policy where a rejected state change raises an exception.
+ * @type {string}
+ */
+const POLICY_THROW = 'throw';
+
+/**
+ * Transition policy where a rejected state change is ignored, and the 'transitionRejected' event is raised.
+ * @type {string}
+ */
+const POLICY_NOTIFY = 'notify';
+
+/**
+ * Navigation mode where the leaf being left is added to the navigation history.
+ * @type {string}
+ */
+const NAVIGATION_PUSH = 'push';
+
+/**
+ * Navigation mode where the leaf being left is not added to the navigation history, so it is replaced by the target.
+ * @type {string}
+ */
+const NAVIGATION_REPLACE = 'replace';
+
+/**
+ * Navigation mode where the navigation history is emptied.
+ * @type {string}
+ */
+const NAVIGATION_CLEAR = 'clear';
+
+/**
+ * Navigation mode used by goBack, the most recent entry is removed from the navigation history.
+ * @type {string}
+ */
+const NAVIGATION_BACK = 'back';
+
+/**
+ * Dispatch phase where an event is delivered from the active leaves up to the root of the tree.
+ * @type {string}
+ */
+const DISPATCH_BUBBLE = 'bubble';
+
+/**
+ * Dispatch phase where an event is delivered from the root of the tree down to the active leaves.
+ * @type {string}
+ */
+const DISPATCH_CAPTURE = 'capture';
+
+/**
+ * Prefix of the methods that systems implement to handle an event delivered by dispatch.
+ * @type {string}
+ */
+const EVENT_HANDLER_PREFIX = 'onEvent_';
+
+/**
+ * Names of the events raised by the state tree through its EventProvider.
+ */
+const Events = {
+    TRANSITION_REJECTED: 'transitionRejected',
+    TRANSITION_FAILED: 'transitionFailed',
+    BEFORE_TRANSITION: 'beforeTransition',
+    AFTER_TRANSITION: 'afterTransition',
+    STATE_ENTERED: 'stateEntered',
+    STATE_EXITED: 'stateExited',
+    SYSTEM_INITIALIZED: 'systemInitialized',
+    APPLY_FAILED: 'applyFailed',
+    DESTROYED: 'destroyed'
+};
+
+/**
+ * Given two independent states, this method determines where in the hierarchy the two states
+ * join at the same parent.
  *
- * When the per-frame update is being processing the onUpdate method should be invoked,
- * this method requires an UpdateArgs parameter to be supplied. This object is passed
- * to all active systems during the frame. The actual format of this object is left
- * entirely up-to the owning application to define.
+ * The supplied states must be leaf nodes within the hierarchy.
  *
- * For debug purposes, you may set the debug property of the state tree. When set to true, the state tree
- * will log all state changes as they occur.
+ * @param stateA {GameState}
+ * @param stateB {GameState}
+ * @returns {GameState} The game state in the hierarchy where the two states join.
  */
-class StateTree {
+function findCommonAncestor(stateA, stateB) {
+    if (!stateA) {
+        throw new Error('findCommonAncestor - stateA was invalid.');
+    }
+
+    if (!stateB) {
+        throw new Error('findCommonAncestor - stateB was invalid.');
+    }
+
+    // If they are the same state, we don't need to do anything further
+    if (stateA === stateB) {
+        return stateA;
+    }
+
+    // Determine common ancestor
+    let scanA = stateA.parent;
+    let scanB = stateB.parent;
+    while (scanA && scanB) {
+        if (stateB.checkParentHierarchy(scanA)) {
+            return scanA;
+        }
+
+        if (stateA.checkParentHierarchy(scanB)) {
+            return scanB;
+        }
+
+        scanA = scanA.parent;
+        scanB = scanB.parent;
+    }
+
+    return null;
+}
+
+/**
+ * Determines whether a game state is within the hierarchy of any of the supplied leaf states.
+ * @param {Array} leaves - The leaf states to be checked.
+ * @param {GameState} state - The game state to be found.
+ * @returns {boolean} True if the state is within the hierarchy of one of the leaves otherwise false.
+ */
+function isWithinLeaves(leaves, state) {
+    for (const leaf of leaves) {
+        if (leaf.checkParentHierarchy(state)) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Finds the deepest state within the parent hierarchy of the supplied state that is within the hierarchy
+ * of one of the supplied active leaves.
+ * @param {Array} leaves - The active leaf states.
+ * @param {GameState} state - The game state whose active ancestor is to be found.
+ * @returns {GameState} The deepest active ancestor of the state, or null if none of its ancestors are active.
+ */
+function findActiveAncestor(leaves, state) {
+    let scan = state.parent;
+    while (scan && !isWithinLeaves(leaves, scan)) {
+        scan = scan.parent;
+    }
+
+    return scan;
+}
+
+/**
+ * Determines whether two leaf states belong to different regions of a parallel state, in which case
+ * changing to one of them does not leave the other.
+ * @param {GameState} stateA - The first leaf state to be checked.
+ * @param {GameState} stateB - The second leaf state to be checked.
+ * @returns {boolean} True if the states are within different regions of a parallel state otherwise false.
+ */
+function isIndependent(stateA, stateB) {
+    const ancestor = findCommonAncestor(stateA, stateB);
+
+    return !!ancestor && ancestor.parallel && ancestor !== stateA && ancestor !== stateB;
+}
+
+/**
+ * Sorts a list of leaf states into the order they appear within the hierarchy.
+ * @param {Array} leaves - The list of leaf states to be sorted.
+ */
+function sortLeaves(leaves) {
+    leaves.sort((a, b) => a.treeIndex - b.treeIndex);
+}
+
+/**
+ * Retrieves every state within the branches between the supplied leaves and the branch root.
+ * @param {Array} leaves - The leaf states whose branches are to be retrieved.
+ * @param {GameState} branchRoot - The state where each branch stops, this state is not included.
+ * @returns {Array} The states within the branches, each state appears only once.
+ */
+function collectBranchStates(leaves, branchRoot) {
+    const states = [];
+
+    for (const leaf of leaves) {
+        let scan = leaf;
+        while (scan && scan !== branchRoot) {
+            if (states.indexOf(scan) === -1) {
+                states.push(scan);
+            }
+
+            scan = scan.parent;
+        }
+    }
+
+    return states;
+}
+
+/**
+ * Retrieves the states updated during a frame, which are those within the entries of the state stack that are
+ * not suspended beneath an overlay.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {number} first - The index of the first entry in the state stack that is updated.
+ * @returns {Set} The states being updated.
+ */
+function collectUpdatedStates(stateTree, first) {
+    const stack = stateTree.stateStack;
+    const states = new Set();
+
+    for (let loop = first; loop < stack.length; ++loop) {
+        for (const state of collectBranchStates(stack[loop].leaves, loop === first ? null : stack[loop].branchRoot)) {
+            states.add(state);
+        }
+    }
+
+    return states;
+}
+
+/**
+ * Retrieves the states that receive an event delivered by dispatch, these are the states being updated. States
+ * are ordered by their depth within the hierarchy, deepest first when bubbling, and states at the same depth
+ * are ordered as they appear in the hierarchy.
+ * @param {StateTree} stateTree - The state tree delivering the event.
+ * @param {number} first - The index of the first entry in the state stack that is updated.
+ * @param {String} phase - The dispatch phase, either 'bubble' or 'capture'.
+ * @returns {Array} The states to receive the event, in the order they receive it.
+ */
+function collectDispatchStates(stateTree, first, phase) {
+    let states;
+
+    // While a state change is waiting for its systems, only the loading state is updated
+    if (stateTree.currentTransition) {
+        states = stateTree.loadingEntry ? [stateTree.loadingEntry.state] : [];
+    } else {
+        states = Array.from(collectUpdatedStates(stateTree, first));
+    }
+
+    const depths = new Map();
+
+    for (const state of states) {
+        let depth = 0;
+        for (let scan = state.parent; scan; scan = scan.parent) {
+            depth++;
+        }
+
+        depths.set(state, depth);
+    }
+
+    const direction = phase === DISPATCH_CAPTURE ? 1 : -1;
+
+    return states.sort((a, b) => direction * (depths.get(a) - depths.get(b)) || a.treeIndex - b.treeIndex);
+}
+
+/**
+ * Finds the method a system uses to handle an event delivered by dispatch. The method may be declared within an
+ * 'EventHandlers' map attached to the type of the system, otherwise the system may implement 'onEvent_<name>'.
+ * @param {StateTree} stateTree - The state tree delivering the event.
+ * @param {GameSystem} system - The system that may handle the event.
+ * @param {String} eventName - The name of the event being delivered.
+ * @returns {String} The name of the method handling the event, or null if the system does not handle it.
+ */
+function findEventHandler(stateTree, system, eventName) {
+    const handlers = system.constructor.EventHandlers;
+
+    if (handlers && handlers[eventName]) {
+        const method = handlers[eventName];
+
+        if (typeof system[method] !== 'function') {
+            const entry = stateTree.systemOrder[stateTree.systemIndex.get(system)];
+
+            throw new Error('StateTree.dispatch - Handler \'' + method + '\' of system \'' + entry.name + '\' for event \'' + eventName + '\' is not a method.');
+        }
+
+        return method;
+    }
+
+    const method = EVENT_HANDLER_PREFIX + eventName;
+
+    return typeof system[method] === 'function' ? method : null;
+}
+
+/**
+ * Retrieves the systems within the branches between the supplied leaves and the branch root, in the order
+ * they are processed by the state tree.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Array} leaves - The leaf states whose branches are to be retrieved.
+ * @param {GameState} branchRoot - The state where each branch stops, this state is not included.
+ * @returns {Array} The system objects within the branches.
+ */
+function collectSystems(stateTree, leaves, branchRoot) {
+    const systemIndex = stateTree.systemIndex;
+    const systems = [];
+
+    for (const state of collectBranchStates(leaves, branchRoot)) {
+        for (const system of state.systemList) {
+            systems.push(system);
+        }
+    }
+
+    systems.sort((a, b) => systemIndex.get(a) - systemIndex.get(b));
+
+    return systems;
+}
+
+/**
+ * Retrieves the systems updated for an entry in the state stack, the list is kept until the active leaves
+ * of the entry change or transient systems are created or destroyed.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Object} entry - The entry within the state stack.
+ * @param {GameState} branchRoot - The state where updates of the entry stop, or null to update its entire hierarchy.
+ * @returns {Array} The system objects to be updated, in processing order.
+ */
+function collectEntrySystems(stateTree, entry, branchRoot) {
+    if (!entry.systems || entry.systemLeaves !== entry.leaves || entry.systemRoot !== branchRoot || entry.systemVersion !== stateTree.systemVersion) {
+        entry.systems = collectSystems(stateTree, entry.leaves, branchRoot);
+        entry.systemLeaves = entry.leaves;
+        entry.systemRoot = branchRoot;
+        entry.systemVersion = stateTree.systemVersion;
+    }
+
+    return entry.systems;
+}
+
+/**
+ * Handles an exception raised by a lifecycle method of a system, according to the error policy of the system.
+ * The onError hook of the state tree is invoked before the policy is applied.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {GameSystem} system - The system that raised the exception.
+ * @param {String} method - The name of the method that raised the exception.
+ * @param {Error} err - The exception raised by the system.
+ * @returns {undefined} Nothing is returned, unless the policy passes the exception on to the caller.
+ */
+function handleSystemError(stateTree, system, method, err) {
+    const entry = stateTree.systemOrder[stateTree.systemIndex.get(system)];
+    const policy = entry.state.findErrorPolicy(stateTree, entry.name);
+
+    if (stateTree.onError) {
+        stateTree.onError({
+            error: err,
+            name: entry.name,
+            system: system,
+            state: entry.state,
+            method: method,
+            policy: policy.policy
+        });
+    }
+
+    if (policy.policy === GameState.ERROR_THROW) {
+        throw err;
+    }
+
+    if (policy.policy === GameState.ERROR_LOG || stateTree.debug) {
+        console.log('StateTree - System \'' + entry.name + '\' raised an exception in ' + method + ', applying error policy \'' + policy.policy + '\'. ' + err);
+    }
+
+    if (policy.policy === GameState.ERROR_DISABLE) {
+        stateTree.disabledSystems.add(system);
+    } else if (policy.policy === GameState.ERROR_TRANSITION) {
+        stateTree.changeState(policy.errorState.name, {
+            error: err,
+            system: entry.name,
+            method: method
+        });
+    }
+
+    return undefined;
+}
+
+/**
+ * Invokes a lifecycle method of a system, measuring the time taken when the state tree has a profiler.
+ * Exceptions raised by the system are handled according to its error policy, and systems that have been
+ * disabled are not invoked. Timers created by the system are scoped to the state that owns it.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {GameSystem} system - The system whose method is to be invoked.
+ * @param {String} method - The name of the method to be invoked.
+ * @param {Object=} arg - The argument supplied to the method.
+ * @param {Object=} extra - The second argument supplied to the method, if it accepts one.
+ * @returns {*} The value returned by the method.
+ */
+function invokeSystem(stateTree, system, method, arg, extra) {
+    if (stateTree.disabledSystems.has(system)) {
+        return undefined;
+    }
+
+    const profiler = stateTree.profiler;
+    const start = profiler ? profiler.now() : 0;
+    const entry = stateTree.systemOrder[stateTree.systemIndex.get(system)];
+    const scheduler = stateTree.scheduler;
+    const scope = scheduler.scope;
+
+    stateTree.internalCalls++;
+    scheduler.scope = entry;
+
+    try {
+        return system[method](arg, extra);
+    } catch (err) {
+        return handleSystemError(stateTree, system, method, err);
+    } finally {
+        stateTree.internalCalls--;
+        scheduler.scope = scope;
+
+        if (profiler) {
+            profiler.recordSystem(entry.name, entry.state.name, method, start, profiler.now());
+        }
+    }
+}
+
+/**
+ * Creates the description of a state change, this is supplied to each system affected by the state change.
+ * The branch root is the state where the source and target leaves join, as found by findCommonAncestor.
+ * @param {GameState} source - The leaf state being left, or null if no state was active.
+ * @param {GameState} target - The leaf state being changed to.
+ * @param {Object=} payload - Data supplied by the title along with the state change request.
+ * @returns {Object} The description of the state change.
+ */
+function createTransition(source, target, payload) {
+    return {
+        source: source,
+        target: target,
+        branchRoot: source && target ? findCommonAncestor(source, target) : null,
+        payload: payload,
+        cancelled: false
+    };
+}
+
+/**
+ * Creates the object supplied to listeners of the lifecycle events raised by the state tree.
+ * @param {Object} transition - Describes the state change that caused the event.
+ * @param {Object=} properties - Additional properties to be included in the event.
+ * @returns {Object} The event object.
+ */
+function createEvent(transition, properties) {
+    const event = {
+        source: transition.source,
+        target: transition.target,
+        branchRoot: transition.branchRoot,
+        payload: transition.payload
+    };
+
+    return properties ? Object.assign(event, properties) : event;
+}
+
+/**
+ * Fires a lifecycle event for each of the supplied game states.
+ * @param {StateTree} stateTree - The state tree raising the events.
+ * @param {String} eventName - The name of the event, either 'stateEntered' or 'stateExited'.
+ * @param {Array} states - The game states that were entered or exited.
+ * @param {Object} transition - Describes the state change that caused the event.
+ */
+function fireStateEvents(stateTree, eventName, states, transition) {
+    for (const state of states) {
+        stateTree.events.fire(eventName, createEvent(transition, { state: state }));
+    }
+}
+
+/**
+ * Retrieves the entry for a system within the processing order of the state tree.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {String} name - The name of the system.
+ * @returns {Object} The entry for the system, or undefined if the tree does not contain the system.
+ */
+function findOrderEntry(stateTree, name) {
+    return stateTree.systemOrder.filter(entry => entry.name === name)[0];
+}
+
+/**
+ * Removes a system that is being destroyed from the state tree, any timers it created are cancelled.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Object} entry - The entry for the system within the system order.
+ */
+function releaseSystem(stateTree, entry) {
+    stateTree.scheduler.cancelSystem(entry.system);
+    stateTree.systemIndex.delete(entry.system);
+    stateTree.systemMap.delete(entry.name);
+    stateTree.disabledSystems.delete(entry.system);
+}
+
+/**
+ * Initializes a system within the tree, the 'systemInitialized' event is fired once the system has finished
+ * initializing.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Object} entry - The entry for the system within the system order.
+ * @param {Array=} pending - List that receives a promise if the system initializes asynchronously.
+ */
+function initializeSystem(stateTree, entry, pending) {
+    const initializing = [];
+    const initialized = () => {
+        stateTree.events.fire(Events.SYSTEM_INITIALIZED, createEvent(createTransition(null, null), {
+            name: entry.name,
+            system: entry.system,
+            state: entry.state
+        }));
+    };
+
+    const scheduler = stateTree.scheduler;
+    const scope = scheduler.scope;
+
+    scheduler.scope = entry;
+
+    try {
+        entry.state.initializeSystem(stateTree.initArgs, entry.name, initializing);
+    } finally {
+        scheduler.scope = scope;
+    }
+
+    if (initializing.length) {
+        GameState.addPending(pending, initializing[0].then(initialized));
+    } else {
+        initialized();
+    }
+}
+
+/**
+ * Creates and initializes the transient systems belonging to the supplied states, as they are entered. Every
+ * system is created before any is initialized, so transient systems may reference one another. Data restored
+ * from a snapshot is supplied to a transient system once it has been initialized.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Array} states - The states being entered.
+ * @param {Array=} pending - List that receives any promises returned by the systems being initialized.
+ */
+function createTransientSystems(stateTree, states, pending) {
+    const created = [];
+
+    stateTree.systemOrder.forEach((entry, index) => {
+        if (entry.transient && !entry.system && states.indexOf(entry.state) !== -1) {
+            entry.system = stateTree.createSystem(entry.name, entry.state.gameSystems.get(entry.name).typeName);
+            entry.state.attachSystem(entry.name, entry.system);
+            stateTree.systemIndex.set(entry.system, index);
+
+            created.push(entry);
+        }
+    });
+
+    if (!created.length) {
+        return;
+    }
+
+    stateTree.systemVersion++;
+
+    for (const entry of created) {
+        entry.state.sortSystems(stateTree.systemIndex);
+    }
+
+    for (const entry of created) {
+        initializeSystem(stateTree, entry, pending);
+
+        const data = stateTree.pendingSystemData.get(entry.name);
+        if (data !== undefined && typeof entry.system.deserialize === 'function') {
+            stateTree.pendingSystemData.delete(entry.name);
+            entry.system.deserialize(data);
+        }
+    }
+}
+
+/**
+ * Destroys the transient systems belonging to the supplied states, once they have been exited. Systems are
+ * destroyed in the reverse of their processing order, and any timers they created are cancelled.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Array} states - The states that have been exited.
+ * @param {Array=} pending - List that receives any promises returned by the systems being destroyed.
+ */
+function destroyTransientSystems(stateTree, states, pending) {
+    let destroyed = false;
+
+    for (let loop = stateTree.systemOrder.length - 1; loop >= 0; loop--) {
+        const entry = stateTree.systemOrder[loop];
+        const system = entry.system;
+
+        if (entry.transient && system && states.indexOf(entry.state) !== -1) {
+            GameState.addPending(pending, system.onDestroy());
+
+            releaseSystem(stateTree, entry);
+            entry.state.detachSystem(entry.name);
+            entry.system = null;
+
+            destroyed = true;
+        }
+    }
+
+    if (destroyed) {
+        stateTree.systemVersion++;
+    }
+}
+
+/**
+ * Invokes 'onDeactivate' for each system within the branches of the supplied leaves, in the reverse of the
+ * order in which the systems are processed. The transient systems of the exited states are then destroyed.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Array} leaves - The leaves whose branches are being exited.
+ * @param {GameState} branchRoot - The branch point in the state tree where the switch occurred.
+ * @param {Object} transition - Describes the state change being applied.
+ * @param {Array=} pending - List that receives any promises returned by the systems being deactivated.
+ * @param {Array=} activated - When undoing an entry that did not complete, the systems that were activated by it, only these are deactivated.
+ */
+function exitLeaves(stateTree, leaves, branchRoot, transition, pending, activated) {
+    const systems = collectSystems(stateTree, leaves, branchRoot);
+    const states = collectBranchStates(leaves, branchRoot);
+
+    for (let loop = systems.length - 1; loop >= 0; loop--) {
+        if (!activated || activated.indexOf(systems[loop]) !== -1) {
+            GameState.addPending(pending, invokeSystem(stateTree, systems[loop], 'onDeactivate', transition));
+        }
+    }
+
+    destroyTransientSystems(stateTree, states, pending);
+
+    fireStateEvents(stateTree, Events.STATE_EXITED, states, transition);
+}
+
+/**
+ * Determines the leaves that become active when entering the branch between the supplied branch root and the
+ * target leaf. When the branch passes through a parallel state, the initial leaves of its other regions are
+ * entered also.
+ * @param {GameState} target - The leaf state being entered.
+ * @param {GameState} branchRoot - The branch point in the state tree where the switch occurred.
+ * @returns {Array} The leaves to be entered, ordered as they appear in the hierarchy.
+ */
+function collectEnteringLeaves(target, branchRoot) {
+    const leaves = [target];
+
+    let scan = target;
+    while (scan.parent && scan.parent !== branchRoot) {
+        if (scan.parent.parallel) {
+            for (const region of scan.parent.childList) {
+                if (region !== scan) {
+                    region.findInitialLeaves(leaves);
+                }
+            }
+        }
+
+        scan = scan.parent;
+    }
+
+    sortLeaves(leaves);
+
+    return leaves;
+}
+
+/**
+ * Invokes 'onActivate' for each system within the branches of the supplied leaves, in the order in which the
+ * systems are processed. The transient systems of the entered states are created and initialized beforehand,
+ * a transient system that initializes asynchronously is activated without waiting for its initialization.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Array} leaves - The leaves whose branches are being entered.
+ * @param {GameState} branchRoot - The branch point in the state tree where the switch occurred.
+ * @param {Object} transition - Describes the state change being applied.
+ * @param {Array=} pending - List that receives any promises returned by the systems being activated.
+ * @param {Array=} activated - List that receives each system once its 'onActivate' method has returned.
+ */
+function enterLeaves(stateTree, leaves, branchRoot, transition, pending, activated) {
+    const states = collectBranchStates(leaves, branchRoot);
+
+    for (const state of states) {
+        state.recordHistory();
+    }
+
+    createTransientSystems(stateTree, states, pending);
+
+    for (const system of collectSystems(stateTree, leaves, branchRoot)) {
+        GameState.addPending(pending, invokeSystem(stateTree, system, 'onActivate', transition));
+
+        if (activated) {
+            activated.push(system);
+        }
+    }
+
+    // Parents are reported before their children
+    fireStateEvents(stateTree, Events.STATE_ENTERED, states.reverse(), transition);
+}
+
+/**
+ * Invokes 'onPostActivate' for each system within the branches of the supplied leaves, once all systems within
+ * the branches have been activated.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Array} leaves - The leaves whose branches have been entered.
+ * @param {GameState} branchRoot - The branch point in the state tree where the switch occurred.
+ * @param {Object} transition - Describes the state change being applied.
+ */
+function postEnterLeaves(stateTree, leaves, branchRoot, transition) {
+    for (const system of collectSystems(stateTree, leaves, branchRoot)) {
+        invokeSystem(stateTree, system, 'onPostActivate', transition);
+    }
+}
+
+/**
+ * Creates a promise that settles once all of the supplied promises have been fulfilled, or one of them rejects.
+ * @param {Array} pending - The promises to be waited upon.
+ * @param {Number} timeout - Time (in milliseconds) before the returned promise is rejected, zero waits indefinitely.
+ * @returns {Promise} Promise that settles once all of the supplied promises have completed.
+ */
+function waitForAll(pending, timeout) {
+    const all = Promise.all(pending);
+    if (!timeout) {
+        return all;
+    }
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            reject(new Error('StateTree - Lifecycle methods did not complete within ' + timeout + 'ms.'));
+        }, timeout);
+
+        all.then(value => {
+            clearTimeout(timer);
+            resolve(value);
+        }, err => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+/**
+ * Activates the loading state of the state tree (if it has one) while a state change waits for its systems.
+ * @param {StateTree} stateTree - The state tree being processed.
+ */
+function beginLoading(stateTree) {
+    const loadingState = stateTree.loadingState;
+
+    if (loadingState && !stateTree.loadingEntry && !stateTree.isActive(loadingState)) {
+        const branchRoot = findActiveAncestor(stateTree.getActiveLeaves(), loadingState);
+
+        if (stateTree.debug) {
+            console.log('StateTree - Waiting for state change, entering loading state \'' + loadingState.name + '\'.');
+        }
+
+        stateTree.loadingEntry = {
+            state: loadingState,
+            branchRoot: branchRoot,
+            leaves: [loadingState]
+        };
+
+        enterLeaves(stateTree, stateTree.loadingEntry.leaves, branchRoot, stateTree.currentTransition);
+        postEnterLeaves(stateTree, stateTree.loadingEntry.leaves, branchRoot, stateTree.currentTransition);
+    }
+}
+
+/**
+ * Deactivates the loading state of the state tree, if it was activated by the current state change.
+ * @param {StateTree} stateTree - The state tree being processed.
+ */
+function endLoading(stateTree) {
+    const entry = stateTree.loadingEntry;
+
+    if (entry) {
+        stateTree.loadingEntry = null;
+
+        exitLeaves(stateTree, entry.leaves, entry.branchRoot, stateTree.currentTransition);
+    }
+}
+
+/**
+ * Applies outstanding state change requests when there is no caller to receive an exception, such as from the
+ * tick requested by changeState or once a state change has finished waiting for its systems. State changes
+ * rejected while applying are reported through the 'transitionRejected' event whatever the transition policy,
+ * and any other exception is passed to the listeners of the 'applyFailed' event. The exception is only raised
+ * when nothing listens for the event.
+ * @param {StateTree} stateTree - The state tree being processed.
+ */
+function applyDeferredChanges(stateTree) {
+    const deferred = stateTree.deferred;
+
+    let error = null;
+
+    stateTree.deferred = true;
+
+    try {
+        stateTree.onTransitionComplete();
+    } catch (err) {
+        error = err;
+    } finally {
+        stateTree.deferred = deferred;
+    }
+
+    if (error) {
+        if (!stateTree.events.hasListeners(Events.APPLY_FAILED)) {
+            throw error;
+        }
+
+        stateTree.events.fire(Events.APPLY_FAILED, createEvent(createTransition(null, null), { error: error }));
+    }
+}
+
+/**
+ * Invokes each step of a state change in turn. Each step is supplied a list that receives any promises returned
+ * by the systems it invoked, when the list is not empty the next step is not invoked until the promises have
+ * been fulfilled. Steps are invoked synchronously for as long as no promises are returned. No further steps are
+ * invoked, and neither callback is invoked, once the state change has been cancelled while waiting.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Object} transition - Describes the state change being applied.
+ * @param {Array} steps - The functions to be invoked.
+ * @param {Function} onComplete - Invoked once all steps have completed, receives true if any step had to be waited upon.
+ * @param {Function} onFailed - Invoked if a step could not be completed, receives the error and the index of the step.
+ * @param {Object=} progress - Tracks the progress through the steps when resuming after waiting.
+ * @returns {boolean} True if the remaining steps are waiting upon promises.
+ */
+function runSteps(stateTree, transition, steps, onComplete, onFailed, progress) {
+    const context = progress || { index: 0, waited: false };
+    const failed = (err) => {
+        if (!transition.cancelled) {
+            onFailed(err, context.index - 1);
+        }
+    };
+
+    while (context.index < steps.length) {
+        const pending = [];
+
+        steps[context.index++](pending);
+
+        if (pending.length) {
+            context.waited = true;
+            beginLoading(stateTree);
+
+            waitForAll(pending, stateTree.transitionTimeout).then(() => {
+                if (transition.cancelled) {
+                    return;
+                }
+
+                // Only the steps are guarded, once they have all completed the state change can no longer fail
+                let remaining = true;
+
+                try {
+                    remaining = runSteps(stateTree, transition, steps, null, onFailed, context);
+                } catch (err) {
+                    failed(err);
+                    return;
+                }
+
+                if (!remaining) {
+                    onComplete(context.waited);
+                }
+            }, failed);
+
+            return true;
+        }
+    }
+
+    if (onComplete) {
+        onComplete(context.waited);
+    }
+
+    return false;
+}
+
+/**
+ * Applies a state change to the state tree, the state change remains the current transition of the tree until
+ * all of its steps have completed. If a step fails, the rollback steps for each step that was started are invoked
+ * in reverse order to restore the previous state. The 'beforeTransition' event is fired before the first step,
+ * and 'afterTransition' once every step has completed.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Object} transition - Describes the source and target of the state change.
+ * @param {Array} steps - The functions that apply the state change.
+ * @param {Array} rollback - The functions that undo each of the steps, in the same order as the steps.
+ */
+function runTransition(stateTree, transition, steps, rollback) {
+    const profiler = stateTree.profiler;
+    const start = profiler ? profiler.now() : 0;
+    let finished = false;
+
+    const finish = (waited, completed) => {
+        finished = true;
+        endLoading(stateTree);
+        stateTree.currentTransition = null;
+
+        if (profiler) {
+            const name = (transition.source ? transition.source.name : '(none)') + ' -> ' + (transition.target ? transition.target.name : '(none)');
+
+            profiler.recordTransition(name, start, profiler.now());
+        }
+
+        if (completed) {
+            stateTree.events.fire(Events.AFTER_TRANSITION, createEvent(transition));
+        }
+
+        if (waited) {
+            applyDeferredChanges(stateTree);
+        }
+    };
+
+    const fail = (err, stepIndex) => {
+        if (stateTree.debug) {
+            console.log('StateTree - State change to \'' + transition.target.name + '\' failed, rolling back. ' + err);
+        }
+
+        const report = (error) => {
+            stateTree.events.fire(Events.TRANSITION_FAILED, {
+                source: transition.source,
+                target: transition.target,
+                payload: transition.payload,
+                error: error
+            });
+
+            finish(true);
+        };
+
+        try {
+            runSteps(stateTree, transition, rollback.slice(0, stepIndex + 1).reverse(), () => report(err), report);
+        } catch (rollbackErr) {
+            if (finished) {
+                throw rollbackErr;
+            }
+
+            report(rollbackErr);
+        }
+    };
+
+    const progress = {
+        index: 0,
+        waited: false
+    };
+
+    stateTree.events.fire(Events.BEFORE_TRANSITION, createEvent(transition));
+    stateTree.currentTransition = transition;
+
+    try {
+        runSteps(stateTree, transition, steps, waited => finish(waited, true), fail, progress);
+    } catch (err) {
+        // Exceptions raised once the state change has completed, such as by the changes it deferred, leave it in place
+        if (finished) {
+            throw err;
+        }
+
+        // A step raised an exception part way through, so the steps that were started are undone before it is passed on
+        try {
+            for (const step of rollback.slice(0, progress.index).reverse()) {
+                step([]);
+            }
+        } catch (rollbackErr) {
+            if (stateTree.debug) {
+                console.log('StateTree - Unable to roll back state change to \'' + transition.target.name + '\'. ' + rollbackErr);
+            }
+        }
+
+        endLoading(stateTree);
+        stateTree.currentTransition = null;
+
+        stateTree.events.fire(Events.TRANSITION_FAILED, createEvent(transition, { error: err }));
+
+        throw err;
+    }
+}
+
+/**
+ * Handles a state change that could not be applied, depending on the transition policy of the state tree
+ * an exception is raised or the 'transitionRejected' event is fired. The event is always fired for deferred
+ * state changes, as there is no caller to receive the exception.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Object} transition - Describes the source and target of the rejected state change.
+ * @param {String} reason - Description of why the state change was rejected.
+ * @param {String=} systemName - Name of the system that rejected the state change, if any.
+ * @returns {boolean} Always returns false.
+ */
+function rejectTransition(stateTree, transition, reason, systemName) {
+    const sourceName = transition.source ? transition.source.name : '(none)';
+    const message = 'StateTree - Transition from \'' + sourceName + '\' to \'' + transition.target.name + '\' ' + reason + '.';
+
+    if (stateTree.transitionPolicy !== POLICY_NOTIFY && !stateTree.deferred) {
+        throw new Error(message);
+    }
+
+    if (stateTree.debug) {
+        console.log(message);
+    }
+
+    stateTree.events.fire(Events.TRANSITION_REJECTED, {
+        source: transition.source,
+        target: transition.target,
+        payload: transition.payload,
+        system: systemName || null,
+        reason: message
+    });
+
+    return false;
+}
+
+/**
+ * Determines whether a state change may be applied. The target must be listed in the allowed transitions of
+ * each source leaf, and every system being exited or entered must accept the state change.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Object} transition - Describes the source and target of the state change.
+ * @param {Array} sources - The leaf states whose allowed transitions must include the target.
+ * @param {Array} exitingStates - The game states that will be exited by the state change.
+ * @param {Array} enteringStates - The game states that will be entered by the state change.
+ * @param {GameState=} requested - The state named by the request, when it was resolved to a leaf within its hierarchy.
+ * @returns {boolean} True if the state change may be applied otherwise false.
+ */
+function checkTransition(stateTree, transition, sources, exitingStates, enteringStates, requested) {
+    for (const leaf of sources) {
+        const allowed = leaf.findAllowedTransitions();
+        if (allowed && allowed.indexOf(transition.target.name) === -1 && (!requested || allowed.indexOf(requested.name) === -1)) {
+            return rejectTransition(stateTree, transition, 'is not allowed by state \'' + leaf.name + '\'');
+        }
+    }
+
+    for (const state of exitingStates) {
+        const systemName = state.checkGuard('canExit', transition.target);
+        if (systemName) {
+            return rejectTransition(stateTree, transition, 'was rejected by system \'' + systemName + '\'', systemName);
+        }
+    }
+
+    for (const state of enteringStates) {
+        const systemName = state.checkGuard('canEnter', transition.source);
+        if (systemName) {
+            return rejectTransition(stateTree, transition, 'was rejected by system \'' + systemName + '\'', systemName);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Updates the navigation history of the state tree for a state change being applied.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {GameState} source - The leaf state being left, or null if no state was active.
+ * @param {String} navigation - How the state change affects the navigation history.
+ */
+function recordNavigation(stateTree, source, navigation) {
+    const history = stateTree.navigationHistory;
+
+    if (navigation === NAVIGATION_BACK) {
+        history.pop();
+    } else if (navigation === NAVIGATION_CLEAR) {
+        history.length = 0;
+    } else if (navigation !== NAVIGATION_REPLACE && source && stateTree.navigationLimit > 0) {
+        history.push(source);
+
+        if (history.length > stateTree.navigationLimit) {
+            history.splice(0, history.length - stateTree.navigationLimit);
+        }
+    }
+}
+
+/**
+ * Removes the overlay state on top of the state stack, returning control to the branch beneath it.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {Object=} payload - Data to be supplied to the systems affected by the state change.
+ */
+function popOverlayState(stateTree, payload) {
+    const stack = stateTree.stateStack;
+
+    if (stack.length < 2) {
+        throw new Error('StateTree.popState - There is no overlay state to be removed.');
+    }
+
+    const entry = stack[stack.length - 1];
+    const transition = createTransition(entry.state, stack[stack.length - 2].state, payload);
+    const reverse = createTransition(transition.target, transition.source);
+
+    if (stateTree.debug) {
+        console.log('StateTree - Popping overlay state \'' + entry.state.name + '\', returning to \'' + transition.target.name + '\'.');
+    }
+
+    runTransition(stateTree, transition, [
+        pending => {
+            stack.pop();
+            stateTree.activeState = transition.target;
+
+            exitLeaves(stateTree, entry.leaves, entry.branchRoot, transition, pending);
+        }
+    ], [
+        pending => {
+            stack.push(entry);
+            stateTree.activeState = entry.state;
+
+            enterLeaves(stateTree, entry.leaves, entry.branchRoot, reverse, pending);
+            postEnterLeaves(stateTree, entry.leaves, entry.branchRoot, reverse);
+        }
+    ]);
+}
+
+/**
+ * Places the specified leaf state on top of the state stack, the branches beneath it remain active.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {GameState} overlayState - The leaf state to be placed on top of the stack.
+ * @param {Object=} payload - Data to be supplied to the systems affected by the state change.
+ */
+function pushOverlayState(stateTree, overlayState, payload) {
+    const stack = stateTree.stateStack;
+
+    if (!stack.length) {
+        throw new Error('StateTree.pushState - There is no active state for \'' + overlayState.name + '\' to be placed upon.');
+    }
+
+    const transition = createTransition(stateTree.activeState, overlayState, payload);
+
+    // The request may have been made before the state became active, so it is subject to the transition policy
+    if (stateTree.isActive(overlayState)) {
+        rejectTransition(stateTree, transition, 'was rejected as \'' + overlayState.name + '\' is already active');
+        return;
+    }
+
+    // The overlay only enters the part of its hierarchy that is not already active
+    const branchRoot = findActiveAncestor(stateTree.getActiveLeaves(), overlayState);
+    const entering = collectEnteringLeaves(overlayState, branchRoot);
+    const reverse = createTransition(overlayState, stateTree.activeState);
+
+    if (!checkTransition(stateTree, transition, [stateTree.activeState], [], collectBranchStates(entering, branchRoot))) {
+        return;
+    }
+
+    if (stateTree.debug) {
+        console.log('StateTree - Pushing overlay state \'' + overlayState.name + '\' onto \'' + stateTree.activeState.name + '\'.');
+    }
+
+    const entry = {
+        state: overlayState,
+        branchRoot: branchRoot,
+        leaves: entering
+    };
+
+    // Should the state change fail, only the systems that were activated are deactivated again
+    const activated = [];
+
+    runTransition(stateTree, transition, [
+        pending => {
+            stack.push(entry);
+            stateTree.activeState = overlayState;
+
+            enterLeaves(stateTree, entering, branchRoot, transition, pending, activated);
+        },
+        () => postEnterLeaves(stateTree, entering, branchRoot, transition)
+    ], [
+        pending => {
+            stack.pop();
+            stateTree.activeState = transition.source;
+
+            exitLeaves(stateTree, entering, branchRoot, reverse, pending, activated);
+        },
+        () => {}
+    ]);
+}
+
+/**
+ * Removes all overlay states and moves the base of the state stack to the specified state. When the state belongs
+ * to a parallel region, only the branch within that region is exited.
+ * @param {StateTree} stateTree - The state tree being processed.
+ * @param {GameState} requestedState - The state to be activated, states with children are resolved to a leaf.
+ * @param {Object=} payload - Data to be supplied to the systems affected by the state change.
+ * @param {String=} navigation - How the state change affects the navigation history.
+ */
+function changeBaseState(stateTree, requestedState, payload, navigation) {
+    // History is resolved when the change is applied, so it reflects any change applied before this one
+    const pendingState = requestedState.findInitialLeaves([])[0];
+
+    const stack = stateTree.stateStack;
+    const baseLeaves = stack.length ? stack[0].leaves : [];
+    const isActive = baseLeaves.indexOf(pendingState) !== -1;
+
+    // The branch being switched is below the deepest state that remains active
+    const rootState = findActiveAncestor(baseLeaves, pendingState);
+    const exiting = isActive ? [] : baseLeaves.filter(leaf => !rootState || leaf.checkParentHierarchy(rootState));
+    const entering = isActive ? [] : collectEnteringLeaves(pendingState, rootState);
+
+    // Overlays are removed by the state change, so their systems must also accept it
+    const overlays = stack.slice(1).reverse();
+
+    let exitingStates = collectBranchStates(exiting, rootState);
+    for (const overlay of overlays) {
+        exitingStates = exitingStates.concat(collectBranchStates(overlay.leaves, overlay.branchRoot));
+    }
+
+    const source = exiting.indexOf(stateTree.activeState) !== -1 ? stateTree.activeState : exiting[0] || null;
+    const transition = createTransition(source, pendingState, payload);
+    const reverse = createTransition(pendingState, source);
+
+    const requested = requestedState !== pendingState ? requestedState : null;
+
+    if (!checkTransition(stateTree, transition, exiting, exitingStates, collectBranchStates(entering, rootState), requested)) {
+        return;
+    }
+
+    if (!stack.length) {
+        stack.push({
+            state: null,
+            branchRoot: null,
+            leaves: []
+        });
+    }
+
+    const entry = stack[0];
+    const previousState = entry.state;
+    const previousActive = stateTree.activeState;
+    const previousHistory = stateTree.navigationHistory.slice();
+
+    // Should the state change fail, only the systems that were activated are deactivated again
+    const activated = [];
+
+    if (stateTree.debug && !isActive) {
+        const activeName = exiting.length ? exiting.map(leaf => leaf.name).join(', ') : '(none)';
+        const pendingName = pendingState ? pendingState.name : '(none)';
+
+        console.log('StateTree - Leaving state \'' + activeName + '\', entering state \'' + pendingName + '\'.');
+    }
+
+    runTransition(stateTree, transition, [
+        pending => {
+            for (const overlay of overlays) {
+                stack.pop();
+                exitLeaves(stateTree, overlay.leaves, overlay.branchRoot, transition, pending);
+            }
+
+            // Invoke 'onDeactivate' for all systems in the branch that is being terminated
+            entry.leaves = entry.leaves.filter(leaf => exiting.indexOf(leaf) === -1);
+            exitLeaves(stateTree, exiting, rootState, transition, pending);
+        },
+        pending => {
+            // Invoke 'onActivate' for all systems in the branch that has become active
+            entry.leaves = entry.leaves.concat(entering);
+            sortLeaves(entry.leaves);
+
+            entry.state = pendingState;
+            stateTree.activeState = pendingState;
+
+            if (!isActive) {
+                recordNavigation(stateTree, source, navigation);
+            }
+
+            enterLeaves(stateTree, entering, rootState, transition, pending, activated);
+        },
+        () => postEnterLeaves(stateTree, entering, rootState, transition)
+    ], [
+        pending => {
+            entry.leaves = entry.leaves.concat(exiting);
+            sortLeaves(entry.leaves);
+
+            enterLeaves(stateTree, exiting, rootState, reverse, pending);
+            postEnterLeaves(stateTree, exiting, rootState, reverse);
+
+            for (let loop = overlays.length - 1; loop >= 0; loop--) {
+                stack.push(overlays[loop]);
+                enterLeaves(stateTree, overlays[loop].leaves, overlays[loop].branchRoot, reverse, pending);
+                postEnterLeaves(stateTree, overlays[loop].leaves, overlays[loop].branchRoot, reverse);
+            }
+
+            entry.state = previousState;
+            stateTree.activeState = previousActive;
+        },
+        pending => {
+            stateTree.navigationHistory = previousHistory;
+
+            entry.leaves = entry.leaves.filter(leaf => entering.indexOf(leaf) === -1);
+            exitLeaves(stateTree, entering, rootState, reverse, pending, activated);
+        },
+        () => {}
+    ]);
+}
+
+/**
+ * Retrieves the game state named within a snapshot, throwing an exception if it does not exist.
+ * @param {StateTree} stateTree - The state tree being restored.
+ * @param {String} name - The name of the game state.
+ * @returns {GameState} The game state associated with the name, or null if no name was specified.
+ */
+function getSnapshotState(stateTree, name) {
+    if (name === null || name === undefined) {
+        return null;
+    }
+
+    const state = stateTree.stateMap.get(name);
+    if (!state) {
+        throw new Error('StateTree.restore - Snapshot refers to unknown state \'' + name + '\'.');
+    }
+
+    return state;
+}
+
+/**
+ * Validates a snapshot produced by StateTree.serialize, resolving the names it contains to game states.
+ * @param {StateTree} stateTree - The state tree being restored.
+ * @param {Object} snapshot - The snapshot to be parsed.
+ * @returns {Object} The snapshot, with each state name replaced by its game state.
+ */
+function parseSnapshot(stateTree, snapshot) {
+    if (!snapshot) {
+        throw new Error('StateTree.restore - No snapshot was provided.');
+    }
+
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error('StateTree.restore - Unsupported snapshot version \'' + snapshot.version + '\'.');
+    }
+
+    const getState = name => getSnapshotState(stateTree, name);
+
+    return {
+        stack: (snapshot.stack || []).map(entry => ({
+            state: getState(entry.state),
+            branchRoot: getState(entry.branchRoot),
+            leaves: entry.leaves.map(getState)
+        })),
+        pendingStates: (snapshot.pendingStates || []).map(request => ({
+            state: getState(request.state),
+            payload: request.payload,
+            navigation: request.navigation
+        })),
+        pendingOverlays: (snapshot.pendingOverlays || []).map(request => ({
+            state: getState(request.state),
+            payload: request.payload
+        })),
+        navigation: (snapshot.navigation || []).map(getState),
+        history: Object.keys(snapshot.history || {}).map(name => ({
+            state: getState(name),
+            child: getState(snapshot.history[name])
+        })),
+        systems: snapshot.systems || {}
+    };
+}
+
+/**
+ * Groups the leaves whose branches are being exited or entered within an entry of the state stack by the deepest
+ * ancestor that remains active, so that each state is only exited or entered once.
+ * @param {Array} leaves - The leaves whose branches are changing.
+ * @param {Array} retained - The leaves of the entry that remain active, before or after the change.
+ * @param {Array} changes - List that receives the leaves and branch root of each group.
+ */
+function groupLeaves(leaves, retained, changes) {
+    const groups = new Map();
+
+    for (const leaf of leaves) {
+        const branchRoot = findActiveAncestor(retained, leaf);
+
+        if (!groups.has(branchRoot)) {
+            groups.set(branchRoot, { leaves: [], branchRoot: branchRoot });
+            changes.push(groups.get(branchRoot));
+        }
+
+        groups.get(branchRoot).leaves.push(leaf);
+    }
+}
+
+/**
+ * Determines the branches exited and entered when the state stack is replaced by the stack of a snapshot. Unless
+ * the active states are kept, every branch is exited and entered again. Otherwise, entries of the stack that begin
+ * at the same branch root only exit and enter the states that differ between their leaves, entries above the
+ * first entry that differs are exited and entered completely.
+ * @param {Array} previous - The entries of the state stack being replaced.
+ * @param {Array} next - The entries of the state stack within the snapshot.
+ * @param {boolean} keepActive - True if states active both before and after the change remain active.
+ * @returns {Object} The branches to be exited, ordered from the top of the stack, and the branches to be entered.
+ */
+function collectSnapshotChanges(previous, next, keepActive) {
+    const exits = [];
+    const enters = [];
+
+    let kept = 0;
+    if (keepActive) {
+        while (kept < previous.length && kept < next.length && previous[kept].branchRoot === next[kept].branchRoot) {
+            kept++;
+        }
+    }
+
+    for (let loop = previous.length - 1; loop >= 0; loop--) {
+        const entry = previous[loop];
+
+        if (loop < kept) {
+            groupLeaves(entry.leaves.filter(leaf => next[loop].leaves.indexOf(leaf) === -1), next[loop].leaves, exits);
+        } else {
+            exits.push({ leaves: entry.leaves, branchRoot: entry.branchRoot });
+        }
+    }
+
+    for (let loop = 0; loop < next.length; ++loop) {
+        const entry = next[loop];
+
+        if (loop < kept) {
+            groupLeaves(entry.leaves.filter(leaf => previous[loop].leaves.indexOf(leaf) === -1), previous[loop].leaves, enters);
+        } else {
+            enters.push({ leaves: entry.leaves, branchRoot: entry.branchRoot });
+        }
+    }
+
+    return {
+        exits: exits,
+        enters: enters
+    };
+}
+
+/**
+ * Replaces the active branches of the state tree with those recorded in a snapshot. The systems receive their
+ * saved data before the branches are entered, allowing them to use it when they are activated. Transient systems
+ * receive their saved data as they are created.
+ * @param {StateTree} stateTree - The state tree being restored.
+ * @param {Object} snapshot - The snapshot, as returned by parseSnapshot.
+ * @param {boolean=} keepActive - True if states that remain active are not exited and entered again.
+ */
+function applySnapshot(stateTree, snapshot, keepActive) {
+    const stack = stateTree.stateStack;
+    const previous = stack.slice();
+    const previousActive = stateTree.activeState;
+    const target = snapshot.stack.length ? snapshot.stack[snapshot.stack.length - 1].state : null;
+    const transition = createTransition(stateTree.activeState, target);
+    const changes = collectSnapshotChanges(previous, snapshot.stack, keepActive);
+    const activated = [];
+
+    if (stateTree.debug) {
+        console.log('StateTree - Restoring snapshot, entering state \'' + (target ? target.name : '(none)') + '\'.');
+    }
+
+    stateTree.pendingSystemData = new Map();
+
+    for (const name of Object.keys(snapshot.systems)) {
+        const system = stateTree.systemMap.get(name);
+        const entry = findOrderEntry(stateTree, name);
+
+        // Transient systems receive their data once they have been created, systems no longer part of the tree are ignored
+        if (entry && entry.transient) {
+            stateTree.pendingSystemData.set(name, snapshot.systems[name]);
+        } else if (system && typeof system.deserialize === 'function') {
+            system.deserialize(snapshot.systems[name]);
+        }
+    }
+
+    for (const record of snapshot.history) {
+        record.state.lastActiveChild = record.child;
+    }
+
+    stateTree.navigationHistory = snapshot.navigation.slice();
+    stateTree.pendingStates = snapshot.pendingStates.slice();
+    stateTree.pendingOverlays = snapshot.pendingOverlays.slice();
+
+    runTransition(stateTree, transition, [
+        pending => {
+            for (const change of changes.exits) {
+                exitLeaves(stateTree, change.leaves, change.branchRoot, transition, pending);
+            }
+
+            stack.length = 0;
+            stateTree.activeState = null;
+        },
+        pending => {
+            for (const entry of snapshot.stack) {
+                stack.push(entry);
+            }
+
+            for (const change of changes.enters) {
+                enterLeaves(stateTree, change.leaves, change.branchRoot, transition, pending, activated);
+            }
+
+            stateTree.activeState = target;
+        },
+        () => {
+            for (const change of changes.enters) {
+                postEnterLeaves(stateTree, change.leaves, change.branchRoot, transition);
+            }
+        }
+    ], [
+        pending => {
+            stack.length = 0;
+
+            for (const entry of previous) {
+                stack.push(entry);
+            }
+
+            for (let loop = changes.exits.length - 1; loop >= 0; loop--) {
+                const change = changes.exits[loop];
+
+                enterLeaves(stateTree, change.leaves, change.branchRoot, transition, pending);
+                postEnterLeaves(stateTree, change.leaves, change.branchRoot, transition);
+            }
+
+            stateTree.activeState = previousActive;
+        },
+        pending => {
+            for (let loop = changes.enters.length - 1; loop >= 0; loop--) {
+                const change = changes.enters[loop];
+
+                exitLeaves(stateTree, change.leaves, change.branchRoot, transition, pending, activated);
+            }
+
+            stack.length = 0;
+            stateTree.activeState = null;
+        },
+        () => {}
+    ]);
+
+    stateTree.onTransitionComplete();
+}
+
+/**
+ * Finds the leaves to be entered beneath a state, choosing the child that leads towards one of the target states
+ * wherever there is a choice. Where no target lies beneath a state, its initial leaves are chosen instead.
+ * @param {GameState} state - The state whose leaves are to be found.
+ * @param {Array} targets - The states that should be active where possible.
+ * @param {Array} leaves - List that receives the leaves that were found.
+ * @returns {Array} The list of leaves.
+ */
+function resolveLeaves(state, targets, leaves) {
+    if (!state.childList.length) {
+        leaves.push(state);
+    } else if (state.parallel) {
+        for (const child of state.childList) {
+            resolveLeaves(child, targets, leaves);
+        }
+    } else {
+        const child = state.childList.find(candidate => isWithinLeaves(targets, candidate));
+
+        if (child) {
+            resolveLeaves(child, targets, leaves);
+        } else {
+            state.findInitialLeaves(leaves);
+        }
+    }
+
+    return leaves;
+}
+
+/**
+ * Rebuilds the state stack of a state tree whose description has been reloaded, using the states that still
+ * exist. The leaves of the base entry are kept wherever the new hierarchy allows, and each overlay is pushed again
+ * onto the branches beneath it.
+ * @param {StateTree} stateTree - The state tree that was reloaded.
+ * @param {Array} previous - The state stack prior to the reload.
+ * @returns {Array} The entries of the new state stack, empty if none of the previous base leaves still exist.
+ */
+function collectReloadedStack(stateTree, previous) {
+    const getState = state => stateTree.stateMap.get(state.name);
+    const targets = previous.length ? previous[0].leaves.map(getState).filter(state => !!state) : [];
+
+    if (!targets.length) {
+        return [];
+    }
+
+    // Only the hierarchy of the first surviving leaf can be active, as the base entry shares a single root
+    let root = targets[0];
+    while (root.parent) {
+        root = root.parent;
+    }
+
+    const leaves = resolveLeaves(root, targets, []);
+    const active = getState(previous[0].state);
+    const stack = [{
+        state: leaves.indexOf(active) !== -1 ? active : leaves[0],
+        branchRoot: null,
+        leaves: leaves
+    }];
+
+    let activeLeaves = leaves;
+
+    for (const entry of previous.slice(1)) {
+        const overlay = getState(entry.state);
+
+        if (overlay && !overlay.childList.length && activeLeaves.indexOf(overlay) === -1) {
+            const branchRoot = findActiveAncestor(activeLeaves, overlay);
+            const entering = collectEnteringLeaves(overlay, branchRoot);
+
+            stack.push({
+                state: overlay,
+                branchRoot: branchRoot,
+                leaves: entering
+            });
+
+            activeLeaves = activeLeaves.concat(entering);
+        }
+    }
+
+    return stack;
+}
+
+/**
+ * Manages a hierarchy of game states that form the running application.
+ *
+ * The tree graph has each node represent a state within the session, where one
+ * node is considered the active game state. The active node must be a leaf
+ * node within the graph.
+ * 
+ * When a node is active, the parent nodes within its hierarchy are also considered
+ * active.
+ * 
+ * Each game state may contain a list of system objects, these are created using
+ * a factory (from npm module @nfactorial/factory_node). This factory must be
+ * supplied to the state tree during construction. System objects should extend
+ * the 'GameSystem' object provided within this package.
+ *
+ * When the per-frame update is being processing the onUpdate method should be invoked,
+ * this method requires an UpdateArgs parameter to be supplied. This object is passed
+ * to all active systems during the frame. The actual format of this object is left
+ * entirely up-to the owning application to define.
+ *
+ * Overlay states may be pushed on top of the active leaf using pushState, and removed again with popState. The
+ * branch beneath an overlay remains active while the overlay is present, it is either suspended or continues to be
+ * updated depending upon the 'overlay' property in the description of the overlay state. The active branches are
+ * held in the stateStack property, the first entry being the branch selected by changeState.
+ *
+ * A game state may be declared as parallel within its description, in which case all of its children are active
+ * at the same time and each child forms a region with its own active leaf. Each entry in the state stack therefore
+ * holds a list of active leaves, ordered as they appear in the hierarchy, and activeState refers to the leaf that
+ * was most recently the target of a state change.
+ *
+ * State changes may be restricted by listing the permitted targets of a state in its 'allowedTransitions'
+ * property, and game systems may reject a state change by implementing the canExit and canEnter methods.
+ * Depending on the transitionPolicy property, a rejected state change either raises an exception or fires
+ * the 'transitionRejected' event through the events property of the state tree.
+ *
+ * Game systems may return a promise from their lifecycle methods, in which case the state tree waits for the
+ * promises to be fulfilled before continuing. While a state change is waiting, the state being changed to does
+ * not receive frame updates and the tree may instead update the state named by the 'loading' property of its
+ * description. If a promise is rejected, or is not fulfilled within the transitionTimeout, the state change is
+ * rolled back and the 'transitionFailed' event is fired.
+ *
+ * Exceptions raised by the lifecycle methods of a system are handled according to its error policy, which may be
+ * declared by the system, by the states within its parent hierarchy or by the state tree. The exception may be passed
+ * on to the caller ('throw', the default), logged ('log'), cause the system to be disabled ('disable') or cause a
+ * change to the designated error state ('transition'). The onError property may be set to a function that is
+ * informed of every exception before the policy is applied. When an exception is passed on during a state change,
+ * the state change is rolled back before the exception reaches the caller.
+ *
+ * Outside code may follow the life of the tree through the lifecycle events raised by its events property, these
+ * are listed in StateTree.Events. Each event object contains the source and target leaves of the state change and
+ * the branch root where they join, along with any payload supplied with the request.
+ *
+ * Events may be delivered to the systems within the active branches using dispatch, either bubbling from the active
+ * leaves up to the root or capturing from the root down to the leaves. Any system handling the event may consume it,
+ * preventing it from reaching the remaining systems.
+ *
+ * Systems may create timers using the scheduler property (also available from InitArgs and UpdateArgs), the timers
+ * advance with the delta time of each frame and are scoped to the state owning the system. A timer is suspended
+ * while its state is not being updated, and every timer is cancelled when the state tree is destroyed.
+ *
+ * Systems declared with the 'active' lifetime are transient, they are created and initialized each time their state
+ * is entered and destroyed when it is exited. A transient system is only present within the systemMap, and found by
+ * findSystem, while its state is active.
+ *
+ * States may be added or removed while the tree is running using addState and removeState, and systems using
+ * addSystem and removeSystem. The lifecycle methods of the affected systems are invoked as the change is applied.
+ * States that are active, or referred to by other states, may not be removed.
+ *
+ * A state tree may be made read-only by setting its readOnly property, after which requests to change its state
+ * raise an exception. This is used by mirrors of a state tree running elsewhere, such as on a server, whose active
+ * states are instead applied by a Replica using restore.
+ *
+ * For debug purposes, you may set the debug property of the state tree. When set to true, the state tree
+ * will log all state changes as they occur.
+ */
+class StateTree {
+
+    /**
+     * Creates and initializes a new StateTree object for use by the application.
+     * @param systemFactory {Factory} The factory object to be used when creating game system objects.
+     * @param desc {Object} Description of the state tree to be constructed.
+     */
+    constructor(systemFactory, desc) {
+        if (!systemFactory) {
+            throw new Error('StateTree.constructor - A valid system factory must be supplied during construction.');
+        }
+
+        if (!desc) {
+            throw new Error('StateTree.constructor - No description was provided.');
+        }
+
+        this.name = desc.name;
+        this.stateMap = new Map();
+        this.systemMap = new Map();
+        this.activeState = null;
+        this.defaultState = null;
+        this.pendingStates = [];
+        this.stateStack = [];
+        this.pendingOverlays = [];
+        this.systemFactory = systemFactory;
+        this.events = new EventProvider();
+        this.transitionPolicy = desc.transitionPolicy || POLICY_THROW;
+        this.transitionTimeout = desc.transitionTimeout || 0;
+        this.currentTransition = null;
+        this.loadingState = null;
+        this.loadingEntry = null;
+        this.initializing = false;
+        this.navigationHistory = [];
+        this.systemOrder = [];
+        this.systemIndex = new Map();
+        this.systemVersion = 0;
+        this.pendingSystemData = new Map();
+        this.initialized = false;
+        this.pendingSnapshot = null;
+        this.initArgs = null;
+        this.navigationLimit = desc.navigationLimit !== undefined ? desc.navigationLimit : DEFAULT_NAVIGATION_LIMIT;
+        this.profiler = null;
+        this.recorder = null;
+        this.internalCalls = 0;
+        this.errorPolicy = desc.errorPolicy || GameState.ERROR_THROW;
+        this.errorState = null;
+        this.onError = null;
+        this.disabledSystems = new Set();
+        this.scheduler = new Scheduler({
+            onError: (timer, err) => {
+                if (!timer.system || !this.systemIndex.has(timer.system)) {
+                    throw err;
+                }
+
+                handleSystemError(this, timer.system, 'timer', err);
+            }
+        });
+        this.readOnly = false;
+        this.deferred = false;
+        this.debug = false;
+
+        if (this.transitionPolicy !== POLICY_THROW && this.transitionPolicy !== POLICY_NOTIFY) {
+            throw new Error('StateTree.constructor - Unknown transition policy \'' + this.transitionPolicy + '\'.');
+        }
+
+        if (GameState.ERROR_POLICIES.indexOf(this.errorPolicy) === -1) {
+            throw new Error('StateTree.constructor - Unknown error policy \'' + this.errorPolicy + '\'.');
+        }
+
+        this._tickRequested = false;
+        this._onApplyTick = this._onApplyTick.bind(this);
+        this._reloadPool = null;
+
+        this._createStates('constructor', desc);
+    }
+
+    /**
+     * Retrieves the leaf state most recently requested by changeState that has yet to be applied.
+     * @returns {GameState} The pending game state, or null if there is no pending state change.
+     */
+    get pendingState() {
+        const count = this.pendingStates.length;
+
+        return count ? this.pendingStates[count - 1].state : null;
+    }
+
+    /**
+     * Replaces any outstanding state change requests with the specified game state.
+     * @param {GameState} state - The leaf state to be activated, or null to cancel any pending state change.
+     */
+    set pendingState(state) {
+        this.pendingStates = state ? [{ state: state, payload: undefined }] : [];
+    }
+
+    /**
+     * Prepares the state tree for use by the application using the supplied description.
+     * Systems may return a promise from their onInitialize method, in which case the main state is not
+     * entered until all systems have finished initializing.
+     * @param initArgs {InitArgs} The InitArgs object to be supplied to each game state.
+     * @returns {Promise} Promise that is fulfilled once all systems have been initialized.
+     */
+    onInitialize(initArgs) {
+        if (!initArgs) {
+            throw new Error('StateTree.onInitialize - No InitArgs object was provided.');
+        }
+
+        initArgs.stateTree = this;
+        this.initArgs = initArgs;
+        this.initialized = true;
+
+        // Resolve all children in the hierarchy
+        for (const state of this.stateMap.values()) {
+            state.resolveChildren(this);
+        }
+
+        this._indexStates();
+        this._orderSystems();
+        this._checkErrorPolicies();
+
+        this.pendingState = this.defaultState;
+
+        const pending = [];
+
+        // Transient systems are initialized when their state is entered
+        for (const entry of this.systemOrder) {
+            if (!entry.transient) {
+                initializeSystem(this, entry, pending);
+            }
+        }
+
+        // A snapshot supplied before initialization is entered instead of the main state
+        const enter = () => {
+            const snapshot = this.pendingSnapshot;
+
+            this.pendingSnapshot = null;
+
+            if (snapshot) {
+                applySnapshot(this, snapshot);
+            } else {
+                StateTree.commitStateChange(this);
+            }
+        };
+
+        return this._waitForSystems(pending, enter);
+    }
+
+    /**
+     * Called by the framework when the game represented by this state tree is being destroyed.
+     * Systems may return a promise from their onDeactivate and onDestroy methods, systems are not destroyed
+     * until all systems have been deactivated. The 'destroyed' event is fired once all systems have been destroyed.
+     * A state change that is waiting for its systems is cancelled, so it is neither completed nor rolled back.
+     * @returns {Promise} Promise that is fulfilled once all systems have been destroyed.
+     */
+    onDestroy() {
+        this.scheduler.clear();
+
+        // A state change still waiting for its systems is abandoned, none of its remaining steps are invoked
+        if (this.currentTransition) {
+            this.currentTransition.cancelled = true;
+        }
+
+        // Systems of a tree that never entered its main state, such as one that failed to initialize, are destroyed also
+        if (!this.activeState && !this.initialized) {
+            return Promise.resolve();
+        }
+
+        const pending = [];
+        const transition = createTransition(this.activeState, null);
+
+        endLoading(this);
+
+        // Leave each active branch, beginning with the most recent overlay
+        while (this.stateStack.length) {
+            const entry = this.stateStack.pop();
+
+            exitLeaves(this, entry.leaves, entry.branchRoot, createTransition(entry.state, null), pending);
+        }
+
+        this.initialized = false;
+        this.activeState = null;
+        this.currentTransition = null;
+        this.pendingStates = [];
+        this.pendingOverlays.length = 0;
+        this.navigationHistory.length = 0;
+
+        const destroy = () => {
+            const destroying = [];
+
+            // Systems are destroyed in the reverse of their processing order
+            for (let loop = this.systemOrder.length - 1; loop >= 0; loop--) {
+                const system = this.systemOrder[loop].system;
+
+                if (system) {
+                    GameState.addPending(destroying, system.onDestroy());
+                }
+            }
+
+            const destroyed = () => this.events.fire(Events.DESTROYED, createEvent(transition));
+
+            return destroying.length ? waitForAll(destroying, this.transitionTimeout).then(destroyed) : Promise.resolve(destroyed());
+        };
+
+        return pending.length ? waitForAll(pending, this.transitionTimeout).then(destroy) : destroy();
+    }
+
+    /**
+     * Called each frame when it is time to do our processing.
+     * @param updateArgs {UpdateArgs} Object supplied to all active systems containing per-frame information.
+     */
+    onUpdate(updateArgs) {
+        const profiler = this.profiler;
+        const start = profiler ? profiler.now() : 0;
+
+        if (this.recorder) {
+            this.recorder.recordUpdate(updateArgs);
+        }
+
+        StateTree.commitStateChange(this);
+
+        // While a state change is waiting for its systems, only the loading state is updated
+        if (this.currentTransition) {
+            if (this.scheduler.count) {
+                this.scheduler.update(updateArgs.deltaTime, new Set(this.loadingEntry ? [this.loadingEntry.state] : []));
+            }
+
+            if (this.loadingEntry) {
+                const systems = collectEntrySystems(this, this.loadingEntry, null);
+
+                for (const system of systems) {
+                    if (system.onUpdate) {
+                        invokeSystem(this, system, 'onUpdate', updateArgs);
+                    }
+                }
+
+                for (const system of systems) {
+                    if (system.onPostUpdate) {
+                        invokeSystem(this, system, 'onPostUpdate', updateArgs);
+                    }
+                }
+            }
+
+            return;
+        }
+
+        const stack = this.stateStack;
+        const first = StateTree.findFirstUpdatedEntry(this);
+
+        // Timers fire before the systems of their state are updated
+        if (this.scheduler.count) {
+            this.scheduler.update(updateArgs.deltaTime, collectUpdatedStates(this, first));
+        }
+
+        for (let loop = first; loop < stack.length; ++loop) {
+            for (const system of collectEntrySystems(this, stack[loop], loop === first ? null : stack[loop].branchRoot)) {
+                if (system.onUpdate) {
+                    invokeSystem(this, system, 'onUpdate', updateArgs);
+                }
+            }
+        }
+
+        for (let loop = first; loop < stack.length; ++loop) {
+            for (const system of collectEntrySystems(this, stack[loop], loop === first ? null : stack[loop].branchRoot)) {
+                if (system.onPostUpdate) {
+                    invokeSystem(this, system, 'onPostUpdate', updateArgs);
+                }
+            }
+        }
+
+        StateTree.commitStateChange(this);
+
+        if (profiler) {
+            profiler.recordFrame(start, profiler.now());
+        }
+
+        if (this.recorder) {
+            this.recorder.recordFrame();
+        }
+    }
+
+    /**
+     * Activates the systems within the branches between the supplied leaves and the branch root, as happens
+     * when a state change enters them. Used by GameState.onEnter.
+     * @param {Array} leaves - The leaves whose branches are being entered.
+     * @param {GameState} branchRoot - The state where each branch stops, this state is not entered.
+     * @param {Object=} transition - Describes the state change being applied.
+     * @param {Array=} pending - List that receives any promises returned by the systems being activated.
+     */
+    enterBranch(leaves, branchRoot, transition, pending) {
+        enterLeaves(this, leaves, branchRoot, transition, pending);
+    }
+
+    /**
+     * Invokes 'onPostActivate' for the systems within the branches between the supplied leaves and the branch
+     * root. Used by GameState.onPostEnter.
+     * @param {Array} leaves - The leaves whose branches have been entered.
+     * @param {GameState} branchRoot - The state where each branch stops.
+     * @param {Object=} transition - Describes the state change being applied.
+     */
+    postEnterBranch(leaves, branchRoot, transition) {
+        postEnterLeaves(this, leaves, branchRoot, transition);
+    }
+
+    /**
+     * Deactivates the systems within the branches between the supplied leaves and the branch root, as happens
+     * when a state change exits them. Used by GameState.onExit.
+     * @param {Array} leaves - The leaves whose branches are being exited.
+     * @param {GameState} branchRoot - The state where each branch stops, this state is not exited.
+     * @param {Object=} transition - Describes the state change being applied.
+     * @param {Array=} pending - List that receives any promises returned by the systems being deactivated.
+     */
+    exitBranch(leaves, branchRoot, transition, pending) {
+        exitLeaves(this, leaves, branchRoot, transition, pending);
+    }
+
+    /**
+     * Invokes an update method ('onUpdate' or 'onPostUpdate') of the systems within the branches between the
+     * supplied leaves and the branch root, in processing order. Used by GameState.onUpdate and onPostUpdate.
+     * @param {Array} leaves - The leaves whose branches are being updated.
+     * @param {GameState} branchRoot - The state where each branch stops, or null to update the entire hierarchy.
+     * @param {String} method - The name of the update method to be invoked.
+     * @param {UpdateArgs} updateArgs - Parameters describing the current frame being processed.
+     */
+    updateBranch(leaves, branchRoot, method, updateArgs) {
+        for (const system of collectSystems(this, leaves, branchRoot)) {
+            if (system[method]) {
+                invokeSystem(this, system, method, updateArgs);
+            }
+        }
+    }
+
+    /**
+     * Called by the framework once a state change that had to wait for its systems has completed, any
+     * state changes requested while waiting are applied.
+     */
+    onTransitionComplete() {
+        StateTree.commitStateChange(this);
+    }
+
+    /**
+     * Requests that the state tree alter the flow of execution to another branch.
+     * Any overlay states present when the change is applied will be removed. A state with children may be
+     * requested if it is parallel or declares an initial child or history, the leaf to be entered is then
+     * chosen when the change is applied.
+     * @param {String} stateName - The name of the game state execution flow should switch to.
+     * @param {Object=} payload - Data supplied to the systems affected by the state change.
+     * @param {String=} navigation - How the change affects the navigation history, one of 'push' (the default),
+     * 'replace' or 'clear'.
+     */
+    changeState(stateName, payload, navigation) {
+        this._checkWritable('changeState');
+
+        const state = this._getLeafState('changeState', stateName, true);
+
+        if (navigation && navigation !== NAVIGATION_PUSH && navigation !== NAVIGATION_REPLACE && navigation !== NAVIGATION_CLEAR) {
+            throw new Error('StateTree.changeState - Unknown navigation mode \'' + navigation + '\'.');
+        }
+
+        this._recordRequest('changeState', [stateName, payload, navigation]);
+        this._requestChange(state, payload, navigation || NAVIGATION_PUSH);
+    }
+
+    /**
+     * Requests that the state tree return to the leaf state that was active before the most recent state change.
+     * The state change is applied like any other, the systems being exited and entered are notified and
+     * may reject it.
+     * @param {Object=} payload - Data supplied to the systems affected by the state change.
+     */
+    goBack(payload) {
+        this._checkWritable('goBack');
+
+        if (!this.canGoBack()) {
+            throw new Error('StateTree.goBack - There is no previous state to return to.');
+        }
+
+        this._recordRequest('goBack', [payload]);
+        this._requestChange(this.navigationHistory[this.navigationHistory.length - 1], payload, NAVIGATION_BACK);
+    }
+
+    /**
+     * Determines whether the navigation history contains a state that goBack can return to.
+     * @returns {boolean} True if goBack may be called otherwise false.
+     */
+    canGoBack() {
+        return this.navigationHistory.length > 0;
+    }
+
+    /**
+     * Retrieves the names of the leaf states within the navigation history, the most recent entry is last.
+     * @returns {Array} The names of the leaf states that goBack would return to.
+     */
+    getNavigationHistory() {
+        return this.navigationHistory.map(state => state.name);
+    }
+
+    /**
+     * Removes every entry from the navigation history.
+     */
+    clearNavigationHistory() {
+        this.navigationHistory.length = 0;
+    }
+
+    /**
+     * Raises an event within the state tree, causing the transition declared for the event to be requested.
+     * The transition is found by searching from each active leaf up through its parents, events that have
+     * no transition declared within the active hierarchy are ignored.
+     * @param {String} eventName - The name of the event being raised.
+     * @param {Object=} payload - Data associated with the event, supplied to the systems affected by the state change.
+     * @returns {boolean} True if the event caused a state change to be requested otherwise false.
+     */
+    send(eventName, payload) {
+        this._checkWritable('send');
+
+        if (!eventName) {
+            throw new Error('StateTree.send - No event name was specified.');
+        }
+
+        const entry = this.stateStack[this.stateStack.length - 1];
+        if (!entry) {
+            return false;
+        }
+
+        this._recordRequest('send', [eventName, payload]);
+
+        let handled = false;
+
+        // State changes caused by the event are reproduced when the event itself is replayed
+        this.internalCalls++;
+
+        try {
+            for (const leaf of entry.leaves) {
+                const target = leaf.findTransition(eventName);
+                if (target) {
+                    if (this.debug) {
+                        console.log('StateTree - Event \'' + eventName + '\' received in state \'' + leaf.name + '\', transitioning to \'' + target + '\'.');
+                    }
+
+                    this.changeState(target, payload);
+                    handled = true;
+                }
+            }
+        } finally {
+            this.internalCalls--;
+        }
+
+        return handled;
+    }
+
+    /**
+     * Delivers an event to the systems within the active branches of the tree. When bubbling (the default) the
+     * event is delivered to the systems of the active leaves first, followed by their parents up to the root.
+     * When capturing the event is delivered from the root down to the active leaves. Systems within branches
+     * suspended beneath an overlay, and systems within inactive states, do not receive the event.
+     *
+     * A system handles an event by implementing a method named 'onEvent_' followed by the name of the event, or
+     * by attaching an 'EventHandlers' map of event names to method names to its type. Each handler receives the
+     * data and a context, whose consume method prevents the event being delivered to any further systems.
+     * @param {String} eventName - The name of the event being delivered.
+     * @param {Object=} data - Data associated with the event.
+     * @param {String=} phase - The order in which the event is delivered, either 'bubble' or 'capture'.
+     * @returns {boolean} True if a system consumed the event otherwise false.
+     */
+    dispatch(eventName, data, phase) {
+        if (!eventName) {
+            throw new Error('StateTree.dispatch - No event name was specified.');
+        }
+
+        if (phase && phase !== DISPATCH_BUBBLE && phase !== DISPATCH_CAPTURE) {
+            throw new Error('StateTree.dispatch - Unknown dispatch phase \'' + phase + '\'.');
+        }
+
+        this._recordRequest('dispatch', [eventName, data, phase]);
+
+        const systemIndex = this.systemIndex;
+        const context = {
+            name: eventName,
+            phase: phase || DISPATCH_BUBBLE,
+            state: null,
+            consumed: false,
+            consume: () => {
+                context.consumed = true;
+            }
+        };
+
+        for (const state of collectDispatchStates(this, StateTree.findFirstUpdatedEntry(this), context.phase)) {
+            const systems = state.systemList.slice().sort((a, b) => systemIndex.get(a) - systemIndex.get(b));
+
+            context.state = state;
+
+            for (const system of systems) {
+                const method = findEventHandler(this, system, eventName);
+
+                if (method) {
+                    invokeSystem(this, system, method, data, context);
+
+                    if (context.consumed) {
+                        return true;
+                    }
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Requests that a game state be placed on top of the currently active leaf. The branch beneath the
+     * overlay is not exited, it remains active until the overlay is removed using popState.
+     * @param {String} stateName - The name of the game state to be placed on top of the active leaf.
+     * @param {Object=} payload - Data supplied to the systems affected by the state change.
+     */
+    pushState(stateName, payload) {
+        this._checkWritable('pushState');
+
+        const state = this._getLeafState('pushState', stateName);
+
+        this._recordRequest('pushState', [stateName, payload]);
+        this.pendingOverlays.push({
+            state: state,
+            payload: payload
+        });
+        this._requestTick();
+    }
+
+    /**
+     * Requests that the most recently pushed overlay state be removed, returning control to the branch beneath it.
+     * @param {Object=} payload - Data supplied to the systems affected by the state change.
+     */
+    popState(payload) {
+        this._checkWritable('popState');
+
+        // Determine how many overlays will be present once the outstanding requests have been applied
+        let overlayCount = this.pendingStates.length ? 0 : Math.max(this.stateStack.length - 1, 0);
+        for (const request of this.pendingOverlays) {
+            overlayCount += request.state ? 1 : -1;
+        }
+
+        if (overlayCount <= 0) {
+            throw new Error('StateTree.popState - There is no overlay state to be removed.');
+        }
+
+        this._recordRequest('popState', [payload]);
+        this.pendingOverlays.push({
+            state: null,
+            payload: payload
+        });
+        this._requestTick();
+    }
+
+    /**
+     * Determines whether or not the specified game state is within one of the active branches of the tree.
+     * @param {GameState} state - The game state to be checked.
+     * @returns {boolean} True if the game state is currently active otherwise false.
+     */
+    isActive(state) {
+        for (const entry of this.stateStack) {
+            if (isWithinLeaves(entry.leaves, state)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Retrieves every leaf state that is currently active, beginning with the leaves of the base branch.
+     * @returns {Array} List of the active leaf states.
+     */
+    getActiveLeaves() {
+        const leaves = [];
+
+        for (const entry of this.stateStack) {
+            for (const leaf of entry.leaves) {
+                leaves.push(leaf);
+            }
+        }
+
+        return leaves;
+    }
+
+    /**
+     * Creates a new system object and associates it with a specified name.
+     * If not type is specified, this method assumes the supplied name also matches the type name.
+     * @param name {String} Name to be associated with the created system object.
+     * @param type {String=} The name of the object type to be created.
+     * @returns {GameSystem} The created instance of the game system.
+     */
+    createSystem(name, type) {
+        if (this.systemMap.get(name)) {
+            throw new Error('StateTree.createSystem - System object \'' + name + '\' already exists!');
+        }
+
+        // If type was not specified, then assume the name also matches the type.
+        const typeName = type || name;
+
+        // While reloading, systems that remain in the tree keep their existing object
+        const existing = this._reloadPool ? this._reloadPool.get(name) : null;
+        if (existing && existing.typeName === typeName && !existing.reused) {
+            existing.reused = true;
+            this.systemMap.set(name, existing.o);
+
+            return existing.o;
+        }
+
+        const system = this.systemFactory.create(typeName);
+        if (!system) {
+            throw new Error('StateTree.createSystem - Could not find system object type \'' + typeName + '\'.');
+        }
+
+        this.systemMap.set(name, system);
+
+        return system;
+    }
+
+    /**
+     * Determines whether a system has been disabled by the 'disable' error policy.
+     * @param {String} name - The name of the system.
+     * @returns {boolean} True if the system is disabled otherwise false.
+     */
+    isSystemDisabled(name) {
+        const system = this.systemMap.get(name);
+
+        return !!system && this.disabledSystems.has(system);
+    }
+
+    /**
+     * Re-enables a system that was disabled by the 'disable' error policy. The system resumes receiving calls from
+     * the state tree, it does not receive the calls it missed while it was disabled.
+     * @param {String} name - The name of the system to be enabled.
+     */
+    enableSystem(name) {
+        const system = this.systemMap.get(name);
+        if (!system) {
+            throw new Error('StateTree.enableSystem - System \'' + name + '\' could not be found.');
+        }
+
+        this.disabledSystems.delete(system);
+    }
+
+    /**
+     * Attaches a profiler to the state tree, measuring the time spent by each system from now on.
+     * @param {Object=} options - Settings supplied to the profiler, see Profiler for details.
+     * @returns {Profiler} The profiler attached to the state tree.
+     */
+    enableProfiler(options) {
+        this.profiler = new Profiler(options);
+
+        return this.profiler;
+    }
+
+    /**
+     * Removes the profiler from the state tree, systems are no longer measured.
+     */
+    disableProfiler() {
+        this.profiler = null;
+    }
+
+    /**
+     * Retrieves a GameState object associated with the specified name.
+     * @param name {String} Name of the game state to be retrieved.
+     * @returns {GameState} The game state associated with the the specified name otherwise undefined.
+     */
+    getState(name) {
+        return this.stateMap.get(name);
+    }
+
+    /**
+     * Retrieves the leaf state associated with the specified name, throwing an exception if it cannot be used
+     * as the target of a state change.
+     * @param {String} caller - Name of the method requesting the state, used when reporting errors.
+     * @param {String} stateName - Name of the game state to be retrieved.
+     * @param {boolean=} allowBranch - True if a state with children may be requested, provided it can choose its leaf.
+     * @returns {GameState} The game state associated with the specified name.
+     * @private
+     */
+    _getLeafState(caller, stateName, allowBranch) {
+        if (!stateName) {
+            throw new Error('StateTree.' + caller + ' - No state was specified for transfer.');
+        }
+
+        const state = this.stateMap.get(stateName);
+        if (!state) {
+            throw new Error('StateTree.' + caller + ' - Requested state \'' + stateName + '\' could not be found.');
+        }
+
+        if (state.children.size && !(allowBranch && state.isEnterable())) {
+            throw new Error('StateTree.' + caller + ' - Requested state \'' + stateName + '\' was not a leaf node.');
+        }
+
+        return state;
+    }
+
+    /**
+     * Captures the active branches of the state tree, its outstanding state changes and the data held by each
+     * system into an object that may be converted to JSON. Systems provide their data by implementing the
+     * serialize method.
+     * @returns {Object} The snapshot, which may be supplied to restore.
+     */
+    serialize() {
+        if (this.currentTransition) {
+            throw new Error('StateTree.serialize - Cannot serialize while a state change is in progress.');
+        }
+
+        const getName = state => state ? state.name : null;
+        const history = {};
+        const systems = {};
+
+        for (const state of this.stateMap.values()) {
+            if (state.lastActiveChild) {
+                history[state.name] = state.lastActiveChild.name;
+            }
+        }
+
+        for (const name of this.systemMap.keys()) {
+            const system = this.systemMap.get(name);
+
+            if (typeof system.serialize === 'function') {
+                const data = system.serialize();
+                if (data !== undefined) {
+                    systems[name] = data;
+                }
+            }
+        }
+
+        return {
+            version: SNAPSHOT_VERSION,
+            name: this.name,
+            stack: this.stateStack.map(entry => ({
+                state: getName(entry.state),
+                branchRoot: getName(entry.branchRoot),
+                leaves: entry.leaves.map(getName)
+            })),
+            pendingStates: this.pendingStates.map(request => ({
+                state: getName(request.state),
+                payload: request.payload,
+                navigation: request.navigation
+            })),
+            pendingOverlays: this.pendingOverlays.map(request => ({
+                state: getName(request.state),
+                payload: request.payload
+            })),
+            navigation: this.navigationHistory.map(getName),
+            history: history,
+            systems: systems
+        };
+    }
+
+    /**
+     * Replaces the active branches of the state tree with those recorded by serialize. Each system that
+     * implements deserialize receives its saved data, after which the saved branches are entered. When
+     * called before onInitialize, the saved branches are entered in place of the main state.
+     * @param {Object} snapshot - The snapshot produced by serialize.
+     * @param {Object=} options - Optional settings for the restore.
+     * @param {boolean=} options.keepActive - Leave states that are active in the snapshot active, only exiting and entering the states that differ.
+     */
+    restore(snapshot, options) {
+        if (this.currentTransition) {
+            throw new Error('StateTree.restore - Cannot restore while a state change is in progress.');
+        }
+
+        const parsed = parseSnapshot(this, snapshot);
+
+        if (!this.initialized || this.initializing) {
+            this.pendingSnapshot = parsed;
+        } else {
+            applySnapshot(this, parsed, !!(options && options.keepActive));
+        }
+    }
+
+    /**
+     * Replaces the description of the state tree while it is running. Systems that remain in the tree keep
+     * their existing object and have any changed parameters re-applied, new systems are created and
+     * initialized, and systems that were removed are destroyed. The transition policy, transition timeout and
+     * navigation limit of the new description are applied also. The active branches are exited before the
+     * description is replaced, after which the previously active leaves and overlays are entered again where
+     * they still exist, otherwise the main state is entered. Entries in the navigation history are kept for the
+     * states that still exist.
+     * @param {Object} desc - The new description of the state tree.
+     * @returns {Promise} Promise that is fulfilled once new systems have been initialized.
+     */
+    reload(desc) {
+        if (!desc) {
+            throw new Error('StateTree.reload - No description was provided.');
+        }
+
+        if (!this.initialized || this.initializing) {
+            throw new Error('StateTree.reload - The state tree has not been initialized.');
+        }
+
+        if (this.currentTransition) {
+            throw new Error('StateTree.reload - Cannot reload while a state change is in progress.');
+        }
+
+        const previous = {
+            stateMap: this.stateMap,
+            systemMap: this.systemMap,
+            systemOrder: this.systemOrder,
+            systemIndex: this.systemIndex,
+            defaultState: this.defaultState,
+            loadingState: this.loadingState,
+            errorPolicy: this.errorPolicy,
+            errorState: this.errorState,
+            transitionPolicy: this.transitionPolicy,
+            transitionTimeout: this.transitionTimeout,
+            navigationLimit: this.navigationLimit,
+            stack: this.stateStack.slice(),
+            activeState: this.activeState
+        };
+
+        const navigation = this.navigationHistory.map(state => state.name);
+        const transition = createTransition(this.activeState, null);
+
+        while (this.stateStack.length) {
+            const entry = this.stateStack.pop();
+
+            exitLeaves(this, entry.leaves, entry.branchRoot, transition);
+        }
+
+        this.activeState = null;
+        this.pendingStates = [];
+        this.pendingOverlays = [];
+        this.navigationHistory = [];
+
+        const pool = new Map();
+        for (const state of previous.stateMap.values()) {
+            for (const name of state.gameSystems.keys()) {
+                const system = state.gameSystems.get(name);
+
+                // Transient systems were destroyed when their states were exited
+                if (!system.o) {
+                    continue;
+                }
+
+                pool.set(name, {
+                    o: system.o,
+                    typeName: system.typeName,
+                    params: system.params,
+                    reused: false
+                });
+            }
+        }
+
+        try {
+            this._reloadPool = pool;
+            this.stateMap = new Map();
+            this.systemMap = new Map();
+            this.loadingState = null;
+            this.errorState = null;
+            this.errorPolicy = desc.errorPolicy || GameState.ERROR_THROW;
+
+            if (GameState.ERROR_POLICIES.indexOf(this.errorPolicy) === -1) {
+                throw new Error('StateTree.reload - Unknown error policy \'' + this.errorPolicy + '\'.');
+            }
+
+            this.transitionPolicy = desc.transitionPolicy || POLICY_THROW;
+            this.transitionTimeout = desc.transitionTimeout || 0;
+            this.navigationLimit = desc.navigationLimit !== undefined ? desc.navigationLimit : DEFAULT_NAVIGATION_LIMIT;
+
+            if (this.transitionPolicy !== POLICY_THROW && this.transitionPolicy !== POLICY_NOTIFY) {
+                throw new Error('StateTree.reload - Unknown transition policy \'' + this.transitionPolicy + '\'.');
+            }
+
+            this._createStates('reload', desc);
+
+            for (const state of this.stateMap.values()) {
+                state.resolveChildren(this);
+            }
+
+            this._indexStates();
+            this._orderSystems();
+            this._checkErrorPolicies();
+        } catch (err) {
+            Object.assign(this, {
+                stateMap: previous.stateMap,
+                systemMap: previous.systemMap,
+                systemOrder: previous.systemOrder,
+                systemIndex: previous.systemIndex,
+                defaultState: previous.defaultState,
+                loadingState: previous.loadingState,
+                errorPolicy: previous.errorPolicy,
+                errorState: previous.errorState,
+                transitionPolicy: previous.transitionPolicy,
+                transitionTimeout: previous.transitionTimeout,
+                navigationLimit: previous.navigationLimit
+            });
+
+            this._indexStates();
+
+            // The description could not be used, so the branches that were active are entered again
+            for (const entry of previous.stack) {
+                this.stateStack.push(entry);
+                enterLeaves(this, entry.leaves, entry.branchRoot, transition);
+                postEnterLeaves(this, entry.leaves, entry.branchRoot, transition);
+            }
+
+            this.activeState = previous.activeState;
+
+            throw err;
+        } finally {
+            this._reloadPool = null;
+        }
+
+        this.name = desc.name;
+
+        if (this.debug) {
+            console.log('StateTree - Reloaded description \'' + this.name + '\'.');
+        }
+
+        // Timers follow their system, or state, into the new hierarchy and are cancelled if it no longer exists
+        this.scheduler.moveTimers(timer => {
+            if (timer.system) {
+                const index = this.systemIndex.get(timer.system);
+
+                return index !== undefined ? this.systemOrder[index].state : null;
+            }
+
+            return this.stateMap.get(timer.state.name) || null;
+        });
+
+        // Systems that are no longer part of the tree are destroyed in the reverse of their processing order
+        for (let loop = previous.systemOrder.length - 1; loop >= 0; loop--) {
+            const existing = pool.get(previous.systemOrder[loop].name);
+
+            if (existing && !existing.reused) {
+                existing.o.onDestroy();
+            }
+        }
+
+        const pending = [];
+
+        for (const entry of this.systemOrder) {
+            const existing = pool.get(entry.name);
+
+            if (entry.transient) {
+                continue;
+            }
+
+            if (!existing || existing.o !== entry.system) {
+                initializeSystem(this, entry, pending);
+            } else if (JSON.stringify(existing.params) !== JSON.stringify(entry.state.gameSystems.get(entry.name).params)) {
+                entry.state.applySystemParameters(this.initArgs, entry.name);
+            }
+        }
+
+        // History is kept for states that still exist
+        for (const state of previous.stateMap.values()) {
+            const reloaded = this.stateMap.get(state.name);
+
+            if (reloaded && state.lastActiveChild) {
+                reloaded.lastActiveChild = reloaded.children.get(state.lastActiveChild.name) || null;
+            }
+        }
+
+        const stack = collectReloadedStack(this, previous.stack);
+
+        this.navigationHistory = navigation.map(name => this.stateMap.get(name)).filter(state => state && !state.childList.length);
+        this.navigationHistory.splice(0, Math.max(this.navigationHistory.length - this.navigationLimit, 0));
+        this.pendingState = stack.length ? null : this.defaultState;
+
+        const enter = () => {
+            if (!stack.length) {
+                StateTree.commitStateChange(this);
+                return;
+            }
+
+            applySnapshot(this, {
+                stack: stack,
+                pendingStates: this.pendingStates.slice(),
+                pendingOverlays: this.pendingOverlays.slice(),
+                navigation: this.navigationHistory,
+                history: [],
+                systems: {}
+            });
+        };
+
+        return this._waitForSystems(pending, enter);
+    }
+
+    /**
+     * Adds a state to the hierarchy while the state tree is running. The state may not declare children, these are
+     * added by further calls to addState. The systems of the state are initialized, but the state is not entered
+     * until it is requested. A state may not be added beneath an active leaf or an active parallel state, as this
+     * would change the active leaves.
+     * @param {Object} desc - Description of the state to be added.
+     * @param {String=} parentName - The name of the parent state, the state is added at the root if not specified.
+     * @returns {Promise} Promise that is fulfilled once the systems of the state have been initialized.
+     */
+    addState(desc, parentName) {
+        this._checkMutable('addState');
+
+        if (!desc) {
+            throw new Error('StateTree.addState - No description was provided.');
+        }
+
+        if (this.stateMap.has(desc.name)) {
+            throw new Error('StateTree.addState - State \'' + desc.name + '\' already exists.');
+        }
+
+        if (desc.children && desc.children.length) {
+            throw new Error('StateTree.addState - State \'' + desc.name + '\' may not declare children, they must be added using addState.');
+        }
+
+        const parent = parentName ? this.stateMap.get(parentName) : null;
+
+        if (parentName && !parent) {
+            throw new Error('StateTree.addState - Parent state \'' + parentName + '\' could not be found.');
+        }
+
+        if (parent && this.isActive(parent) && (!parent.childList.length || parent.parallel)) {
+            throw new Error('StateTree.addState - Cannot add state \'' + desc.name + '\' to active state \'' + parent.name + '\', as it would change the active leaves.');
+        }
+
+        const names = (desc.systems || []).map(system => typeof system === 'string' ? system : system.name);
+
+        for (const name of names) {
+            if (findOrderEntry(this, name)) {
+                throw new Error('StateTree.addState - System \'' + name + '\' already exists.');
+            }
+        }
+
+        let state = null;
+
+        try {
+            state = new GameState(this, desc);
+
+            this.stateMap.set(state.name, state);
+
+            if (parent) {
+                parent.addChild(state);
+            }
+
+            state.resolveChildren(this);
+
+            this._indexStates();
+            this._orderSystems();
+            this._checkErrorPolicies();
+        } catch (err) {
+            this._discardState(state, names);
+
+            throw err;
+        }
+
+        this._recordRequest('addState', [desc, parentName]);
+
+        if (this.debug) {
+            console.log('StateTree - Added state \'' + state.name + '\'.');
+        }
+
+        const pending = [];
+
+        for (const entry of this.systemOrder) {
+            if (entry.state === state && !entry.transient) {
+                initializeSystem(this, entry, pending);
+            }
+        }
+
+        return pending.length ? waitForAll(pending, this.transitionTimeout) : Promise.resolve();
+    }
+
+    /**
+     * Removes a state, along with its children, while the state tree is running. The systems of the removed states
+     * are destroyed. A state may not be removed while it, or any of its children, is active or the target of a
+     * pending state change. Neither may it be removed while another state refers to it, such as through a
+     * transition, while a remaining system is declared after one of its systems, nor when it is the main, loading
+     * or error state of the tree.
+     * @param {String} name - The name of the state to be removed.
+     * @returns {Promise} Promise that is fulfilled once the systems of the removed states have been destroyed.
+     */
+    removeState(name) {
+        this._checkMutable('removeState');
+
+        const state = this.stateMap.get(name);
+
+        if (!state) {
+            throw new Error('StateTree.removeState - State \'' + name + '\' could not be found.');
+        }
+
+        if (this.isActive(state)) {
+            throw new Error('StateTree.removeState - Cannot remove state \'' + name + '\' while it is active.');
+        }
+
+        const states = [];
+        const visit = (scan) => {
+            states.push(scan);
+
+            for (const child of scan.childList) {
+                visit(child);
+            }
+        };
+
+        visit(state);
+
+        const isRemoved = target => !!target && states.indexOf(target) !== -1;
+
+        if (isRemoved(this.defaultState) || isRemoved(this.loadingState) || isRemoved(this.errorState)) {
+            throw new Error('StateTree.removeState - Cannot remove state \'' + name + '\', it contains the main, loading or error state of the tree.');
+        }
+
+        if (this.pendingStates.concat(this.pendingOverlays).some(request => isRemoved(request.state))) {
+            throw new Error('StateTree.removeState - Cannot remove state \'' + name + '\' while a state change to it is pending.');
+        }
+
+        for (const other of this.stateMap.values()) {
+            if (!isRemoved(other)) {
+                const targets = Array.from(other.transitions.values()).concat(other.allowedTransitions || [], other.initialName || [], other.errorStateName || []);
+                const target = targets.filter(targetName => isRemoved(this.stateMap.get(targetName)))[0];
+
+                if (target) {
+                    throw new Error('StateTree.removeState - Cannot remove state \'' + name + '\', state \'' + other.name + '\' refers to state \'' + target + '\'.');
+                }
+            }
+        }
+
+        const removedSystems = this.systemOrder.filter(entry => isRemoved(entry.state)).map(entry => entry.name);
+
+        for (const entry of this.systemOrder) {
+            if (!isRemoved(entry.state)) {
+                const after = entry.state.gameSystems.get(entry.name).after || [];
+                const dependency = after.filter(systemName => removedSystems.indexOf(systemName) !== -1)[0];
+
+                if (dependency) {
+                    throw new Error('StateTree.removeState - Cannot remove state \'' + name + '\', system \'' + entry.name + '\' is declared after system \'' + dependency + '\'.');
+                }
+            }
+        }
+
+        this._recordRequest('removeState', [name]);
+
+        if (this.debug) {
+            console.log('StateTree - Removing state \'' + name + '\'.');
+        }
+
+        const pending = [];
+
+        // Systems are destroyed in the reverse of their processing order
+        for (let loop = this.systemOrder.length - 1; loop >= 0; loop--) {
+            const entry = this.systemOrder[loop];
+
+            if (entry.system && isRemoved(entry.state)) {
+                GameState.addPending(pending, entry.system.onDestroy());
+                releaseSystem(this, entry);
+            }
+
+            if (isRemoved(entry.state)) {
+                this.pendingSystemData.delete(entry.name);
+            }
+        }
+
+        for (const removed of states) {
+            this.scheduler.cancelState(removed);
+            this.stateMap.delete(removed.name);
+        }
+
+        if (state.parent) {
+            state.parent.removeChild(state);
+        }
+
+        this.navigationHistory = this.navigationHistory.filter(target => !isRemoved(target));
+
+        this._indexStates();
+        this._orderSystems();
+
+        return pending.length ? waitForAll(pending, this.transitionTimeout) : Promise.resolve();
+    }
+
+    /**
+     * Adds a system to a state while the state tree is running. The system is initialized and, when its state is
+     * active, activated. A transient system is not created until its state is entered, unless its state is already
+     * active. Like transient systems, a system that initializes asynchronously is activated without waiting.
+     * @param {String} stateName - The name of the state the system is to be added to.
+     * @param {String|Object} desc - Description of the system to be added.
+     * @returns {Promise} Promise that is fulfilled once the system has been initialized.
+     */
+    addSystem(stateName, desc) {
+        this._checkMutable('addSystem');
+
+        const state = this.stateMap.get(stateName);
+
+        if (!state) {
+            throw new Error('StateTree.addSystem - State \'' + stateName + '\' could not be found.');
+        }
+
+        if (!desc) {
+            throw new Error('StateTree.addSystem - No description was provided.');
+        }
+
+        const name = typeof desc === 'string' ? desc : desc.name;
+
+        if (findOrderEntry(this, name)) {
+            throw new Error('StateTree.addSystem - System \'' + name + '\' already exists.');
+        }
+
+        try {
+            state.registerSystem(this, desc);
+
+            this._orderSystems();
+            this._checkErrorPolicies();
+        } catch (err) {
+            if (state.gameSystems.has(name)) {
+                state.unregisterSystem(name);
+            }
+
+            this.systemMap.delete(name);
+            this._orderSystems();
+
+            throw err;
+        }
+
+        this._recordRequest('addSystem', [stateName, desc]);
+
+        const entry = findOrderEntry(this, name);
+        const active = this.isActive(state);
+        const transition = createTransition(null, null);
+        const pending = [];
+
+        if (!entry.transient) {
+            initializeSystem(this, entry, pending);
+        } else if (active) {
+            createTransientSystems(this, [state], pending);
+        }
+
+        if (active) {
+            GameState.addPending(pending, invokeSystem(this, entry.system, 'onActivate', transition));
+            invokeSystem(this, entry.system, 'onPostActivate', transition);
+        }
+
+        return pending.length ? waitForAll(pending, this.transitionTimeout) : Promise.resolve();
+    }
 
     /**
-     * Creates and initializes a new StateTree object for use by the application.
-     * @param systemFactory {Factory} The factory object to be used when creating game system objects.
-     * @param desc {Object} Description of the state tree to be constructed.
+     * Removes a system while the state tree is running. When its state is active the system is deactivated, after
+     * which it is destroyed. A system may not be removed while another system is declared after it.
+     * @param {String} name - The name of the system to be removed.
+     * @returns {Promise} Promise that is fulfilled once the system has been destroyed.
      */
-    constructor(systemFactory, desc) {
-        if (!systemFactory) {
-            throw new Error('StateTree.constructor - A valid system factory must be supplied during construction.');
+    removeSystem(name) {
+        this._checkMutable('removeSystem');
+
+        const entry = findOrderEntry(this, name);
+
+        if (!entry) {
+            throw new Error('StateTree.removeSystem - System \'' + name + '\' could not be found.');
         }
 
-        if (!desc) {
-            throw new Error('StateTree.constructor - No description was provided.');
+        const dependent = this.systemOrder.filter(other => (other.state.gameSystems.get(other.name).after || []).indexOf(name) !== -1)[0];
+
+        if (dependent) {
+            throw new Error('StateTree.removeSystem - Cannot remove system \'' + name + '\', system \'' + dependent.name + '\' is declared after it.');
         }
 
-        this.name = desc.name;
-        this.stateMap = new Map();
-        this.systemMap = new Map();
-        this.activeState = null;
-        this.defaultState = null;
-        this.pendingState = null;
-        this.systemFactory = systemFactory;
-        this.debug = false;
+        this._recordRequest('removeSystem', [name]);
 
-        this._tickRequested = false;
-        this._onApplyTick = this._onApplyTick.bind(this);
+        const system = entry.system;
+        const deactivating = [];
+
+        if (system && this.isActive(entry.state)) {
+            GameState.addPending(deactivating, invokeSystem(this, system, 'onDeactivate', createTransition(null, null)));
+        }
+
+        if (system) {
+            releaseSystem(this, entry);
+        }
+
+        entry.state.unregisterSystem(name);
+        this.pendingSystemData.delete(name);
+        this._orderSystems();
+
+        if (!system) {
+            return Promise.resolve();
+        }
+
+        const destroy = () => {
+            const destroying = [];
+
+            GameState.addPending(destroying, system.onDestroy());
+
+            return destroying.length ? waitForAll(destroying, this.transitionTimeout) : Promise.resolve();
+        };
+
+        return deactivating.length ? waitForAll(deactivating, this.transitionTimeout).then(destroy) : destroy();
+    }
+
+    /**
+     * Waits for the systems being initialized before entering the first state, state changes are not applied
+     * while waiting.
+     * @param {Array} pending - The promises returned by the systems being initialized.
+     * @param {Function} enter - Invoked once all systems have been initialized.
+     * @returns {Promise} Promise that is fulfilled once all systems have been initialized.
+     * @private
+     */
+    _waitForSystems(pending, enter) {
+        if (!pending.length) {
+            enter();
+
+            return Promise.resolve();
+        }
+
+        this.initializing = true;
+
+        return waitForAll(pending, this.transitionTimeout).then(() => {
+            this.initializing = false;
+
+            // The tree may have been destroyed while its systems were initializing
+            if (this.initialized) {
+                enter();
+            }
+        }, err => {
+            this.initializing = false;
+
+            throw err;
+        });
+    }
 
+    /**
+     * Creates the game states within the supplied description, along with the systems they contain.
+     * @param {String} caller - Name of the method creating the states, used when reporting errors.
+     * @param {Object} desc - Description of the state tree.
+     * @private
+     */
+    _createStates(caller, desc) {
         if (desc.states) {
             for (const stateDescription of desc.states) {
                 const state = new GameState(this, stateDescription);
@@ -68,136 +2973,278 @@ class StateTree {
             this.defaultState = this.stateMap.get(mainState);
 
             if (!this.defaultState) {
-                throw new Error('StateTree.constructor - Could not find main state \'' + mainState + '\' for processing.');
+                throw new Error('StateTree.' + caller + ' - Could not find main state \'' + mainState + '\' for processing.');
+            }
+
+            if (desc.loading) {
+                this.loadingState = this.stateMap.get(desc.loading);
+
+                if (!this.loadingState) {
+                    throw new Error('StateTree.' + caller + ' - Could not find loading state \'' + desc.loading + '\'.');
+                }
+            }
+
+            if (desc.errorState) {
+                this.errorState = this.stateMap.get(desc.errorState);
+
+                if (!this.errorState) {
+                    throw new Error('StateTree.' + caller + ' - Could not find error state \'' + desc.errorState + '\'.');
+                }
             }
         }
     }
 
     /**
-     * Prepares the state tree for use by the application using the supplied description.
-     * @param initArgs {InitArgs} The InitArgs object to be supplied to each game state.
+     * Passes a state change request onto the recorder, if the state tree is being recorded. Requests made by
+     * systems, or caused by an event, are not recorded as they are made again when the session is replayed.
+     * @param {String} method - The name of the method used to make the request.
+     * @param {Array} args - The arguments supplied to the method.
+     * @private
      */
-    onInitialize(initArgs) {
-        if (!initArgs) {
-            throw new Error('StateTree.onInitialize - No InitArgs object was provided.');
+    _recordRequest(method, args) {
+        if (this.recorder && !this.internalCalls) {
+            this.recorder.recordRequest(method, args);
         }
+    }
 
-        initArgs.stateTree = this;
+    /**
+     * Raises an exception if the state tree is read-only, as the state of a mirror is controlled by its Replica.
+     * @param {String} caller - The name of the method making the request.
+     * @private
+     */
+    _checkWritable(caller) {
+        if (this.readOnly) {
+            throw new Error('StateTree.' + caller + ' - The state tree is read-only.');
+        }
+    }
 
-        // Resolve all children in the hierarchy
-        for (const state of this.stateMap.values()) {
-            state.resolveChildren(this);
+    /**
+     * Ensures the states and systems within the tree may be added or removed, which requires an initialized tree
+     * with no state change in progress.
+     * @param {String} caller - Name of the method making the change, used when reporting errors.
+     * @private
+     */
+    _checkMutable(caller) {
+        this._checkWritable(caller);
+
+        if (!this.initialized || this.initializing) {
+            throw new Error('StateTree.' + caller + ' - The state tree has not been initialized.');
         }
 
-        this.pendingState = this.defaultState;
+        if (this.currentTransition) {
+            throw new Error('StateTree.' + caller + ' - Cannot change the hierarchy while a state change is in progress.');
+        }
+    }
 
-        for (const state of this.stateMap.values()) {
-            // We only initialize states at the root of the tree, the states themselves
-            // will ensure their children are initialized also.
-            if (!state.parent) {
-                state.onInitialize(initArgs);
+    /**
+     * Removes a state that could not be added from the hierarchy, restoring the previous processing order.
+     * @param {GameState} state - The state to be removed.
+     * @param {Array} names - The names of the systems declared by the state.
+     * @private
+     */
+    _discardState(state, names) {
+        for (const name of names) {
+            this.systemMap.delete(name);
+        }
+
+        if (state) {
+            this.stateMap.delete(state.name);
+
+            if (state.parent) {
+                state.parent.removeChild(state);
             }
         }
 
-        StateTree.commitStateChange(this);
+        this._indexStates();
+        this._orderSystems();
     }
 
     /**
-     * Called by the framework when the game represented by this state tree is being destroyed.
+     * Queues a change of the base state, to be applied at the end of the current frame.
+     * @param {GameState} state - The game state to be activated.
+     * @param {Object=} payload - Data supplied to the systems affected by the state change.
+     * @param {String} navigation - How the state change affects the navigation history.
+     * @private
      */
-    onDestroy() {
-        if (this.activeState) {
-            this.activeState.onExit(null);
+    _requestChange(state, payload, navigation) {
+        // Requests for other parallel regions are kept, any other request is replaced by this one
+        this.pendingStates = this.pendingStates.filter(pending => isIndependent(pending.state, state));
+        this.pendingStates.push({
+            state: state,
+            payload: payload,
+            navigation: navigation
+        });
 
-            // TODO: Invoke 'onDestroy' for all system objects
+        // Overlays requested before this change would be removed by it, so they are discarded
+        this.pendingOverlays.length = 0;
 
-            this.activeState = null;
+        this._requestTick();
+    }
 
-            for (const state of this.stateMap.values()) {
-                // Only invoke onDestroy for root states, they will ensure the call
-                // is forwarded correctly to their children.
-                if (!state.parent) {
-                    state.onDestroy();
+    /**
+     * Ensures each system using the 'transition' error policy has an error state to change to, and that the error
+     * state may be entered.
+     * @private
+     */
+    _checkErrorPolicies() {
+        for (const entry of this.systemOrder) {
+            const policy = entry.state.findErrorPolicy(this, entry.name);
+
+            if (policy.policy === GameState.ERROR_TRANSITION) {
+                if (!policy.errorState) {
+                    throw new Error('StateTree.onInitialize - System \'' + entry.name + '\' uses the \'transition\' error policy, but no error state was declared.');
+                }
+
+                if (policy.errorState.children.size && !policy.errorState.isEnterable()) {
+                    throw new Error('StateTree.onInitialize - Error state \'' + policy.errorState.name + '\' was not a leaf node.');
                 }
             }
         }
     }
 
     /**
-     * Called each frame when it is time to do our processing.
-     * @param updateArgs {UpdateArgs} Object supplied to all active systems containing per-frame information.
+     * Determines the order in which systems are processed. Systems are ordered by the dependencies declared
+     * using 'after', then by priority (lower values first), then by their position within the hierarchy.
+     * Dependencies and priority may be declared in the description of the system, or as static properties
+     * of the system type.
+     * @private
      */
-    onUpdate(updateArgs) {
-        StateTree.commitStateChange(this);
+    _orderSystems() {
+        const nodes = [];
+        const nodeMap = new Map();
+        const states = Array.from(this.stateMap.values()).sort((a, b) => a.treeIndex - b.treeIndex);
+
+        for (const state of states) {
+            for (const name of state.gameSystems.keys()) {
+                const desc = state.gameSystems.get(name);
+                const type = desc.type || {};
+
+                // Transient systems are not created with the tree, so their names are checked here
+                if (nodeMap.has(name)) {
+                    throw new Error('StateTree.onInitialize - System \'' + name + '\' is declared more than once.');
+                }
+
+                const node = {
+                    name: name,
+                    state: state,
+                    system: desc.o,
+                    transient: desc.lifetime === GameState.LIFETIME_ACTIVE,
+                    priority: desc.priority !== null ? desc.priority : type.priority || 0,
+                    index: nodes.length,
+                    dependents: [],
+                    remaining: 0
+                };
 
-        if (this.activeState) {
-            this.activeState.onUpdate(updateArgs);
-            this.activeState.onPostUpdate(updateArgs);
+                nodes.push(node);
+                nodeMap.set(name, node);
+            }
         }
 
-        StateTree.commitStateChange(this);
-    }
+        for (const node of nodes) {
+            const desc = node.state.gameSystems.get(node.name);
+            const declared = desc.after || [];
+            const inherited = desc.type && desc.type.after ? desc.type.after : [];
 
-    /**
-     * Requests that the state tree alter the flow of execution to another branch.
-     * @param {String} stateName - The name of the game state execution flow should switch to.
-     */
-    changeState(stateName) {
-        if (!stateName) {
-            throw new Error('StateTree.changeState - No state was specified for transfer.');
+            for (const name of declared) {
+                if (!nodeMap.has(name)) {
+                    throw new Error('StateTree.onInitialize - System \'' + node.name + '\' is declared after unknown system \'' + name + '\'.');
+                }
+            }
+
+            // Dependencies declared by a system type may refer to systems that are not part of this tree
+            for (const name of declared.concat(inherited)) {
+                const dependency = nodeMap.get(name);
+
+                if (dependency && dependency.dependents.indexOf(node) === -1) {
+                    dependency.dependents.push(node);
+                    node.remaining++;
+                }
+            }
         }
 
-        const state = this.stateMap.get(stateName);
-        if (!state) {
-            throw new Error('StateTree.changeState - Requested state \'' + stateName + '\' could not be found.');
+        const ready = nodes.filter(node => !node.remaining);
+        const ordered = [];
+
+        while (ready.length) {
+            let best = 0;
+
+            for (let loop = 1; loop < ready.length; ++loop) {
+                const delta = ready[loop].priority - ready[best].priority || ready[loop].index - ready[best].index;
+                if (delta < 0) {
+                    best = loop;
+                }
+            }
+
+            const node = ready.splice(best, 1)[0];
+            ordered.push(node);
+
+            for (const dependent of node.dependents) {
+                if (!--dependent.remaining) {
+                    ready.push(dependent);
+                }
+            }
         }
 
-        if (state.children.size) {
-            throw new Error('StateTree.changeState - Requested state \'' + stateName + '\' was not a leaf node.');
+        if (ordered.length !== nodes.length) {
+            const names = nodes.filter(node => node.remaining).map(node => '\'' + node.name + '\'');
+
+            throw new Error('StateTree.onInitialize - Cyclic dependency detected between systems ' + names.join(', ') + '.');
         }
 
-        this.pendingState = state;
+        this.systemOrder = ordered.map(node => ({
+            name: node.name,
+            state: node.state,
+            system: node.system,
+            transient: node.transient
+        }));
 
-        // If we haven't already requested the _onApplyTick method to be invoked when ready, request it now.
-        // This allows state changes to occur even when the application is not calling our onUpdate method.
-        if (!this._tickRequested) {
-            process.nextTick(this._onApplyTick);
-            this._tickRequested = true;
+        this.systemIndex = new Map();
+        this.systemOrder.forEach((entry, index) => {
+            if (entry.system) {
+                this.systemIndex.set(entry.system, index);
+            }
+        });
+
+        for (const state of this.stateMap.values()) {
+            state.sortSystems(this.systemIndex);
         }
+
+        this.systemVersion++;
     }
 
     /**
-     * Creates a new system object and associates it with a specified name.
-     * If not type is specified, this method assumes the supplied name also matches the type name.
-     * @param name {String} Name to be associated with the created system object.
-     * @param type {String=} The name of the object type to be created.
-     * @returns {GameSystem} The created instance of the game system.
+     * Assigns each game state its position within a depth first traversal of the hierarchy, this is used
+     * to keep the active leaves of parallel regions in a deterministic order.
+     * @private
      */
-    createSystem(name, type) {
-        if (this.systemMap.get(name)) {
-            throw new Error('StateTree.createSystem - System object \'' + name + '\' already exists!');
-        }
+    _indexStates() {
+        let index = 0;
 
-        // If type was not specified, then assume the name also matches the type.
-        const typeName = type || name;
-
-        const system = this.systemFactory.create(typeName);
-        if (!system) {
-            throw new Error('StateTree.createSystem - Could not find system object type \'' + typeName + '\'.');
-        }
+        const visit = (state) => {
+            state.treeIndex = index++;
 
-        this.systemMap.set(name, system);
+            for (const child of state.childList) {
+                visit(child);
+            }
+        };
 
-        return system;
+        for (const state of this.stateMap.values()) {
+            if (!state.parent) {
+                visit(state);
+            }
+        }
     }
 
     /**
-     * Retrieves a GameState object associated with the specified name.
-     * @param name {String} Name of the game state to be retrieved.
-     * @returns {GameState} The game state associated with the the specified name otherwise undefined.
+     * If we haven't already requested the _onApplyTick method to be invoked when ready, request it now.
+     * This allows state changes to occur even when the application is not calling our onUpdate method.
+     * @private
      */
-    getState(name) {
-        return this.stateMap.get(name);
+    _requestTick() {
+        if (!this._tickRequested) {
+            process.nextTick(this._onApplyTick);
+            this._tickRequested = true;
+        }
     }
 
     /**
@@ -205,59 +3252,34 @@ class StateTree {
      * @private
      */
     _onApplyTick() {
-        if (this.pendingState) {
-            StateTree.commitStateChange(this);
+        try {
+            if (this.pendingStates.length || this.pendingOverlays.length) {
+                applyDeferredChanges(this);
+            }
+        } finally {
+            // We must do this last, to prevent multiple change requests from causing multiple nextTick() invocations.
+            // commitStateChange only returns when all changes have been applied, or the application encountered too many
+            // state changes. So we conclude using nextTick() any more, is always a bad idea.
+            this._tickRequested = false;
         }
-
-        // We must do this last, to prevent multiple change requests from causing multiple nextTick() invocations.
-        // commitStateChange only returns when all changes have been applied, or the application encountered too many
-        // state changes. So we conclude using nextTick() any more, is always a bad idea.
-        this._tickRequested = false;
     }
 }
 
-/**
- * Given two independent states, this method determines where in the hierarchy the two states
- * join at the same parent.
- *
- * The supplied states must be leaf nodes within the hierarchy.
- *
- * @param stateA {GameState}
- * @param stateB {GameState}
- * @returns {GameState} The game state in the hierarchy where the two states join.
- */
-StateTree.findCommonAncestor = function (stateA, stateB) {
-    if (!stateA) {
-        throw new Error('findCommonAncestor - stateA was invalid.');
-    }
-
-    if (!stateB) {
-        throw new Error('findCommonAncestor - stateB was invalid.');
-    }
-
-    // If they are the same state, we don't need to do anything further
-    if (stateA === stateB) {
-        return stateA;
-    }
-
-    // Determine common ancestor
-    let scanA = stateA.parent;
-    let scanB = stateB.parent;
-    while (scanA && scanB) {
-        if (stateB.checkParentHierarchy(scanA)) {
-            return scanA;
-        }
-
-        if (stateA.checkParentHierarchy(scanB)) {
-            return scanB;
-        }
-
-        scanA = scanA.parent;
-        scanB = scanB.parent;
-    }
-
-    return null;
-};
+StateTree.POLICY_THROW = POLICY_THROW;
+StateTree.POLICY_NOTIFY = POLICY_NOTIFY;
+StateTree.NAVIGATION_PUSH = NAVIGATION_PUSH;
+StateTree.NAVIGATION_REPLACE = NAVIGATION_REPLACE;
+StateTree.NAVIGATION_CLEAR = NAVIGATION_CLEAR;
+StateTree.SNAPSHOT_VERSION = SNAPSHOT_VERSION;
+StateTree.DISPATCH_BUBBLE = DISPATCH_BUBBLE;
+StateTree.DISPATCH_CAPTURE = DISPATCH_CAPTURE;
+StateTree.EVENT_HANDLER_PREFIX = EVENT_HANDLER_PREFIX;
+StateTree.ERROR_THROW = GameState.ERROR_THROW;
+StateTree.ERROR_LOG = GameState.ERROR_LOG;
+StateTree.ERROR_DISABLE = GameState.ERROR_DISABLE;
+StateTree.ERROR_TRANSITION = GameState.ERROR_TRANSITION;
+StateTree.Events = Events;
+StateTree.findCommonAncestor = findCommonAncestor;
 
 /**
  * *NOTE* This is not a member function as it is not a part of the StateTree API, however we want to
@@ -268,38 +3290,47 @@ StateTree.findCommonAncestor = function (stateA, stateB) {
 StateTree.commitStateChange = function (stateTree) {
     let counter = 0;
 
-    while (stateTree.pendingState) {
+    // Requests are held until the current state change has finished waiting for its systems
+    if (stateTree.currentTransition || stateTree.initializing) {
+        return;
+    }
+
+    while (!stateTree.currentTransition && (stateTree.pendingStates.length || stateTree.pendingOverlays.length)) {
         if (++counter > MAXIMUM_STATE_CHANGES) {
             throw new Error('StateTree.commitStateChange - Too many state changes occurred in the frame.');
         }
 
-        const pendingState = stateTree.pendingState;
-
-        stateTree.pendingState = null;
-
-        if (pendingState !== stateTree.activeState) {
-            let rootState = null;
-            if (stateTree.activeState) {
-                rootState = StateTree.findCommonAncestor(stateTree.activeState, pendingState);
+        if (stateTree.pendingStates.length) {
+            const request = stateTree.pendingStates.shift();
 
-                // Invoke 'onDestroy' for all systems in the branch that is being terminated
-                stateTree.activeState.onExit(rootState);
-            }
-
-            if (stateTree.debug) {
-                const activeName = stateTree.activeState ? stateTree.activeState.name : '(none)';
-                const pendingName = pendingState ? pendingState.name : '(none)';
+            changeBaseState(stateTree, request.state, request.payload, request.navigation);
+        } else {
+            const request = stateTree.pendingOverlays.shift();
 
-                console.log('StateTree - Leaving state \'' + activeName + '\', entering state \'' + pendingName + '\'.');
+            if (request.state) {
+                pushOverlayState(stateTree, request.state, request.payload);
+            } else {
+                popOverlayState(stateTree, request.payload);
             }
-
-            // Invoke 'onInitialize' for all systems in the branch that has become active
-            stateTree.activeState = pendingState;
-            pendingState.onEnter(rootState);
-            pendingState.onPostEnter(rootState);
         }
     }
 };
 
+/**
+ * Determines the index of the first entry in the state stack that should receive frame updates. Entries beneath
+ * an overlay whose 'overlay' mode is 'suspend' do not receive updates.
+ *
+ * @param stateTree {StateTree} The StateTree object whose state stack is to be examined.
+ * @returns {Number} Index of the first entry within the state stack to be updated.
+ */
+StateTree.findFirstUpdatedEntry = function (stateTree) {
+    let first = stateTree.stateStack.length - 1;
+
+    while (first > 0 && stateTree.stateStack[first].state.overlayMode === GameState.OVERLAY_UPDATE) {
+        first--;
+    }
+
+    return Math.max(first, 0);
+};
 
 module.exports = StateTree;
@@ -20,18 +20,106 @@ class UpdateArgs {
         this.stateTree = null;
     }
 
+    /**
+     * Retrieves the scheduler of the titles state tree, timers created by a system are scoped to the state
+     * owning the system and only advance while that state is being updated.
+     *
+     * @returns {Scheduler} The scheduler of the state tree or null if there is no state tree.
+     */
+    get scheduler() {
+        return this.stateTree ? this.stateTree.scheduler : null;
+    }
+
     /**
      * Requests a change in the titles active game state. State changes are applied
      * at the end of the current frames processing.
      *
      * @param name {String} Name of the state to be switched to, this state must be a leaf node in the hierarchy.
+     * @param payload {Object=} Data supplied to the systems affected by the state change.
+     * @param navigation {String=} How the change affects the navigation history ('push', 'replace' or 'clear').
      */
-    requestState(name) {
+    requestState(name, payload, navigation) {
         if (!this.stateTree) {
             throw new Error('UpdateArgs.requestState - Cannot request state, stateTree is invalid.');
         }
 
-        this.stateTree.requestState(name);
+        this.stateTree.changeState(name, payload, navigation);
+    }
+
+    /**
+     * Requests that the title return to the state that was active before the most recent state change. State
+     * changes are applied at the end of the current frames processing.
+     *
+     * @param payload {Object=} Data supplied to the systems affected by the state change.
+     */
+    goBack(payload) {
+        if (!this.stateTree) {
+            throw new Error('UpdateArgs.goBack - Cannot go back, stateTree is invalid.');
+        }
+
+        this.stateTree.goBack(payload);
+    }
+
+    /**
+     * Raises an event within the state tree, requesting the transition declared for the event by the active
+     * hierarchy. State changes are applied at the end of the current frames processing.
+     *
+     * @param name {String} Name of the event being raised.
+     * @param payload {Object=} Data associated with the event.
+     * @returns {boolean} True if the event caused a state change to be requested otherwise false.
+     */
+    send(name, payload) {
+        if (!this.stateTree) {
+            throw new Error('UpdateArgs.send - Cannot send event, stateTree is invalid.');
+        }
+
+        return this.stateTree.send(name, payload);
+    }
+
+    /**
+     * Delivers an event to the systems within the active branches of the titles state tree, beginning with the
+     * active leaves unless the capture phase is requested.
+     *
+     * @param name {String} Name of the event being delivered.
+     * @param data {Object=} Data associated with the event.
+     * @param phase {String=} The order in which the event is delivered ('bubble' or 'capture').
+     * @returns {boolean} True if a system consumed the event otherwise false.
+     */
+    dispatch(name, data, phase) {
+        if (!this.stateTree) {
+            throw new Error('UpdateArgs.dispatch - Cannot dispatch event, stateTree is invalid.');
+        }
+
+        return this.stateTree.dispatch(name, data, phase);
+    }
+
+    /**
+     * Requests that an overlay state be placed on top of the titles active game state. State changes are
+     * applied at the end of the current frames processing.
+     *
+     * @param name {String} Name of the overlay state, this state must be a leaf node in the hierarchy.
+     * @param payload {Object=} Data supplied to the systems affected by the state change.
+     */
+    pushState(name, payload) {
+        if (!this.stateTree) {
+            throw new Error('UpdateArgs.pushState - Cannot push state, stateTree is invalid.');
+        }
+
+        this.stateTree.pushState(name, payload);
+    }
+
+    /**
+     * Requests that the most recent overlay state be removed. State changes are applied at the end of the
+     * current frames processing.
+     *
+     * @param payload {Object=} Data supplied to the systems affected by the state change.
+     */
+    popState(payload) {
+        if (!this.stateTree) {
+            throw new Error('UpdateArgs.popState - Cannot pop state, stateTree is invalid.');
+        }
+
+        this.stateTree.popState(payload);
     }
 }
 
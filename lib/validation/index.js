@@ -0,0 +1,404 @@
+'use strict';
+
+const StateTree = require('../state_tree');
+const GameState = require('../state_tree/game_state');
+
+const OVERLAY_MODES = [GameState.OVERLAY_SUSPEND, GameState.OVERLAY_UPDATE];
+const HISTORY_MODES = [GameState.HISTORY_SHALLOW, GameState.HISTORY_DEEP];
+const TRANSITION_POLICIES = [StateTree.POLICY_THROW, StateTree.POLICY_NOTIFY];
+const ERROR_POLICIES = GameState.ERROR_POLICIES;
+const LIFETIMES = [GameState.LIFETIME_TREE, GameState.LIFETIME_ACTIVE];
+
+/**
+ * Collects the problems found within a description, along with the location of each problem.
+ */
+class ValidationReport {
+    constructor() {
+        this.errors = [];
+    }
+
+    /**
+     * Records a problem found within the description.
+     * @param {String} path - JSON path to the part of the description containing the problem.
+     * @param {String} message - Description of the problem.
+     */
+    add(path, message) {
+        this.errors.push({
+            path: path,
+            message: message
+        });
+    }
+}
+
+/**
+ * Retrieves the name and type of a system from its description.
+ * @param {String|Object} desc - Description of the system, either its name or an object.
+ * @returns {Object} The name and type of the system.
+ */
+function getSystemInfo(desc) {
+    if (typeof desc === 'string') {
+        return {
+            name: desc,
+            type: desc
+        };
+    }
+
+    return {
+        name: desc.name,
+        type: desc.type || desc.name
+    };
+}
+
+/**
+ * Retrieves a list from the description, reporting a problem if the property is present but is not a list.
+ * @param {*} value - The value of the property.
+ * @param {String} path - JSON path to the property.
+ * @param {ValidationReport=} report - Receives any problems that are found, problems are not reported if not specified.
+ * @returns {Array} The list, or an empty list if the property is missing or is not a list.
+ */
+function getList(value, path, report) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    if (!Array.isArray(value)) {
+        if (report) {
+            report.add(path, 'Property must be a list.');
+        }
+
+        return [];
+    }
+
+    return value;
+}
+
+/**
+ * Validates the name, children and other state level properties of each state, recording the parent of
+ * each child so the hierarchy can be checked afterwards.
+ * @param {Array} states - The state descriptions.
+ * @param {Map} stateMap - Map of state names to their index within the states array.
+ * @param {Map} parentMap - Map receiving the name of the parent of each state.
+ * @param {ValidationReport} report - Receives any problems that are found.
+ */
+function validateStates(states, stateMap, parentMap, report) {
+    states.forEach((state, index) => {
+        const path = 'states[' + index + ']';
+
+        if (!state || typeof state !== 'object') {
+            report.add(path, 'State description must be an object.');
+            return;
+        }
+
+        if (!state.name || typeof state.name !== 'string') {
+            report.add(path + '.name', 'State does not have a name.');
+        } else if (stateMap.has(state.name)) {
+            report.add(path + '.name', 'State \'' + state.name + '\' is declared more than once.');
+        } else {
+            stateMap.set(state.name, index);
+        }
+    });
+
+    states.forEach((state, index) => {
+        const path = 'states[' + index + ']';
+
+        if (!state || typeof state !== 'object') {
+            return;
+        }
+
+        const children = getList(state.children, path + '.children', report);
+
+        children.forEach((child, childIndex) => {
+            const childPath = path + '.children[' + childIndex + ']';
+
+            if (!stateMap.has(child)) {
+                report.add(childPath, 'Child state \'' + child + '\' could not be found.');
+            } else if (parentMap.has(child)) {
+                report.add(childPath, 'State \'' + child + '\' is already a child of \'' + parentMap.get(child) + '\'.');
+            } else {
+                parentMap.set(child, state.name);
+            }
+        });
+
+        if (state.overlay && OVERLAY_MODES.indexOf(state.overlay) === -1) {
+            report.add(path + '.overlay', 'Unknown overlay mode \'' + state.overlay + '\'.');
+        }
+
+        if (state.history && HISTORY_MODES.indexOf(state.history) === -1) {
+            report.add(path + '.history', 'Unknown history mode \'' + state.history + '\'.');
+        }
+
+        if (state.errorPolicy && ERROR_POLICIES.indexOf(state.errorPolicy) === -1) {
+            report.add(path + '.errorPolicy', 'Unknown error policy \'' + state.errorPolicy + '\'.');
+        }
+
+        if (state.errorState && !stateMap.has(state.errorState)) {
+            report.add(path + '.errorState', 'Error state \'' + state.errorState + '\' could not be found.');
+        }
+
+        if (state.initial && children.indexOf(state.initial) === -1) {
+            report.add(path + '.initial', 'Initial state \'' + state.initial + '\' is not a child.');
+        }
+
+        let transitions = state.transitions || {};
+        if (typeof transitions !== 'object' || Array.isArray(transitions)) {
+            report.add(path + '.transitions', 'Property must be an object.');
+            transitions = {};
+        }
+
+        for (const eventName of Object.keys(transitions)) {
+            if (!stateMap.has(transitions[eventName])) {
+                report.add(path + '.transitions.' + eventName, 'Transition target \'' + transitions[eventName] + '\' could not be found.');
+            }
+        }
+
+        getList(state.allowedTransitions, path + '.allowedTransitions', report).forEach((name, allowedIndex) => {
+            if (!stateMap.has(name)) {
+                report.add(path + '.allowedTransitions[' + allowedIndex + ']', 'Allowed transition \'' + name + '\' could not be found.');
+            }
+        });
+    });
+}
+
+/**
+ * Reports any state that is an ancestor of itself.
+ * @param {Map} stateMap - Map of state names to their index within the states array.
+ * @param {Map} parentMap - Map containing the name of the parent of each state.
+ * @param {ValidationReport} report - Receives any problems that are found.
+ */
+function validateHierarchy(stateMap, parentMap, report) {
+    for (const name of stateMap.keys()) {
+        const visited = [name];
+
+        let scan = parentMap.get(name);
+        while (scan && visited.indexOf(scan) === -1) {
+            visited.push(scan);
+            scan = parentMap.get(scan);
+        }
+
+        // Each cycle is only reported once, by the first of its states within the description
+        if (scan === name && Math.min.apply(null, visited.map(item => stateMap.get(item))) === stateMap.get(name)) {
+            report.add('states[' + stateMap.get(name) + '].children', 'State \'' + name + '\' is its own ancestor (' + visited.join(' -> ') + ' -> ' + name + ').');
+        }
+    }
+}
+
+/**
+ * Determines whether a state may be used as the main state, it must be a leaf or be able to choose its leaf.
+ * @param {Object} state - The description of the state.
+ * @returns {boolean} True if the state may be entered otherwise false.
+ */
+function isEnterable(state) {
+    return !Array.isArray(state.children) || !state.children.length || !!state.parallel || !!state.initial || !!state.history;
+}
+
+/**
+ * Creates an object that stands in for InitArgs while parameter values are checked. State and system references
+ * are resolved against the description rather than a running state tree. Transient systems may only be referenced
+ * by other transient systems, as they do not exist while the tree systems are initialized.
+ * @param {Map} stateMap - Map of state names to their index within the states array.
+ * @param {Map} parentMap - Map containing the name of the parent of each state.
+ * @param {Map} stateSystems - Map of state names to the names of the systems they contain.
+ * @param {Set} transientSystems - The names of the systems declared with the 'active' lifetime.
+ * @param {String} stateName - The name of the state containing the system being checked.
+ * @param {boolean} transient - True if the system being checked is transient.
+ * @returns {Object} The object to be supplied when extracting parameter values.
+ */
+function createValidationArgs(stateMap, parentMap, stateSystems, transientSystems, stateName, transient) {
+    const findSystemInfo = name => {
+        let scan = stateName;
+        const visited = [];
+
+        while (scan && visited.indexOf(scan) === -1) {
+            if ((stateSystems.get(scan) || []).indexOf(name) !== -1) {
+                return {};
+            }
+
+            visited.push(scan);
+            scan = parentMap.get(scan);
+        }
+
+        return null;
+    };
+
+    return {
+        state: {
+            findSystemInfo: findSystemInfo
+        },
+        stateTree: {
+            getState: name => stateMap.has(name) ? {} : undefined
+        },
+        getSystem: name => findSystemInfo(name) && (transient || !transientSystems.has(name)) ? {} : null
+    };
+}
+
+/**
+ * Validates the systems declared by each state, including their parameters when a factory is available.
+ * @param {Array} states - The state descriptions.
+ * @param {Map} stateMap - Map of state names to their index within the states array.
+ * @param {Map} parentMap - Map containing the name of the parent of each state.
+ * @param {Object=} factory - The factory used to create systems.
+ * @param {ValidationReport} report - Receives any problems that are found.
+ */
+function validateSystems(states, stateMap, parentMap, factory, report) {
+    const systemNames = new Map();
+    const stateSystems = new Map();
+    const transientSystems = new Set();
+
+    states.forEach((state, index) => {
+        if (state && state.name) {
+            const systems = getList(state.systems);
+            const names = systems.map(desc => desc ? getSystemInfo(desc).name : null);
+
+            stateSystems.set(state.name, names);
+
+            for (const desc of systems) {
+                if (desc && desc.lifetime === GameState.LIFETIME_ACTIVE) {
+                    transientSystems.add(desc.name);
+                }
+            }
+
+            names.forEach((name, systemIndex) => {
+                if (name && !systemNames.has(name)) {
+                    systemNames.set(name, 'states[' + index + '].systems[' + systemIndex + ']');
+                }
+            });
+        }
+    });
+
+    states.forEach((state, index) => {
+        if (!state || typeof state !== 'object') {
+            return;
+        }
+
+        getList(state.systems, 'states[' + index + '].systems', report).forEach((desc, systemIndex) => {
+            const path = 'states[' + index + '].systems[' + systemIndex + ']';
+
+            if (!desc || (typeof desc !== 'string' && typeof desc !== 'object')) {
+                report.add(path, 'System description must be a name or an object.');
+                return;
+            }
+
+            const info = getSystemInfo(desc);
+
+            if (!info.name) {
+                report.add(path, 'System does not have a name.');
+                return;
+            }
+
+            if (systemNames.get(info.name) !== path) {
+                report.add(path, 'System \'' + info.name + '\' is declared more than once, it was first declared at ' + systemNames.get(info.name) + '.');
+            }
+
+            if (desc.errorPolicy && ERROR_POLICIES.indexOf(desc.errorPolicy) === -1) {
+                report.add(path + '.errorPolicy', 'Unknown error policy \'' + desc.errorPolicy + '\'.');
+            }
+
+            if (desc.lifetime && LIFETIMES.indexOf(desc.lifetime) === -1) {
+                report.add(path + '.lifetime', 'Unknown lifetime \'' + desc.lifetime + '\'.');
+            }
+
+            getList(desc.after, path + '.after', report).forEach((name, afterIndex) => {
+                if (!systemNames.has(name)) {
+                    report.add(path + '.after[' + afterIndex + ']', 'System \'' + info.name + '\' is declared after unknown system \'' + name + '\'.');
+                }
+            });
+
+            if (!factory) {
+                return;
+            }
+
+            const type = factory.map.get(info.type);
+            if (!type) {
+                report.add(path, 'System type \'' + info.type + '\' has not been registered.');
+                return;
+            }
+
+            const params = desc.params || {};
+            if (typeof params !== 'object' || Array.isArray(params)) {
+                report.add(path + '.params', 'Property must be an object.');
+                return;
+            }
+
+            const declared = type.Parameters || [];
+            const initArgs = createValidationArgs(stateMap, parentMap, stateSystems, transientSystems, state.name, transientSystems.has(info.name));
+
+            for (const paramName of Object.keys(params)) {
+                const paramPath = path + '.params.' + paramName;
+                const param = declared.filter(item => item.name === paramName)[0];
+
+                if (!param) {
+                    report.add(paramPath, 'System type \'' + info.type + '\' does not declare a parameter named \'' + paramName + '\'.');
+                    continue;
+                }
+
+                try {
+                    param.extractValue(params[paramName], initArgs);
+                } catch (err) {
+                    report.add(paramPath, err.message);
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Checks a state tree description for problems before it is used, every problem is reported rather than
+ * stopping at the first. Each problem contains the JSON path to the part of the description at fault.
+ * When a factory is supplied, system types and their parameters are also checked.
+ * @param {Object} desc - The state tree description to be checked.
+ * @param {Object=} factory - The factory that will be used to create the systems.
+ * @returns {Array} List of problems found, each containing a path and message. The list is empty if the description is valid.
+ */
+function validateDescription(desc, factory) {
+    const report = new ValidationReport();
+
+    if (!desc || typeof desc !== 'object') {
+        report.add('', 'Description must be an object.');
+        return report.errors;
+    }
+
+    if (!Array.isArray(desc.states) || !desc.states.length) {
+        report.add('states', 'Description does not contain any states.');
+        return report.errors;
+    }
+
+    const stateMap = new Map();
+    const parentMap = new Map();
+
+    validateStates(desc.states, stateMap, parentMap, report);
+    validateHierarchy(stateMap, parentMap, report);
+
+    // A first state without a name has already been reported, so the main state is not reported as missing also
+    const mainName = desc.main || (desc.states[0] && desc.states[0].name);
+    if (mainName) {
+        if (!stateMap.has(mainName)) {
+            report.add('main', 'Main state \'' + mainName + '\' could not be found.');
+        } else if (!isEnterable(desc.states[stateMap.get(mainName)])) {
+            report.add('main', 'Main state \'' + mainName + '\' is not a leaf and does not declare an initial child or history.');
+        }
+    }
+
+    if (desc.loading && !stateMap.has(desc.loading)) {
+        report.add('loading', 'Loading state \'' + desc.loading + '\' could not be found.');
+    }
+
+    if (desc.transitionPolicy && TRANSITION_POLICIES.indexOf(desc.transitionPolicy) === -1) {
+        report.add('transitionPolicy', 'Unknown transition policy \'' + desc.transitionPolicy + '\'.');
+    }
+
+    if (desc.errorPolicy && ERROR_POLICIES.indexOf(desc.errorPolicy) === -1) {
+        report.add('errorPolicy', 'Unknown error policy \'' + desc.errorPolicy + '\'.');
+    }
+
+    if (desc.errorState && !stateMap.has(desc.errorState)) {
+        report.add('errorState', 'Error state \'' + desc.errorState + '\' could not be found.');
+    }
+
+    validateSystems(desc.states, stateMap, parentMap, factory, report);
+
+    return report.errors;
+}
+
+module.exports = {
+    validateDescription: validateDescription
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+const DescriptionWatcher = require('../../lib/description_watcher');
+
+/**
+ * Stand-in for the state tree, recording each description it is reloaded with.
+ */
+class MockStateTree {
+    constructor() {
+        this.descriptions = [];
+    }
+
+    reload(desc) {
+        this.descriptions.push(desc);
+
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Verify the DescriptionWatcher class behaves as expected.
+ */
+describe('description_watcher', () => {
+    const filePath = path.join(os.tmpdir(), 'description_watcher_test_' + process.pid + '.json');
+
+    afterEach(() => {
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    });
+
+    it('Should throw an exception if no state tree or file path is provided', () => {
+        expect(() => new DescriptionWatcher(null, filePath)).to.throw('DescriptionWatcher.constructor - A valid state tree must be supplied during construction.');
+        expect(() => new DescriptionWatcher(new MockStateTree(), null)).to.throw('DescriptionWatcher.constructor - No file path was specified.');
+    });
+
+    it('Should reload the state tree with the contents of the file', () => {
+        const stateTree = new MockStateTree();
+        let reloaded = null;
+
+        fs.writeFileSync(filePath, JSON.stringify({ name: 'reloaded' }));
+
+        const watcher = new DescriptionWatcher(stateTree, filePath, {
+            onReload: tree => {
+                reloaded = tree;
+            }
+        });
+
+        return watcher.reload().then(() => {
+            expect(stateTree.descriptions).to.deep.equal([{ name: 'reloaded' }]);
+            expect(reloaded).to.equal(stateTree);
+        });
+    });
+
+    it('Should report descriptions that could not be reloaded', () => {
+        const stateTree = new MockStateTree();
+        const errors = [];
+
+        fs.writeFileSync(filePath, '{ "name": ');
+
+        const watcher = new DescriptionWatcher(stateTree, filePath, {
+            onError: err => errors.push(err)
+        });
+
+        return watcher.reload().then(() => {
+            expect(stateTree.descriptions.length).to.equal(0);
+            expect(errors.length).to.equal(1);
+        });
+    });
+
+    it('Should report errors raised by the onReload callback', done => {
+        const stateTree = new MockStateTree();
+
+        fs.writeFileSync(filePath, JSON.stringify({ name: 'reloaded' }));
+
+        const watcher = new DescriptionWatcher(stateTree, filePath, {
+            delay: 10,
+            onReload: () => {
+                throw new Error('Reload failed');
+            },
+            onError: (err) => {
+                expect(err.message).to.equal('Reload failed');
+                expect(stateTree.descriptions).to.deep.equal([{ name: 'reloaded' }]);
+                done();
+            }
+        });
+
+        watcher._onChange();
+    });
+
+    it('Should combine changes made within the delay into a single reload', done => {
+        const stateTree = new MockStateTree();
+
+        fs.writeFileSync(filePath, JSON.stringify({ name: 'combined' }));
+
+        const watcher = new DescriptionWatcher(stateTree, filePath, {
+            delay: 10,
+            onReload: () => {
+                expect(stateTree.descriptions.length).to.equal(1);
+                watcher.stop();
+                done();
+            }
+        });
+
+        watcher._onChange();
+        watcher._onChange();
+    });
+
+    it('Should continue watching after the file is replaced', done => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'description_watcher_'));
+        const watchedPath = path.join(directory, 'state_tree.json');
+        const stateTree = new MockStateTree();
+
+        // Editors commonly save by writing a temporary file and renaming it over the original
+        const save = (name) => {
+            const tempPath = path.join(directory, 'state_tree.json.tmp');
+
+            fs.writeFileSync(tempPath, JSON.stringify({ name: name }));
+            fs.renameSync(tempPath, watchedPath);
+        };
+
+        fs.writeFileSync(watchedPath, JSON.stringify({ name: 'original' }));
+
+        const watcher = new DescriptionWatcher(stateTree, watchedPath, {
+            delay: 10,
+            onReload: () => {
+                if (stateTree.descriptions.length === 1) {
+                    save('second');
+                    return;
+                }
+
+                watcher.stop();
+                fs.unlinkSync(watchedPath);
+                fs.rmdirSync(directory);
+
+                expect(stateTree.descriptions).to.deep.equal([{ name: 'first' }, { name: 'second' }]);
+                done();
+            }
+        });
+
+        watcher.start();
+        save('first');
+    });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const Diagram = require('../../lib/diagram');
+const StateTree = require('../../lib/state_tree');
+const InitArgs = require('../../lib/init_args');
+const StateRef = require('../../lib/parameters/state_ref');
+const MockFactory = require('../state_tree/mock_factory.js');
+
+/**
+ * Verify state trees and descriptions are exported as diagrams.
+ */
+describe('diagram', () => {
+    function createFactory() {
+        const factory = MockFactory.createFactory(['MenuSystem', 'InputSystem']);
+        const PlaySystem = class extends MockFactory.RecordingSystem {};
+
+        PlaySystem.Parameters = [
+            new StateRef.ctor('nextState')
+        ];
+
+        factory.register('PlaySystem', PlaySystem);
+
+        return factory;
+    }
+
+    function createDescription() {
+        return {
+            name: 'diagram_test',
+            main: 'play',
+            states: [
+                {
+                    name: 'game',
+                    children: ['play', 'menu'],
+                    initial: 'play',
+                    systems: ['InputSystem']
+                },
+                {
+                    name: 'play',
+                    systems: [
+                        {
+                            name: 'PauseSystem',
+                            type: 'PlaySystem',
+                            params: {
+                                nextState: 'menu'
+                            }
+                        }
+                    ]
+                },
+                {
+                    name: 'menu',
+                    systems: ['MenuSystem'],
+                    transitions: {
+                        resume: 'play'
+                    }
+                }
+            ]
+        };
+    }
+
+    it('Should throw if no source is supplied', () => {
+        expect(() => Diagram.toDot(null)).to.throw('Diagram.createModel - No state tree or description was provided.');
+    });
+
+    it('Should draw the hierarchy of a description as DOT', () => {
+        const dot = Diagram.toDot(createDescription(), { factory: createFactory() });
+
+        expect(dot).to.contain('digraph "diagram_test" {');
+        expect(dot).to.contain('subgraph "cluster_game" {');
+        expect(dot).to.contain('        "play" [label="play\\nPauseSystem : PlaySystem"];');
+        expect(dot).to.contain('        "menu" [label="menu\\nMenuSystem"];');
+        expect(dot).to.contain('"__main" -> "play";');
+        expect(dot).to.contain('"menu" -> "play" [label="resume"];');
+        expect(dot).to.contain('"play" -> "menu" [label="PauseSystem.nextState", style=dashed];');
+    });
+
+    it('Should draw the hierarchy of a description as Mermaid', () => {
+        const mermaid = Diagram.toMermaid(createDescription(), { factory: createFactory() });
+
+        expect(mermaid.split('\n')).to.deep.equal([
+            'stateDiagram-v2',
+            '    state game {',
+            '        [*] --> play',
+            '        play',
+            '        play : PauseSystem (PlaySystem)',
+            '        menu',
+            '        menu : MenuSystem',
+            '    }',
+            '    game : InputSystem',
+            '    [*] --> play',
+            '    play --> menu : PauseSystem.nextState',
+            '    menu --> play : resume',
+            ''
+        ]);
+    });
+
+    it('Should not draw state references without a factory', () => {
+        const mermaid = Diagram.toMermaid(createDescription());
+
+        expect(mermaid).not.to.contain('PauseSystem.nextState');
+    });
+
+    it('Should separate the regions of a parallel state', () => {
+        const mermaid = Diagram.toMermaid({
+            name: 'parallel',
+            states: [
+                { name: 'hud', parallel: true, children: ['radar', 'score'] },
+                { name: 'radar' },
+                { name: 'score' }
+            ]
+        });
+
+        expect(mermaid).to.contain('        radar\n        --\n        score\n');
+    });
+
+    it('Should highlight the active branch of a state tree', () => {
+        const stateTree = new StateTree(createFactory(), createDescription());
+
+        stateTree.onInitialize(new InitArgs());
+
+        const dot = Diagram.toDot(stateTree, { highlightActive: true });
+        expect(dot).to.contain('"play" [label="play\\nPauseSystem : PlaySystem", color=red, penwidth=2];');
+        expect(dot).to.contain('"menu" [label="menu\\nMenuSystem"];');
+        expect(dot).to.contain('"play" -> "menu" [label="PauseSystem.nextState", style=dashed];');
+
+        const mermaid = Diagram.toMermaid(stateTree, { highlightActive: true });
+        expect(mermaid).to.contain('    class game,play active\n');
+        expect(Diagram.toMermaid(stateTree)).not.to.contain('classDef');
+    });
+});
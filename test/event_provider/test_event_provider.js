@@ -0,0 +1,119 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const EventProvider = require('../../lib/event_provider');
+
+/**
+ * Verify the EventProvider class behaves as expected.
+ */
+describe('event_provider', () => {
+    it('Should invoke listeners in order of priority', () => {
+        const events = new EventProvider();
+        const calls = [];
+
+        events.on('test', () => calls.push('normal'));
+        events.on('test', () => calls.push('high'), null, 10);
+        events.on('test', () => calls.push('low'), null, -1);
+        events.on('test', () => calls.push('second normal'));
+
+        events.fire('test');
+
+        expect(calls).to.deep.equal(['high', 'normal', 'second normal', 'low']);
+    });
+
+    it('Should only invoke once listeners a single time', () => {
+        const events = new EventProvider();
+        const calls = [];
+
+        events.once('test', e => {
+            calls.push(e);
+            events.fire('test', 'nested');
+        });
+
+        events.fire('test', 'first');
+        events.fire('test', 'second');
+
+        expect(calls).to.deep.equal(['first']);
+        expect(events.listeners.get('test').length).to.equal(0);
+    });
+
+    it('Should allow listeners to be changed while an event is fired', () => {
+        const events = new EventProvider();
+        const calls = [];
+        const second = () => calls.push('second');
+
+        events.on('test', () => {
+            calls.push('first');
+            events.off('test', second);
+            events.on('test', () => calls.push('added'));
+        });
+
+        events.on('test', second);
+        events.on('test', () => calls.push('third'));
+
+        events.fire('test');
+        expect(calls).to.deep.equal(['first', 'third']);
+    });
+
+    it('Should notify listeners subscribed to a pattern', () => {
+        const events = new EventProvider();
+        const calls = [];
+
+        events.on('player.*', (e, context) => calls.push('player.* ' + context.name));
+        events.on('player.**', (e, context) => calls.push('player.** ' + context.name));
+        events.on('*.died', (e, context) => calls.push('*.died ' + context.name), null, 1);
+        events.on('player.died', () => calls.push('player.died'));
+
+        events.fire('player.died');
+        events.fire('player.item.added');
+        events.fire('enemy.died');
+
+        expect(calls).to.deep.equal([
+            '*.died player.died',
+            'player.* player.died',
+            'player.** player.died',
+            'player.died',
+            'player.** player.item.added',
+            '*.died enemy.died'
+        ]);
+        expect(() => events.fire('player.*')).to.throw('EventProvider.fire - Event name \'player.*\' may not contain a wildcard.');
+
+        expect(events.hasListeners('player.died')).to.equal(true);
+        expect(events.hasListeners('enemy.spawned')).to.equal(false);
+    });
+
+    it('Should stop propagation when requested by a listener', () => {
+        const events = new EventProvider();
+        const calls = [];
+
+        events.on('test', (e, context) => {
+            calls.push('first');
+            context.stopPropagation();
+        }, null, 1);
+        events.on('test', () => calls.push('second'));
+
+        expect(events.fire('test')).to.equal(true);
+        expect(calls).to.deep.equal(['first']);
+        expect(events.fire('unused')).to.equal(false);
+    });
+
+    it('Should remove every listener belonging to an object', () => {
+        const events = new EventProvider();
+        const owner = { count: 0, onEvent: function () { this.count++; } };
+        const other = { count: 0, onEvent: function () { this.count++; } };
+
+        events.on('first', owner.onEvent, owner);
+        events.on('second.*', owner.onEvent, owner);
+        events.on('first', other.onEvent, other);
+
+        expect(events.offAll(owner)).to.equal(2);
+
+        events.fire('first');
+        events.fire('second.event');
+
+        expect(owner.count).to.equal(0);
+        expect(other.count).to.equal(1);
+        expect(() => events.offAll()).to.throw('EventProvider.offAll - No object was specified.');
+    });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const GameLoop = require('../../lib/game_loop');
+
+/**
+ * Clock whose time only advances when requested, allowing the game loop to be driven deterministically.
+ */
+class ManualClock {
+    constructor() {
+        this.time = 0;
+        this.scheduled = null;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    schedule(cb) {
+        this.scheduled = cb;
+        return cb;
+    }
+
+    cancel(handle) {
+        if (this.scheduled === handle) {
+            this.scheduled = null;
+        }
+    }
+
+    /**
+     * Advances the clock and invokes the scheduled frame, if there is one.
+     * @param {number} ms - The number of milliseconds to advance the clock by.
+     */
+    advance(ms) {
+        this.time += ms;
+
+        const cb = this.scheduled;
+        this.scheduled = null;
+
+        if (cb) {
+            cb();
+        }
+    }
+}
+
+/**
+ * Stand-in for the state tree, recording the delta time supplied for each update.
+ */
+class MockStateTree {
+    constructor() {
+        this.updates = [];
+    }
+
+    onUpdate(updateArgs) {
+        this.updates.push(updateArgs.deltaTime);
+    }
+}
+
+/**
+ * Verify the GameLoop class behaves as expected.
+ */
+describe('game_loop', () => {
+    function createLoop(options) {
+        const clock = new ManualClock();
+        const stateTree = new MockStateTree();
+        const alphas = [];
+
+        const loop = new GameLoop(stateTree, Object.assign({
+            step: 0.25,
+            clock: clock,
+            render: alpha => alphas.push(alpha)
+        }, options));
+
+        return {
+            loop: loop,
+            clock: clock,
+            stateTree: stateTree,
+            alphas: alphas
+        };
+    }
+
+    it('Should throw an exception if no state tree is provided', () => {
+        expect(() => new GameLoop(null)).to.throw('GameLoop.constructor - A valid state tree must be supplied during construction.');
+    });
+
+    it('Should update the state tree once for each elapsed step', () => {
+        const test = createLoop();
+
+        test.loop.start();
+
+        test.clock.advance(625);
+        expect(test.stateTree.updates).to.deep.equal([0.25, 0.25]);
+        expect(test.alphas).to.deep.equal([0.5]);
+
+        test.clock.advance(125);
+        expect(test.stateTree.updates.length).to.equal(3);
+        expect(test.alphas).to.deep.equal([0.5, 0]);
+    });
+
+    it('Should limit the number of steps processed in a single frame', () => {
+        const test = createLoop({ maxSteps: 3 });
+
+        test.loop.start();
+        test.clock.advance(10000);
+
+        expect(test.stateTree.updates.length).to.equal(3);
+        expect(test.loop.accumulator).to.equal(0);
+    });
+
+    it('Should keep the partial step when the step limit is reached', () => {
+        const test = createLoop({ maxSteps: 3 });
+
+        test.loop.start();
+        test.clock.advance(10125);
+
+        expect(test.stateTree.updates.length).to.equal(3);
+        expect(test.loop.accumulator).to.equal(0.125);
+        expect(test.alphas).to.deep.equal([0.5]);
+    });
+
+    it('Should not update the state tree while paused', () => {
+        const test = createLoop();
+
+        test.loop.start();
+        test.loop.pause();
+        test.clock.advance(1000);
+
+        expect(test.stateTree.updates.length).to.equal(0);
+        expect(test.alphas.length).to.equal(1);
+
+        test.loop.resume();
+        test.clock.advance(250);
+
+        expect(test.stateTree.updates.length).to.equal(1);
+    });
+
+    it('Should stop processing frames once stopped', () => {
+        const test = createLoop();
+
+        test.loop.start();
+        test.clock.advance(250);
+        test.loop.stop();
+
+        expect(test.clock.scheduled).to.be.null;
+        expect(() => test.loop.start()).to.not.throw();
+        expect(() => test.loop.start()).to.throw('GameLoop.start - The game loop is already running.');
+    });
+});
@@ -109,4 +109,47 @@ describe('event_game_system', () => {
         expect(counter).to.equal(1);
         expect(testObject.counter).to.equal(1);
     });
+
+    it('Should support once listeners and removal of an objects listeners', () => {
+        const system = new EventGameSystem();
+        const calls = [];
+
+        const testObject = {
+            objCallback: function (data) {
+                calls.push('object ' + data);
+            }
+        };
+
+        system.addOnceListener(TEST_EVENT, data => calls.push('once ' + data), null, 1);
+        system.addListener(TEST_EVENT, testObject.objCallback, testObject);
+
+        system.fire(TEST_EVENT, 1);
+        expect(system.removeAllListeners(testObject)).to.equal(1);
+        system.fire(TEST_EVENT, 2);
+
+        expect(calls).to.deep.equal(['once 1', 'object 1']);
+        expect(system.eventListeners.get(TEST_EVENT).length).to.equal(0);
+    });
+
+    it('Should describe each listener by its callback and object', () => {
+        const system = new EventGameSystem();
+        const testObject = {
+            objCallback: function () {}
+        };
+        const onceCallback = function () {};
+
+        system.addListener(TEST_EVENT, testObject.objCallback, testObject, 5);
+        system.addOnceListener(TEST_EVENT, onceCallback);
+
+        expect(system.eventListeners.get(TEST_EVENT)).to.deep.equal([
+            { f: testObject.objCallback, o: testObject },
+            { f: onceCallback, o: undefined }
+        ]);
+
+        system.removeListener(TEST_EVENT, onceCallback);
+        system.fire(TEST_EVENT);
+
+        expect(system.eventListeners.get(TEST_EVENT)).to.deep.equal([{ f: testObject.objCallback, o: testObject }]);
+        expect(system.events.hasListeners(TEST_EVENT)).to.equal(true);
+    });
 });
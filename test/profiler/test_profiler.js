@@ -0,0 +1,141 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const Profiler = require('../../lib/profiler');
+const StateTree = require('../../lib/state_tree');
+const InitArgs = require('../../lib/init_args');
+const UpdateArgs = require('../../lib/update_args');
+const MockFactory = require('../state_tree/mock_factory.js');
+
+/**
+ * Verify the time spent by each system is measured by the profiler.
+ */
+describe('profiler', () => {
+    function createTree(clock, costs) {
+        const factory = MockFactory.createFactory(['LobbySystem', 'PlayingSystem', 'ResultsSystem']);
+
+        factory.register('PlayingSystem', class extends MockFactory.RecordingSystem {
+            onActivate() {
+                clock.time += costs.activate;
+            }
+
+            onUpdate() {
+                clock.time += costs.update.shift() || 0;
+            }
+        });
+
+        const stateTree = new StateTree(factory, require('../state_tree/guard_test.json'));
+
+        stateTree.onInitialize(new InitArgs());
+
+        return stateTree;
+    }
+
+    it('Should record statistics for each system and state', () => {
+        const clock = { time: 0 };
+        const stateTree = createTree(clock, { activate: 4, update: [1, 3, 2] });
+        const profiler = stateTree.enableProfiler({ now: () => clock.time });
+
+        stateTree.changeState('playing');
+        StateTree.commitStateChange(stateTree);
+
+        for (let loop = 0; loop < 3; ++loop) {
+            stateTree.onUpdate(new UpdateArgs());
+        }
+
+        const report = profiler.getReport();
+
+        expect(report.frames).to.equal(3);
+        expect(report.frame).to.deep.equal({ count: 3, avg: 2, p95: 3, max: 3 });
+        expect(report.transition).to.deep.equal({ count: 1, avg: 4, p95: 4, max: 4 });
+        expect(report.systems.PlayingSystem.state).to.equal('playing');
+        expect(report.systems.PlayingSystem.phases.onActivate).to.deep.equal({ count: 1, avg: 4, p95: 4, max: 4 });
+        expect(report.systems.PlayingSystem.phases.onUpdate).to.deep.equal({ count: 3, avg: 2, p95: 3, max: 3 });
+        expect(report.systems.LobbySystem.phases.onDeactivate.count).to.equal(1);
+        expect(report.states.playing.onUpdate).to.deep.equal({ count: 3, avg: 2, p95: 3, max: 3 });
+    });
+
+    it('Should keep a limited number of samples', () => {
+        const clock = { time: 0 };
+        const stateTree = createTree(clock, { activate: 0, update: [9, 1, 2] });
+        const profiler = stateTree.enableProfiler({ now: () => clock.time, samples: 2 });
+
+        stateTree.changeState('playing');
+        StateTree.commitStateChange(stateTree);
+
+        for (let loop = 0; loop < 3; ++loop) {
+            stateTree.onUpdate(new UpdateArgs());
+        }
+
+        expect(profiler.getReport().systems.PlayingSystem.phases.onUpdate).to.deep.equal({ count: 3, avg: 1.5, p95: 2, max: 2 });
+    });
+
+    it('Should flag systems that exceed the frame budget', () => {
+        const clock = { time: 0 };
+        const exceeded = [];
+        const stateTree = createTree(clock, { activate: 0, update: [1, 5, 2] });
+        const profiler = stateTree.enableProfiler({
+            now: () => clock.time,
+            budget: 3,
+            onBudgetExceeded: e => exceeded.push(e)
+        });
+
+        stateTree.changeState('playing');
+        StateTree.commitStateChange(stateTree);
+
+        for (let loop = 0; loop < 3; ++loop) {
+            stateTree.onUpdate(new UpdateArgs());
+        }
+
+        expect(exceeded).to.deep.equal([
+            { name: 'PlayingSystem', state: 'playing', duration: 5, budget: 3, frame: 2 }
+        ]);
+        expect(profiler.getReport().systems.PlayingSystem.overBudget).to.equal(1);
+    });
+
+    it('Should not measure systems once disabled', () => {
+        const clock = { time: 0 };
+        const stateTree = createTree(clock, { activate: 0, update: [] });
+        const profiler = stateTree.enableProfiler({ now: () => clock.time });
+
+        stateTree.disableProfiler();
+        stateTree.onUpdate(new UpdateArgs());
+
+        expect(profiler.getReport().frames).to.equal(0);
+        expect(stateTree.profiler).to.equal(null);
+    });
+
+    it('Should format the statistics as a table', () => {
+        const profiler = new Profiler();
+
+        profiler.recordSystem('PlayingSystem', 'playing', 'onUpdate', 0, 1.5);
+        profiler.recordFrame(0, 2);
+
+        expect(profiler.formatTable()).to.equal([
+            'System         State    Phase     Calls    Avg    P95    Max  Over',
+            'PlayingSystem  playing  onUpdate      1  1.500  1.500  1.500     0',
+            ''
+        ].join('\n'));
+    });
+
+    it('Should export Chrome trace events', () => {
+        const profiler = new Profiler({ traceLimit: 2 });
+
+        profiler.recordSystem('LobbySystem', 'lobby', 'onUpdate', 0, 1);
+        profiler.recordSystem('PlayingSystem', 'playing', 'onUpdate', 1, 1.5);
+        profiler.recordFrame(0, 2);
+
+        expect(profiler.getTraceEvents()).to.deep.equal({
+            traceEvents: [
+                { name: 'PlayingSystem', cat: 'onUpdate', ph: 'X', ts: 1000, dur: 500, pid: 1, tid: 1 },
+                { name: 'frame', cat: 'frame', ph: 'X', ts: 0, dur: 2000, pid: 1, tid: 1 }
+            ],
+            displayTimeUnit: 'ms'
+        });
+
+        profiler.recordSystem('LobbySystem', 'lobby', 'onUpdate', 2, 3);
+
+        expect(profiler.getTraceEvents().traceEvents.map(event => event.name)).to.deep.equal(['frame', 'LobbySystem']);
+    });
+});
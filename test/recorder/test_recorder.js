@@ -0,0 +1,173 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+const Recorder = require('../../lib/recorder');
+const Replayer = require('../../lib/replayer');
+const StateTree = require('../../lib/state_tree');
+const InitArgs = require('../../lib/init_args');
+const UpdateArgs = require('../../lib/update_args');
+const MockFactory = require('../state_tree/mock_factory.js');
+
+/**
+ * Verify sessions are recorded and replayed as expected.
+ */
+describe('recorder', () => {
+    const filePath = path.join(os.tmpdir(), 'recorder_test_' + process.pid + '.json');
+
+    afterEach(() => {
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    });
+
+    /**
+     * Creates a state tree that counts the distance travelled, the match ends once it exceeds 10.
+     */
+    function createTree() {
+        const factory = MockFactory.createFactory([]);
+
+        factory.register('CounterSystem', class extends MockFactory.RecordingSystem {
+            onInitialize() {
+                this.distance = 0;
+            }
+
+            onUpdate(updateArgs) {
+                this.distance += updateArgs.deltaTime * (updateArgs.speed || 1);
+
+                if (this.distance > 10) {
+                    updateArgs.requestState('results');
+                }
+            }
+
+            checksum() {
+                return this.distance;
+            }
+        });
+
+        const stateTree = new StateTree(factory, {
+            name: 'recorder_test',
+            main: 'lobby',
+            states: [
+                { name: 'match', children: ['lobby', 'playing', 'results'], systems: ['CounterSystem'] },
+                { name: 'lobby', transitions: { matchStarted: 'playing' } },
+                { name: 'playing' },
+                { name: 'results' }
+            ]
+        });
+
+        stateTree.onInitialize(new InitArgs());
+
+        return stateTree;
+    }
+
+    function update(stateTree, deltaTime, speed) {
+        const updateArgs = new UpdateArgs();
+
+        updateArgs.stateTree = stateTree;
+        updateArgs.deltaTime = deltaTime;
+        updateArgs.speed = speed;
+
+        stateTree.onUpdate(updateArgs);
+    }
+
+    function recordSession() {
+        const stateTree = createTree();
+        const recorder = new Recorder(stateTree, { captureArgs: updateArgs => ({ speed: updateArgs.speed }) });
+
+        recorder.start();
+
+        update(stateTree, 1, 2);
+        stateTree.send('matchStarted', { map: 'arena' });
+        update(stateTree, 2, 2);
+        update(stateTree, 2, 3);
+        stateTree.changeState('lobby');
+        update(stateTree, 1, 1);
+
+        recorder.stop();
+
+        return recorder;
+    }
+
+    it('Should record frames and requests made from outside the state tree', () => {
+        const log = recordSession().getLog();
+
+        expect(log.version).to.equal(Recorder.RECORDING_VERSION);
+        expect(log.name).to.equal('recorder_test');
+        expect(log.snapshot.stack[0].state).to.equal('lobby');
+        expect(log.entries).to.deep.equal([
+            ['u', 1, { speed: 2 }],
+            ['f', ['lobby'], { CounterSystem: 2 }],
+            ['r', 'send', ['matchStarted', { map: 'arena' }]],
+            ['u', 2, { speed: 2 }],
+            ['f', ['playing'], { CounterSystem: 6 }],
+            ['u', 2, { speed: 3 }],
+            ['f', ['results'], { CounterSystem: 12 }],
+            ['r', 'changeState', ['lobby']],
+            ['u', 1, { speed: 1 }],
+            ['f', ['results'], { CounterSystem: 13 }]
+        ]);
+    });
+
+    it('Should throw if the state tree is already being recorded', () => {
+        const stateTree = createTree();
+
+        new Recorder(stateTree).start();
+
+        expect(() => new Recorder(stateTree).start()).to.throw('Recorder.start - The state tree is already being recorded.');
+    });
+
+    it('Should replay a recording that was saved to a file', () => {
+        recordSession().save(filePath);
+
+        const result = new Replayer(createTree(), Replayer.load(filePath)).run();
+
+        expect(result).to.deep.equal({
+            frames: 4,
+            divergence: null
+        });
+    });
+
+    it('Should report the first frame whose checksum differs', () => {
+        const log = recordSession().getLog();
+
+        log.entries[3][2].speed = 2.5;
+
+        expect(new Replayer(createTree(), log).run()).to.deep.equal({
+            frames: 2,
+            divergence: {
+                frame: 2,
+                reason: 'checksum',
+                system: 'CounterSystem',
+                expected: 6,
+                actual: 7
+            }
+        });
+    });
+
+    it('Should report the first frame whose active state differs', () => {
+        const log = recordSession().getLog();
+
+        log.entries.splice(2, 1);
+
+        expect(new Replayer(createTree(), log).run().divergence).to.deep.equal({
+            frame: 2,
+            reason: 'state',
+            system: null,
+            expected: ['playing'],
+            actual: ['lobby']
+        });
+    });
+
+    it('Should reject recordings it does not understand', () => {
+        const log = recordSession().getLog();
+
+        expect(() => new Replayer(createTree(), { version: 0 })).to.throw('Replayer.constructor - Unsupported recording version \'0\'.');
+
+        log.entries.unshift(['r', 'onDestroy', []]);
+        expect(() => new Replayer(createTree(), log).run()).to.throw('Replayer.run - Unknown request \'onDestroy\' in recording.');
+    });
+});
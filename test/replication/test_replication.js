@@ -0,0 +1,236 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const InitArgs = require('../../lib/init_args');
+const Replication = require('../../lib/replication');
+const StateTree = require('../../lib/state_tree');
+const MockFactory = require('../state_tree/mock_factory.js');
+
+const Replicator = Replication.Replicator;
+const Replica = Replication.Replica;
+const MemoryTransport = Replication.MemoryTransport;
+const WebSocketTransport = Replication.WebSocketTransport;
+
+/**
+ * Verify the replication of a state tree to a mirror behaves as expected.
+ */
+describe('replication', () => {
+    const Description = require('../state_tree/guard_test.json');
+
+    function createTree(desc) {
+        const factory = MockFactory.createFactory(['MatchSystem', 'LobbySystem', 'PlayingSystem', 'ResultsSystem']);
+
+        class PlayingSystem extends MockFactory.RecordingSystem {
+            constructor() {
+                super();
+
+                this.score = 0;
+                this.players = [];
+                this.internal = 0;
+            }
+        }
+
+        PlayingSystem.Replicated = ['score', 'players'];
+
+        factory.register('PlayingSystem', PlayingSystem);
+
+        const stateTree = new StateTree(factory, desc || Description);
+
+        stateTree.onInitialize(new InitArgs());
+
+        return stateTree;
+    }
+
+    function changeState(stateTree, stateName) {
+        stateTree.changeState(stateName);
+        StateTree.commitStateChange(stateTree);
+    }
+
+    function createSession(options, desc) {
+        const server = createTree(desc);
+        const mirror = createTree(desc);
+        const transports = MemoryTransport.createPair(options);
+        const replicator = new Replicator(server);
+        const replica = new Replica(mirror, transports[1]);
+        const sent = [];
+        const send = transports[0].send;
+
+        transports[0].send = message => {
+            sent.push(message);
+            return send.call(transports[0], message);
+        };
+
+        return {
+            server: server,
+            mirror: mirror,
+            transports: transports,
+            replicator: replicator,
+            replica: replica,
+            sent: sent
+        };
+    }
+
+    it('Should send a full message when a client connects', () => {
+        const session = createSession();
+        const server = session.server;
+
+        changeState(server, 'playing');
+        server.systemMap.get('PlayingSystem').score = 5;
+        session.replicator.update();
+
+        session.replicator.addConnection(session.transports[0]);
+
+        expect(session.sent).to.deep.equal([{
+            type: Replication.MESSAGE_FULL,
+            seq: 1,
+            states: [{ state: 'playing', branchRoot: null, leaves: ['playing'] }],
+            systems: { PlayingSystem: { score: 5, players: [] } }
+        }]);
+        expect(session.replica.synchronized).to.equal(true);
+        expect(session.mirror.activeState.name).to.equal('playing');
+        expect(session.mirror.systemMap.get('PlayingSystem').score).to.equal(5);
+    });
+
+    it('Should only send the values that changed', () => {
+        const session = createSession();
+        const server = session.server;
+        const system = server.systemMap.get('PlayingSystem');
+
+        session.replicator.addConnection(session.transports[0]);
+        session.sent.length = 0;
+
+        expect(session.replicator.update()).to.equal(false);
+
+        system.score = 3;
+        system.internal = 10;
+        expect(session.replicator.update()).to.equal(true);
+
+        system.players.push('alice');
+        changeState(server, 'playing');
+        session.replicator.update();
+
+        expect(session.sent).to.deep.equal([{
+            type: Replication.MESSAGE_DELTA,
+            seq: 1,
+            systems: { PlayingSystem: { score: 3 } }
+        }, {
+            type: Replication.MESSAGE_DELTA,
+            seq: 2,
+            states: [{ state: 'playing', branchRoot: null, leaves: ['playing'] }],
+            systems: { PlayingSystem: { players: ['alice'] } }
+        }]);
+
+        const mirrored = session.mirror.systemMap.get('PlayingSystem');
+
+        expect(session.mirror.activeState.name).to.equal('playing');
+        expect(mirrored.score).to.equal(3);
+        expect(mirrored.players).to.deep.equal(['alice']);
+        expect(mirrored.internal).to.equal(0);
+        expect(session.replica.seq).to.equal(2);
+    });
+
+    it('Should only exit and enter the states that changed', () => {
+        const desc = JSON.parse(JSON.stringify(Description));
+
+        desc.states[0].systems = ['MatchSystem'];
+
+        const session = createSession(null, desc);
+
+        session.replicator.addConnection(session.transports[0]);
+        session.mirror.systemFactory.flush();
+
+        changeState(session.server, 'playing');
+        session.replicator.update();
+
+        expect(session.mirror.activeState.name).to.equal('playing');
+        expect(session.mirror.systemFactory.flush()).to.deep.equal([
+            'LobbySystem.onDeactivate',
+            'PlayingSystem.onActivate',
+            'PlayingSystem.onPostActivate'
+        ]);
+    });
+
+    it('Should supply the values sent before a transient system was created on the mirror', () => {
+        const desc = JSON.parse(JSON.stringify(Description));
+
+        desc.states[2].systems = [{ name: 'PlayingSystem', lifetime: 'active' }];
+
+        const session = createSession(null, desc);
+        const server = session.server;
+
+        session.replicator.addConnection(session.transports[0]);
+
+        changeState(server, 'playing');
+        server.systemMap.get('PlayingSystem').score = 5;
+        session.replicator.update();
+
+        expect(session.sent[1].systems).to.deep.equal({ PlayingSystem: { score: 5, players: [] } });
+        expect(session.mirror.activeState.name).to.equal('playing');
+        expect(session.mirror.systemMap.get('PlayingSystem').score).to.equal(5);
+    });
+
+    it('Should request a full message when a delta is missed', () => {
+        const session = createSession({ queued: true });
+        const server = session.server;
+        const system = server.systemMap.get('PlayingSystem');
+
+        session.replicator.addConnection(session.transports[0]);
+        session.transports[1].flush();
+
+        system.score = 1;
+        session.replicator.update();
+        session.transports[1].queue.length = 0;
+
+        system.score = 2;
+        session.replicator.update();
+        session.transports[1].flush();
+
+        expect(session.replica.synchronized).to.equal(false);
+        expect(session.mirror.systemMap.get('PlayingSystem').score).to.equal(0);
+
+        session.transports[0].flush();
+        session.transports[1].flush();
+
+        expect(session.sent[session.sent.length - 1].type).to.equal(Replication.MESSAGE_FULL);
+        expect(session.replica.synchronized).to.equal(true);
+        expect(session.replica.seq).to.equal(2);
+        expect(session.mirror.systemMap.get('PlayingSystem').score).to.equal(2);
+    });
+
+    it('Should prevent the mirror from changing state', () => {
+        const session = createSession();
+
+        expect(() => session.mirror.changeState('playing')).to.throw('StateTree.changeState - The state tree is read-only.');
+        expect(() => session.mirror.pushState('results')).to.throw('StateTree.pushState - The state tree is read-only.');
+        expect(() => session.mirror.send('finish')).to.throw('StateTree.send - The state tree is read-only.');
+
+        session.replica.close();
+        expect(() => session.mirror.changeState('playing')).to.not.throw();
+    });
+
+    it('Should send messages over a WebSocket', () => {
+        const listeners = [];
+        const sent = [];
+        const socket = {
+            readyState: WebSocketTransport.READY_STATE_OPEN,
+            send: data => sent.push(data),
+            addEventListener: (name, cb) => listeners.push(cb)
+        };
+
+        const transport = new WebSocketTransport(socket);
+        const received = [];
+
+        transport.onMessage = message => received.push(message);
+
+        expect(transport.send({ type: Replication.MESSAGE_RESYNC })).to.equal(true);
+        listeners[0]({ data: '{"type":"d","seq":1}' });
+        listeners[0]({ data: 'not json' });
+
+        socket.readyState = 3;
+        expect(transport.send({ type: Replication.MESSAGE_RESYNC })).to.equal(false);
+
+        expect(sent).to.deep.equal(['{"type":"r"}']);
+        expect(received).to.deep.equal([{ type: 'd', seq: 1 }]);
+    });
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const InitArgs = require('../../lib/init_args');
+const Scheduler = require('../../lib/scheduler');
+const StateTree = require('../../lib/state_tree');
+const UpdateArgs = require('../../lib/update_args');
+const MockFactory = require('../state_tree/mock_factory.js');
+
+/**
+ * Verify the Scheduler class behaves as expected.
+ */
+describe('scheduler', () => {
+    it('Should fire timers in the order they became due', () => {
+        const scheduler = new Scheduler();
+        const fired = [];
+
+        scheduler.after(0.75, () => fired.push('a'));
+        scheduler.every(0.25, () => fired.push('b'));
+        scheduler.after(0.5, () => fired.push('c'));
+
+        scheduler.update(0.5);
+        expect(fired).to.deep.equal(['b', 'b', 'c']);
+
+        scheduler.update(0.5);
+        expect(fired).to.deep.equal(['b', 'b', 'c', 'a', 'b', 'b']);
+        expect(scheduler.count).to.equal(1);
+    });
+
+    it('Should not fire cancelled timers', () => {
+        const scheduler = new Scheduler();
+        const fired = [];
+
+        let second = 0;
+
+        scheduler.after(1, () => {
+            fired.push('first');
+            scheduler.cancel(second);
+            scheduler.after(0, () => fired.push('created'));
+        });
+
+        second = scheduler.after(1, () => fired.push('second'));
+
+        const repeating = scheduler.every(0.5, id => {
+            fired.push('repeating');
+            scheduler.cancel(id);
+        });
+
+        scheduler.update(1);
+        expect(fired).to.deep.equal(['repeating', 'first']);
+
+        scheduler.update(0);
+        expect(fired).to.deep.equal(['repeating', 'first', 'created']);
+        expect(scheduler.cancel(repeating)).to.equal(false);
+        expect(scheduler.count).to.equal(0);
+    });
+
+    it('Should only advance timers whose state is being updated', () => {
+        const scheduler = new Scheduler();
+        const play = { name: 'play' };
+        const pause = { name: 'pause' };
+        const fired = [];
+
+        scheduler.after(1, () => fired.push('play'), play);
+        scheduler.after(1, () => fired.push('pause'), pause);
+        scheduler.after(1, () => fired.push('tree'));
+
+        scheduler.update(1, new Set([pause]));
+        expect(fired).to.deep.equal(['pause', 'tree']);
+
+        scheduler.update(0.5, new Set([play]));
+        expect(fired).to.deep.equal(['pause', 'tree']);
+
+        expect(scheduler.cancelState(play)).to.equal(1);
+        expect(scheduler.count).to.equal(0);
+    });
+
+    it('Should validate the timers being created', () => {
+        const scheduler = new Scheduler();
+
+        expect(() => scheduler.after(-1, () => {})).to.throw('Scheduler.after - The delay must be a number that is not negative.');
+        expect(() => scheduler.every(0, () => {})).to.throw('Scheduler.every - The interval must be a number greater than zero.');
+        expect(() => scheduler.after(1)).to.throw('Scheduler.after - No callback was specified.');
+    });
+
+    describe('state tree', () => {
+        function createTree() {
+            const factory = MockFactory.createFactory(['GameSystem', 'PlaySystem', 'PauseSystem', 'InventorySystem', 'TitleSystem']);
+
+            factory.register('PlaySystem', class extends MockFactory.RecordingSystem {
+                onInitialize(initArgs) {
+                    this.scheduler = initArgs.scheduler;
+                }
+
+                onActivate() {
+                    this.timer = this.scheduler.every(1, () => this.log.push('PlaySystem.timer'));
+                }
+
+                onUpdate() {
+                }
+
+                onPostUpdate() {
+                }
+            });
+
+            factory.register('PauseSystem', class extends MockFactory.RecordingSystem {
+                onUpdate(updateArgs) {
+                    if (this.failing) {
+                        this.failing = false;
+                        updateArgs.scheduler.after(0, () => {
+                            this.log.push('PauseSystem.timer');
+                            throw new Error('Timer failed');
+                        });
+                    }
+                }
+            });
+
+            const stateTree = new StateTree(factory, require('../state_tree/overlay_test.json'));
+            const updateArgs = new UpdateArgs();
+
+            updateArgs.stateTree = stateTree;
+            updateArgs.deltaTime = 0.5;
+
+            stateTree.onInitialize(new InitArgs());
+            factory.flush();
+
+            return {
+                factory: factory,
+                stateTree: stateTree,
+                updateArgs: updateArgs
+            };
+        }
+
+        it('Should scope timers to the state of the system creating them', () => {
+            const test = createTree();
+            const timer = test.stateTree.scheduler.timers[0];
+
+            expect(test.stateTree.scheduler.count).to.equal(1);
+            expect(timer.state.name).to.equal('play');
+            expect(timer.system).to.equal(test.stateTree.systemMap.get('PlaySystem'));
+            expect(test.updateArgs.scheduler).to.equal(test.stateTree.scheduler);
+        });
+
+        it('Should suspend timers while their state is not updated', () => {
+            const test = createTree();
+
+            test.stateTree.onUpdate(test.updateArgs);
+            test.stateTree.onUpdate(test.updateArgs);
+            expect(test.factory.flush()).to.deep.equal([
+                'GameSystem.onUpdate',
+                'GameSystem.onPostUpdate',
+                'PlaySystem.timer',
+                'GameSystem.onUpdate',
+                'GameSystem.onPostUpdate'
+            ]);
+
+            test.stateTree.pushState('pause');
+            test.stateTree.onUpdate(test.updateArgs);
+            test.stateTree.onUpdate(test.updateArgs);
+            test.stateTree.onUpdate(test.updateArgs);
+            expect(test.factory.flush().filter(entry => entry.indexOf('timer') !== -1)).to.deep.equal([]);
+
+            test.stateTree.popState();
+            test.stateTree.onUpdate(test.updateArgs);
+            test.stateTree.onUpdate(test.updateArgs);
+            expect(test.factory.flush().filter(entry => entry.indexOf('timer') !== -1)).to.deep.equal(['PlaySystem.timer']);
+        });
+
+        it('Should apply the error policy of the system when a timer fails', () => {
+            const test = createTree();
+            const errors = [];
+
+            test.stateTree.errorPolicy = StateTree.ERROR_DISABLE;
+            test.stateTree.systemMap.get('PauseSystem').failing = true;
+            test.stateTree.onError = e => errors.push([e.name, e.method, e.error.message]);
+            test.stateTree.pushState('pause');
+            test.stateTree.onUpdate(test.updateArgs);
+            test.stateTree.onUpdate(test.updateArgs);
+
+            expect(errors).to.deep.equal([['PauseSystem', 'timer', 'Timer failed']]);
+            expect(test.stateTree.isSystemDisabled('PauseSystem')).to.equal(true);
+        });
+
+        it('Should move timers into the reloaded hierarchy', () => {
+            const test = createTree();
+            const scheduler = test.stateTree.scheduler;
+            const timer = scheduler.timers[0];
+            const paused = scheduler.after(1, () => test.factory.log.push('pause.timer'), test.stateTree.getState('pause'));
+            const desc = JSON.parse(JSON.stringify(require('../state_tree/overlay_test.json')));
+
+            desc.states[0].children = ['play', 'inventory'];
+            desc.states.splice(2, 1);
+
+            test.stateTree.reload(desc);
+
+            expect(timer.cancelled).to.equal(false);
+            expect(timer.state).to.equal(test.stateTree.getState('play'));
+            expect(scheduler.cancel(paused)).to.equal(false);
+
+            test.factory.flush();
+            test.stateTree.onUpdate(test.updateArgs);
+            test.stateTree.onUpdate(test.updateArgs);
+            expect(test.factory.flush().filter(entry => entry === 'PlaySystem.timer').length).to.equal(2);
+        });
+
+        it('Should cancel the timers of states and systems removed at runtime', () => {
+            const test = createTree();
+            const scheduler = test.stateTree.scheduler;
+
+            scheduler.after(1, () => test.factory.log.push('title.timer'), test.stateTree.getState('title'));
+            expect(scheduler.count).to.equal(2);
+
+            test.stateTree.removeState('frontend');
+            expect(scheduler.count).to.equal(1);
+
+            test.stateTree.removeSystem('PlaySystem');
+            expect(scheduler.count).to.equal(0);
+        });
+
+        it('Should cancel every timer when the state tree is destroyed', () => {
+            const test = createTree();
+
+            return test.stateTree.onDestroy().then(() => {
+                expect(test.stateTree.scheduler.count).to.equal(0);
+            });
+        });
+    });
+});
@@ -0,0 +1,225 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const SessionManager = require('../../lib/session_manager');
+const MockFactory = require('../state_tree/mock_factory.js');
+
+/**
+ * Verify the SessionManager class behaves as expected.
+ */
+describe('session_manager', () => {
+    const Description = require('../state_tree/guard_test.json');
+
+    function createManager(options) {
+        const factory = MockFactory.createFactory(['LobbySystem', 'PlayingSystem', 'ResultsSystem']);
+        const clock = { time: 0 };
+
+        factory.register('LobbySystem', class extends MockFactory.RecordingSystem {
+            canExit(target) {
+                return !this.locked;
+            }
+
+            onUpdate(updateArgs) {
+                this.elapsed = (this.elapsed || 0) + updateArgs.deltaTime;
+
+                if (this.fail) {
+                    throw new Error('Lobby failed');
+                }
+            }
+        });
+
+        const manager = new SessionManager(factory, Description, Object.assign({ now: () => clock.time }, options));
+
+        return {
+            factory: factory,
+            clock: clock,
+            manager: manager
+        };
+    }
+
+    it('Should throw if no factory or description is provided', () => {
+        expect(() => new SessionManager(null, Description)).to.throw('SessionManager.constructor - A valid system factory must be supplied during construction.');
+        expect(() => new SessionManager(MockFactory.createFactory([]), null)).to.throw('SessionManager.constructor - No description was provided.');
+    });
+
+    it('Should create sessions with unique ids', () => {
+        const test = createManager();
+
+        const first = test.manager.create();
+        const second = test.manager.create('match');
+
+        expect(first.id).to.equal('1');
+        expect(second.id).to.equal('match');
+        expect(test.manager.count).to.equal(2);
+        expect(test.manager.get('1')).to.equal(first);
+        expect(first.stateTree).to.not.equal(second.stateTree);
+        expect(() => test.manager.create('match')).to.throw('SessionManager.create - Session \'match\' already exists.');
+    });
+
+    it('Should tick every session', () => {
+        const test = createManager();
+
+        const first = test.manager.create();
+        const second = test.manager.create();
+
+        expect(test.manager.update(0.5)).to.equal(2);
+        expect(first.stateTree.systemMap.get('LobbySystem').elapsed).to.equal(0.5);
+        expect(second.stateTree.systemMap.get('LobbySystem').elapsed).to.equal(0.5);
+    });
+
+    it('Should tick sessions in round-robin batches', () => {
+        const test = createManager({ batchSize: 2 });
+        const sessions = [test.manager.create(), test.manager.create(), test.manager.create()];
+
+        test.manager.update(1);
+        test.manager.update(1);
+
+        expect(sessions.map(session => session.ticks)).to.deep.equal([2, 1, 1]);
+        expect(sessions.map(session => session.stateTree.systemMap.get('LobbySystem').elapsed)).to.deep.equal([2, 1, 2]);
+    });
+
+    it('Should end a session that raises an exception', () => {
+        const errors = [];
+        const ended = [];
+        const test = createManager({ onError: (session, err) => errors.push([session.id, err.message]) });
+
+        test.manager.events.on('sessionEnded', e => ended.push([e.id, e.reason]));
+
+        const failing = test.manager.create();
+        const healthy = test.manager.create();
+
+        failing.stateTree.systemMap.get('LobbySystem').fail = true;
+        test.manager.update(1);
+
+        expect(errors).to.deep.equal([['1', 'Lobby failed']]);
+        expect(ended).to.deep.equal([['1', 'failed']]);
+        expect(test.manager.get('1')).to.equal(undefined);
+        expect(failing.stateTree.activeState).to.equal(null);
+        expect(healthy.stateTree.systemMap.get('LobbySystem').elapsed).to.equal(1);
+    });
+
+    it('Should destroy the state tree of a session that fails to initialize', () => {
+        const test = createManager();
+
+        test.factory.register('ResultsSystem', class extends MockFactory.RecordingSystem {
+            onInitialize(initArgs) {
+                throw new Error('Results failed');
+            }
+        });
+
+        expect(() => test.manager.create('match')).to.throw('Results failed');
+        expect(test.manager.get('match')).to.equal(undefined);
+        expect(test.factory.flush()).to.deep.equal([
+            'LobbySystem.onInitialize',
+            'PlayingSystem.onInitialize',
+            'ResultsSystem.onDestroy',
+            'PlayingSystem.onDestroy',
+            'LobbySystem.onDestroy'
+        ]);
+    });
+
+    it('Should report exceptions raised while destroying a failed session', () => {
+        const failed = [];
+        const test = createManager();
+
+        test.manager.events.on('sessionFailed', e => failed.push(e.error.message));
+
+        const session = test.manager.create();
+
+        session.stateTree.systemMap.get('LobbySystem').fail = true;
+        session.stateTree.onDestroy = () => Promise.reject(new Error('Destroy failed'));
+        test.manager.update(1);
+
+        return new Promise(resolve => setImmediate(resolve)).then(() => {
+            expect(failed).to.deep.equal(['Lobby failed', 'Destroy failed']);
+        });
+    });
+
+    it('Should end a session whose state change is rejected outside of a tick', () => {
+        const failed = [];
+        const ended = [];
+        const test = createManager();
+
+        test.manager.events.on('sessionFailed', e => failed.push([e.id, e.error.message]));
+        test.manager.events.on('sessionEnded', e => ended.push([e.id, e.reason]));
+
+        const failing = test.manager.create();
+        const healthy = test.manager.create();
+
+        failing.stateTree.systemMap.get('LobbySystem').locked = true;
+        failing.stateTree.changeState('playing');
+        healthy.stateTree.changeState('playing');
+
+        return new Promise(resolve => setImmediate(resolve)).then(() => {
+            expect(failed).to.deep.equal([['1', 'StateTree - Transition from \'lobby\' to \'playing\' was rejected by system \'LobbySystem\'.']]);
+            expect(ended).to.deep.equal([['1', 'failed']]);
+            expect(test.manager.get('1')).to.equal(undefined);
+            expect(healthy.stateTree.activeState.name).to.equal('playing');
+
+            test.factory.flush();
+            expect(test.manager.update(1)).to.equal(1);
+            expect(test.factory.flush()).to.deep.equal(['PlayingSystem.onUpdate', 'PlayingSystem.onPostUpdate']);
+        });
+    });
+
+    it('Should destroy sessions that idle out', () => {
+        const ended = [];
+        const test = createManager({ idleTimeout: 1000 });
+
+        test.manager.events.on('sessionEnded', e => ended.push([e.id, e.reason]));
+
+        test.manager.create();
+        test.manager.create();
+        test.factory.flush();
+
+        test.clock.time = 800;
+        test.manager.touch('2');
+
+        test.clock.time = 1500;
+        test.manager.update(0);
+
+        expect(ended).to.deep.equal([['1', 'idle']]);
+        expect(test.manager.count).to.equal(1);
+        expect(test.factory.flush()).to.deep.equal([
+            'LobbySystem.onDeactivate',
+            'ResultsSystem.onDestroy',
+            'PlayingSystem.onDestroy',
+            'LobbySystem.onDestroy',
+            'LobbySystem.onPostUpdate'
+        ]);
+    });
+
+    it('Should report the active state of each session', () => {
+        const test = createManager();
+
+        test.manager.create();
+        test.manager.create().stateTree.changeState('playing');
+        test.manager.update(0);
+        test.clock.time = 50;
+
+        expect(test.manager.getSessionInfo('2')).to.deep.equal({
+            id: '2',
+            activeState: 'playing',
+            activeLeaves: ['playing'],
+            transitioning: false,
+            ticks: 1,
+            idleTime: 50
+        });
+        expect(test.manager.getSessionInfo('3')).to.equal(null);
+        expect(test.manager.getStats().states).to.deep.equal({ lobby: 1, playing: 1 });
+        expect(test.manager.getStats().count).to.equal(2);
+    });
+
+    it('Should end every session', () => {
+        const test = createManager();
+
+        test.manager.create();
+        test.manager.create();
+
+        return test.manager.endAll().then(() => {
+            expect(test.manager.count).to.equal(0);
+            expect(() => test.manager.end('1')).to.throw('SessionManager.end - Session \'1\' could not be found.');
+        });
+    });
+});
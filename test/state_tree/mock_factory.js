@@ -0,0 +1,95 @@
+'use strict';
+
+const GameSystem = require('../../lib/game_system');
+
+/**
+ * Minimal stand-in for the factory object from @nfactorial/factory_js, used by the state tree tests.
+ * Every system created by the factory is given access to a shared log, allowing tests to verify the
+ * order in which the framework invoked each system.
+ */
+class MockFactory {
+    constructor() {
+        this.map = new Map();
+        this.log = [];
+    }
+
+    register(name, type) {
+        this.map.set(name, type);
+    }
+
+    create(name) {
+        const type = this.map.get(name);
+        if (!type) {
+            return null;
+        }
+
+        const system = new type();
+
+        system.log = this.log;
+        system.typeName = name;
+
+        return system;
+    }
+
+    /**
+     * Retrieves and clears the log entries recorded so far.
+     * @returns {Array} The log entries recorded since the last call.
+     */
+    flush() {
+        return this.log.splice(0, this.log.length);
+    }
+}
+
+/**
+ * Game system that records each framework call it receives within the factory log.
+ */
+class RecordingSystem extends GameSystem {
+    onInitialize() {
+        this.log.push(this.typeName + '.onInitialize');
+    }
+
+    onDestroy() {
+        this.log.push(this.typeName + '.onDestroy');
+    }
+
+    onActivate() {
+        this.log.push(this.typeName + '.onActivate');
+    }
+
+    onPostActivate() {
+        this.log.push(this.typeName + '.onPostActivate');
+    }
+
+    onDeactivate() {
+        this.log.push(this.typeName + '.onDeactivate');
+    }
+
+    onUpdate() {
+        this.log.push(this.typeName + '.onUpdate');
+    }
+
+    onPostUpdate() {
+        this.log.push(this.typeName + '.onPostUpdate');
+    }
+}
+
+/**
+ * Creates a factory with a RecordingSystem registered under each of the supplied names.
+ * @param {Array} names - The system type names to be registered.
+ * @returns {MockFactory} The created factory.
+ */
+function createFactory(names) {
+    const factory = new MockFactory();
+
+    for (const name of names) {
+        factory.register(name, class extends RecordingSystem {});
+    }
+
+    return factory;
+}
+
+module.exports = {
+    MockFactory: MockFactory,
+    RecordingSystem: RecordingSystem,
+    createFactory: createFactory
+};
@@ -4,6 +4,10 @@ const chai = require('chai');
 const expect = chai.expect;
 const StateTree = require('../../lib/state_tree');
 const InitArgs = require('../../lib/init_args');
+const UpdateArgs = require('../../lib/update_args');
+const MockFactory = require('./mock_factory.js');
+const StateRef = require('../../lib/parameters/state_ref');
+const SystemRef = require('../../lib/parameters/system_ref');
 
 
 /**
@@ -107,4 +111,2079 @@ describe('state_tree', () => {
         //expect(StateTree.findCommonAncestor(root1_child, stateTree.getState('')).name).to.equal('');
         //expect(StateTree.findCommonAncestor(root1_child, stateTree.getState('')).name).to.equal('');
     });
+
+    describe('overlay states', () => {
+        const SYSTEMS = ['GameSystem', 'PlaySystem', 'PauseSystem', 'InventorySystem', 'TitleSystem'];
+
+        function createTree() {
+            const factory = MockFactory.createFactory(SYSTEMS);
+            const stateTree = new StateTree(factory, require('./overlay_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+            factory.flush();
+
+            return stateTree;
+        }
+
+        function update(stateTree) {
+            const updateArgs = new UpdateArgs();
+
+            updateArgs.stateTree = stateTree;
+            stateTree.onUpdate(updateArgs);
+
+            return stateTree.systemFactory.flush();
+        }
+
+        it('Should enter an overlay without leaving the branch beneath it', () => {
+            const stateTree = createTree();
+
+            stateTree.pushState('pause');
+            StateTree.commitStateChange(stateTree);
+
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'PauseSystem.onActivate',
+                'PauseSystem.onPostActivate'
+            ]);
+
+            expect(stateTree.activeState.name).to.equal('pause');
+            expect(stateTree.stateStack.length).to.equal(2);
+            expect(stateTree.isActive(stateTree.getState('play'))).to.be.true;
+        });
+
+        it('Should suspend the branch beneath an overlay by default', () => {
+            const stateTree = createTree();
+
+            stateTree.pushState('pause');
+
+            expect(update(stateTree)).to.deep.equal([
+                'PauseSystem.onActivate',
+                'PauseSystem.onPostActivate',
+                'GameSystem.onUpdate',
+                'PauseSystem.onUpdate',
+                'GameSystem.onPostUpdate',
+                'PauseSystem.onPostUpdate'
+            ]);
+        });
+
+        it('Should continue updating the branch beneath an overlay in update mode', () => {
+            const stateTree = createTree();
+
+            stateTree.pushState('inventory');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemFactory.flush();
+
+            expect(update(stateTree)).to.deep.equal([
+                'GameSystem.onUpdate',
+                'PlaySystem.onUpdate',
+                'InventorySystem.onUpdate',
+                'GameSystem.onPostUpdate',
+                'PlaySystem.onPostUpdate',
+                'InventorySystem.onPostUpdate'
+            ]);
+        });
+
+        it('Should only leave the overlay branch when popped', () => {
+            const stateTree = createTree();
+
+            stateTree.pushState('pause');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemFactory.flush();
+
+            stateTree.popState();
+            StateTree.commitStateChange(stateTree);
+
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'PauseSystem.onDeactivate'
+            ]);
+
+            expect(stateTree.activeState.name).to.equal('play');
+            expect(stateTree.stateStack.length).to.equal(1);
+        });
+
+        it('Should remove all overlays when the state is changed', () => {
+            const stateTree = createTree();
+
+            stateTree.pushState('inventory');
+            stateTree.pushState('pause');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemFactory.flush();
+
+            stateTree.changeState('title');
+            StateTree.commitStateChange(stateTree);
+
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'PauseSystem.onDeactivate',
+                'InventorySystem.onDeactivate',
+                'PlaySystem.onDeactivate',
+                'GameSystem.onDeactivate',
+                'TitleSystem.onActivate',
+                'TitleSystem.onPostActivate'
+            ]);
+
+            expect(stateTree.activeState.name).to.equal('title');
+            expect(stateTree.stateStack.length).to.equal(1);
+        });
+
+        it('Should throw an exception if there is no overlay to be popped', () => {
+            const stateTree = createTree();
+
+            expect(() => {
+                stateTree.popState();
+            }).to.throw('StateTree.popState - There is no overlay state to be removed.');
+
+            stateTree.pushState('pause');
+            stateTree.popState();
+
+            expect(() => {
+                stateTree.popState();
+            }).to.throw('StateTree.popState - There is no overlay state to be removed.');
+        });
+
+        it('Should throw an exception if an active state is pushed', () => {
+            const stateTree = createTree();
+
+            stateTree.pushState('play');
+
+            expect(() => {
+                StateTree.commitStateChange(stateTree);
+            }).to.throw('StateTree - Transition from \'play\' to \'play\' was rejected as \'play\' is already active.');
+            expect(stateTree.stateStack.length).to.equal(1);
+        });
+
+        it('Should fire an event if an active state is pushed on the next tick', () => {
+            const stateTree = createTree();
+            const rejected = [];
+
+            stateTree.events.on(StateTree.Events.TRANSITION_REJECTED, e => rejected.push(e.reason));
+
+            stateTree.pushState('pause');
+            stateTree.pushState('pause');
+
+            return new Promise(resolve => setImmediate(resolve)).then(() => {
+                expect(rejected).to.deep.equal(['StateTree - Transition from \'pause\' to \'pause\' was rejected as \'pause\' is already active.']);
+                expect(stateTree.getActiveLeaves().map(leaf => leaf.name)).to.deep.equal(['play', 'pause']);
+            });
+        });
+
+        it('Should only exit and enter the states that differ when restoring with keepActive', () => {
+            const stateTree = createTree();
+
+            stateTree.pushState('inventory');
+            StateTree.commitStateChange(stateTree);
+
+            const snapshot = stateTree.serialize();
+
+            stateTree.popState();
+            stateTree.changeState('pause');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemFactory.flush();
+
+            stateTree.restore(snapshot, { keepActive: true });
+
+            expect(stateTree.activeState.name).to.equal('inventory');
+            expect(stateTree.getActiveLeaves().map(leaf => leaf.name)).to.deep.equal(['play', 'inventory']);
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'PauseSystem.onDeactivate',
+                'PlaySystem.onActivate',
+                'InventorySystem.onActivate',
+                'PlaySystem.onPostActivate',
+                'InventorySystem.onPostActivate'
+            ]);
+        });
+    });
+
+    describe('parallel states', () => {
+        const SYSTEMS = [
+            'ServerSystem', 'LobbySystem', 'PlayingSystem', 'ChatOpenSystem',
+            'ChatMutedSystem', 'ClockSystem', 'ShutdownSystem'
+        ];
+
+        function createTree() {
+            const factory = MockFactory.createFactory(SYSTEMS);
+            const stateTree = new StateTree(factory, require('./parallel_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+
+            return stateTree;
+        }
+
+        it('Should enter the initial leaf of every region', () => {
+            const stateTree = createTree();
+            const log = stateTree.systemFactory.flush().filter(entry => entry.indexOf('onInitialize') === -1);
+
+            expect(log).to.deep.equal([
+                'ServerSystem.onActivate',
+                'LobbySystem.onActivate',
+                'ChatOpenSystem.onActivate',
+                'ClockSystem.onActivate',
+                'ServerSystem.onPostActivate',
+                'LobbySystem.onPostActivate',
+                'ChatOpenSystem.onPostActivate',
+                'ClockSystem.onPostActivate'
+            ]);
+
+            expect(stateTree.activeState.name).to.equal('lobby');
+            expect(stateTree.getActiveLeaves().map(leaf => leaf.name)).to.deep.equal(['lobby', 'chatOpen', 'clock']);
+        });
+
+        it('Should update every region in hierarchy order', () => {
+            const stateTree = createTree();
+            const updateArgs = new UpdateArgs();
+
+            stateTree.systemFactory.flush();
+            stateTree.onUpdate(updateArgs);
+
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'ServerSystem.onUpdate',
+                'LobbySystem.onUpdate',
+                'ChatOpenSystem.onUpdate',
+                'ClockSystem.onUpdate',
+                'ServerSystem.onPostUpdate',
+                'LobbySystem.onPostUpdate',
+                'ChatOpenSystem.onPostUpdate',
+                'ClockSystem.onPostUpdate'
+            ]);
+        });
+
+        it('Should only change the branch within the target region', () => {
+            const stateTree = createTree();
+
+            stateTree.systemFactory.flush();
+
+            stateTree.changeState('chatMuted');
+            StateTree.commitStateChange(stateTree);
+
+            stateTree.changeState('playing');
+            StateTree.commitStateChange(stateTree);
+
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'ChatOpenSystem.onDeactivate',
+                'ChatMutedSystem.onActivate',
+                'ChatMutedSystem.onPostActivate',
+                'LobbySystem.onDeactivate',
+                'PlayingSystem.onActivate',
+                'PlayingSystem.onPostActivate'
+            ]);
+
+            expect(stateTree.activeState.name).to.equal('playing');
+            expect(stateTree.getActiveLeaves().map(leaf => leaf.name)).to.deep.equal(['playing', 'chatMuted', 'clock']);
+        });
+
+        it('Should exit every region when leaving the parallel state', () => {
+            const stateTree = createTree();
+
+            stateTree.systemFactory.flush();
+
+            stateTree.changeState('shutdown');
+            StateTree.commitStateChange(stateTree);
+
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'ClockSystem.onDeactivate',
+                'ChatOpenSystem.onDeactivate',
+                'LobbySystem.onDeactivate',
+                'ServerSystem.onDeactivate',
+                'ShutdownSystem.onActivate',
+                'ShutdownSystem.onPostActivate'
+            ]);
+
+            expect(stateTree.getActiveLeaves().map(leaf => leaf.name)).to.deep.equal(['shutdown']);
+        });
+
+        it('Should apply state changes requested for different regions in the same frame', () => {
+            const stateTree = createTree();
+
+            stateTree.systemFactory.flush();
+
+            stateTree.changeState('chatMuted');
+            stateTree.changeState('lobby');
+            stateTree.changeState('playing');
+            StateTree.commitStateChange(stateTree);
+
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'ChatOpenSystem.onDeactivate',
+                'ChatMutedSystem.onActivate',
+                'ChatMutedSystem.onPostActivate',
+                'LobbySystem.onDeactivate',
+                'PlayingSystem.onActivate',
+                'PlayingSystem.onPostActivate'
+            ]);
+        });
+    });
+
+    describe('transitions', () => {
+        function createTree() {
+            const stateTree = new StateTree(new MockFactory.MockFactory(), require('./transition_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+
+            return stateTree;
+        }
+
+        function send(stateTree, eventName) {
+            const handled = stateTree.send(eventName);
+
+            StateTree.commitStateChange(stateTree);
+
+            return handled;
+        }
+
+        it('Should transition using the event declared by the active leaf', () => {
+            const stateTree = createTree();
+
+            expect(send(stateTree, 'matchStarted')).to.be.true;
+            expect(stateTree.activeState.name).to.equal('playing');
+
+            expect(send(stateTree, 'matchEnded')).to.be.true;
+            expect(stateTree.activeState.name).to.equal('results');
+        });
+
+        it('Should search the parent hierarchy for a transition', () => {
+            const stateTree = createTree();
+
+            send(stateTree, 'matchStarted');
+
+            expect(send(stateTree, 'playerLeft')).to.be.true;
+            expect(stateTree.activeState.name).to.equal('lobby');
+        });
+
+        it('Should prefer the transition declared closest to the active leaf', () => {
+            const stateTree = createTree();
+
+            send(stateTree, 'matchStarted');
+            send(stateTree, 'matchEnded');
+
+            expect(send(stateTree, 'playerLeft')).to.be.true;
+            expect(stateTree.activeState.name).to.equal('shutdown');
+        });
+
+        it('Should ignore events without a transition', () => {
+            const stateTree = createTree();
+
+            expect(send(stateTree, 'matchEnded')).to.be.false;
+            expect(stateTree.activeState.name).to.equal('lobby');
+            expect(stateTree.pendingState).to.be.null;
+        });
+
+        it('Should throw an exception if a transition references an unknown state', () => {
+            const stateTree = new StateTree(new MockFactory.MockFactory(), {
+                name: 'InvalidTransition',
+                states: [
+                    {
+                        name: 'lobby',
+                        transitions: {
+                            matchStarted: 'missing'
+                        }
+                    }
+                ]
+            });
+
+            expect(() => {
+                stateTree.onInitialize(new InitArgs());
+            }).to.throw('Unable to resolve transition \'matchStarted\' in state \'lobby\', state \'missing\' could not be found.');
+        });
+    });
+
+    describe('transition guards', () => {
+        const SYSTEMS = ['LobbySystem', 'PlayingSystem', 'ResultsSystem'];
+
+        function createTree(factory, policy) {
+            const desc = Object.assign({}, require('./guard_test.json'));
+
+            desc.transitionPolicy = policy;
+
+            const stateTree = new StateTree(factory || MockFactory.createFactory(SYSTEMS), desc);
+
+            stateTree.onInitialize(new InitArgs());
+
+            return stateTree;
+        }
+
+        function changeState(stateTree, name) {
+            stateTree.changeState(name);
+            StateTree.commitStateChange(stateTree);
+        }
+
+        it('Should throw an exception for a transition that is not allowed', () => {
+            const stateTree = createTree();
+
+            changeState(stateTree, 'playing');
+            changeState(stateTree, 'results');
+
+            expect(() => {
+                changeState(stateTree, 'playing');
+            }).to.throw('StateTree - Transition from \'results\' to \'playing\' is not allowed by state \'results\'.');
+
+            expect(stateTree.activeState.name).to.equal('results');
+
+            changeState(stateTree, 'lobby');
+            expect(stateTree.activeState.name).to.equal('lobby');
+        });
+
+        it('Should fire an event for a transition rejected on the next tick', () => {
+            const stateTree = createTree();
+            const rejected = [];
+            const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+            stateTree.events.on(StateTree.Events.TRANSITION_REJECTED, e => rejected.push(e.reason));
+
+            changeState(stateTree, 'playing');
+            changeState(stateTree, 'results');
+            stateTree.changeState('playing');
+
+            return nextTick().then(() => {
+                expect(rejected).to.deep.equal(['StateTree - Transition from \'results\' to \'playing\' is not allowed by state \'results\'.']);
+                expect(stateTree.activeState.name).to.equal('results');
+
+                stateTree.changeState('lobby');
+
+                return nextTick();
+            }).then(() => {
+                expect(stateTree.activeState.name).to.equal('lobby');
+            });
+        });
+
+        it('Should report exceptions raised on the next tick through the applyFailed event', () => {
+            const factory = MockFactory.createFactory(SYSTEMS);
+            const errors = [];
+
+            factory.register('PlayingSystem', class extends MockFactory.RecordingSystem {
+                onActivate() {
+                    throw new Error('Activation failed');
+                }
+            });
+
+            const stateTree = createTree(factory);
+
+            stateTree.events.on(StateTree.Events.APPLY_FAILED, e => errors.push(e.error.message));
+            stateTree.changeState('playing');
+
+            return new Promise(resolve => setImmediate(resolve)).then(() => {
+                expect(errors).to.deep.equal(['Activation failed']);
+                expect(stateTree.activeState.name).to.equal('lobby');
+            });
+        });
+
+        it('Should fire an event for a rejected transition when using the notify policy', () => {
+            const stateTree = createTree(null, StateTree.POLICY_NOTIFY);
+            const rejected = [];
+
+            stateTree.events.on(StateTree.Events.TRANSITION_REJECTED, e => rejected.push(e));
+
+            changeState(stateTree, 'playing');
+            changeState(stateTree, 'results');
+            stateTree.systemFactory.flush();
+
+            changeState(stateTree, 'playing');
+
+            expect(stateTree.activeState.name).to.equal('results');
+            expect(stateTree.systemFactory.flush()).to.deep.equal([]);
+            expect(rejected.length).to.equal(1);
+            expect(rejected[0].source.name).to.equal('results');
+            expect(rejected[0].target.name).to.equal('playing');
+            expect(rejected[0].system).to.be.null;
+        });
+
+        it('Should consult the canExit and canEnter methods of systems', () => {
+            const factory = MockFactory.createFactory(SYSTEMS);
+
+            factory.register('PlayingSystem', class extends MockFactory.RecordingSystem {
+                canEnter(source) {
+                    return source !== null;
+                }
+
+                canExit(target) {
+                    return target.name !== 'lobby';
+                }
+            });
+
+            const stateTree = createTree(factory);
+
+            changeState(stateTree, 'playing');
+
+            expect(() => {
+                changeState(stateTree, 'lobby');
+            }).to.throw('StateTree - Transition from \'playing\' to \'lobby\' was rejected by system \'PlayingSystem\'.');
+
+            changeState(stateTree, 'results');
+            expect(stateTree.activeState.name).to.equal('results');
+        });
+
+        it('Should throw an exception for an unknown transition policy', () => {
+            expect(() => {
+                new StateTree(new MockFactory.MockFactory(), { name: 'InvalidPolicy', transitionPolicy: 'ignore' });
+            }).to.throw('StateTree.constructor - Unknown transition policy \'ignore\'.');
+        });
+    });
+
+    describe('transition payloads', () => {
+        const SYSTEMS = ['LobbySystem', 'PlayingSystem', 'ResultsSystem'];
+
+        function createTree() {
+            const factory = MockFactory.createFactory(SYSTEMS);
+            const received = [];
+
+            factory.register('LobbySystem', class extends MockFactory.RecordingSystem {
+                onDeactivate(transition) {
+                    received.push(['LobbySystem.onDeactivate', transition.target.name, transition.payload]);
+                }
+            });
+
+            factory.register('PlayingSystem', class extends MockFactory.RecordingSystem {
+                onActivate(transition) {
+                    received.push(['PlayingSystem.onActivate', transition.source.name, transition.payload]);
+                }
+
+                onPostActivate(transition) {
+                    received.push(['PlayingSystem.onPostActivate', transition.source.name, transition.payload]);
+                }
+            });
+
+            const stateTree = new StateTree(factory, require('./guard_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+            received.length = 0;
+
+            return {
+                stateTree: stateTree,
+                received: received
+            };
+        }
+
+        it('Should deliver the payload to the systems being entered and exited', () => {
+            const test = createTree();
+            const settings = { map: 'arena' };
+
+            test.stateTree.changeState('playing', settings);
+            StateTree.commitStateChange(test.stateTree);
+
+            expect(test.received).to.deep.equal([
+                ['LobbySystem.onDeactivate', 'playing', settings],
+                ['PlayingSystem.onActivate', 'lobby', settings],
+                ['PlayingSystem.onPostActivate', 'lobby', settings]
+            ]);
+        });
+
+        it('Should forward the payload from UpdateArgs.requestState', () => {
+            const test = createTree();
+            const updateArgs = new UpdateArgs();
+
+            updateArgs.stateTree = test.stateTree;
+            updateArgs.requestState('playing', 42);
+            StateTree.commitStateChange(test.stateTree);
+
+            expect(test.stateTree.activeState.name).to.equal('playing');
+            expect(test.received[1]).to.deep.equal(['PlayingSystem.onActivate', 'lobby', 42]);
+        });
+
+        it('Should forward the payload from StateRef.apply', () => {
+            const test = createTree();
+            const initArgs = new InitArgs();
+
+            initArgs.stateTree = test.stateTree;
+
+            const stateRef = new StateRef.ctor('next').extractValue('playing', initArgs);
+
+            stateRef.apply('payload');
+            StateTree.commitStateChange(test.stateTree);
+
+            expect(test.received[1]).to.deep.equal(['PlayingSystem.onActivate', 'lobby', 'payload']);
+        });
+
+        it('Should expose the transition being applied as the current transition', () => {
+            const factory = MockFactory.createFactory(SYSTEMS);
+            let current = null;
+
+            factory.register('PlayingSystem', class extends MockFactory.RecordingSystem {
+                onInitialize(initArgs) {
+                    this.stateTree = initArgs.stateTree;
+                }
+
+                onActivate() {
+                    current = this.stateTree.currentTransition;
+                }
+            });
+
+            const stateTree = new StateTree(factory, require('./guard_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+            stateTree.changeState('playing', 'payload');
+            StateTree.commitStateChange(stateTree);
+
+            expect(current.source.name).to.equal('lobby');
+            expect(current.target.name).to.equal('playing');
+            expect(current.payload).to.equal('payload');
+            expect(stateTree.currentTransition).to.be.null;
+        });
+    });
+
+    describe('history states', () => {
+        function createTree(desc) {
+            const stateTree = new StateTree(MockFactory.createFactory([]), desc || require('./history_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+
+            return stateTree;
+        }
+
+        function changeState(stateTree, name) {
+            stateTree.changeState(name);
+            StateTree.commitStateChange(stateTree);
+        }
+
+        it('Should enter the initial child of a requested state', () => {
+            const stateTree = createTree();
+
+            changeState(stateTree, 'settings');
+            expect(stateTree.activeState.name).to.equal('audio');
+        });
+
+        it('Should return to the last active child of a state with shallow history', () => {
+            const stateTree = createTree();
+
+            changeState(stateTree, 'video');
+            changeState(stateTree, 'title');
+            changeState(stateTree, 'settings');
+
+            expect(stateTree.activeState.name).to.equal('video');
+        });
+
+        it('Should return to the last active leaf of a state with deep history', () => {
+            const stateTree = createTree();
+
+            changeState(stateTree, 'options');
+            expect(stateTree.activeState.name).to.equal('resolution');
+
+            changeState(stateTree, 'brightness');
+            changeState(stateTree, 'title');
+            changeState(stateTree, 'options');
+
+            expect(stateTree.activeState.name).to.equal('brightness');
+        });
+
+        it('Should throw an exception if the requested state cannot choose a leaf', () => {
+            const stateTree = createTree();
+
+            expect(() => {
+                stateTree.changeState('hub');
+            }).to.throw('StateTree.changeState - Requested state \'hub\' was not a leaf node.');
+        });
+
+        it('Should throw an exception for an invalid history or initial declaration', () => {
+            const desc = JSON.parse(JSON.stringify(require('./history_test.json')));
+
+            desc.states[2].history = 'full';
+            expect(() => createTree(desc)).to.throw('GameState.constructor - Unknown history mode \'full\' in state \'settings\'.');
+
+            desc.states[2].history = 'shallow';
+            desc.states[2].initial = 'title';
+            expect(() => createTree(desc)).to.throw('Unable to resolve initial state in state \'settings\', state \'title\' is not a child.');
+        });
+    });
+
+    describe('navigation history', () => {
+        function createTree(desc) {
+            const stateTree = new StateTree(MockFactory.createFactory(['LobbySystem', 'PlayingSystem', 'ResultsSystem']), desc || require('./history_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+
+            return stateTree;
+        }
+
+        function commit(stateTree) {
+            StateTree.commitStateChange(stateTree);
+
+            return stateTree.activeState.name;
+        }
+
+        it('Should return to previously active states', () => {
+            const stateTree = createTree();
+
+            expect(stateTree.canGoBack()).to.be.false;
+
+            stateTree.changeState('video');
+            commit(stateTree);
+            stateTree.changeState('brightness');
+            commit(stateTree);
+
+            expect(stateTree.getNavigationHistory()).to.deep.equal(['title', 'video']);
+
+            stateTree.goBack();
+            expect(commit(stateTree)).to.equal('video');
+
+            stateTree.goBack();
+            expect(commit(stateTree)).to.equal('title');
+
+            expect(stateTree.canGoBack()).to.be.false;
+            expect(() => stateTree.goBack()).to.throw('StateTree.goBack - There is no previous state to return to.');
+        });
+
+        it('Should replace or clear the history when requested', () => {
+            const stateTree = createTree();
+
+            stateTree.changeState('video');
+            commit(stateTree);
+            stateTree.changeState('audio', null, StateTree.NAVIGATION_REPLACE);
+            commit(stateTree);
+
+            expect(stateTree.getNavigationHistory()).to.deep.equal(['title']);
+
+            stateTree.changeState('input', null, StateTree.NAVIGATION_CLEAR);
+            commit(stateTree);
+
+            expect(stateTree.canGoBack()).to.be.false;
+            expect(() => stateTree.changeState('title', null, 'forward')).to.throw('StateTree.changeState - Unknown navigation mode \'forward\'.');
+        });
+
+        it('Should only keep the number of entries specified by the navigation limit', () => {
+            const desc = Object.assign({}, require('./history_test.json'));
+
+            desc.navigationLimit = 2;
+
+            const stateTree = createTree(desc);
+
+            for (const name of ['video', 'audio', 'input']) {
+                stateTree.changeState(name);
+                commit(stateTree);
+            }
+
+            expect(stateTree.getNavigationHistory()).to.deep.equal(['video', 'audio']);
+
+            stateTree.clearNavigationHistory();
+            expect(stateTree.canGoBack()).to.be.false;
+        });
+
+        it('Should apply the lifecycle calls and guards of a normal transition', () => {
+            const desc = Object.assign({}, require('./guard_test.json'));
+
+            desc.transitionPolicy = StateTree.POLICY_NOTIFY;
+
+            const stateTree = createTree(desc);
+            const factory = stateTree.systemFactory;
+
+            stateTree.changeState('playing');
+            commit(stateTree);
+            factory.flush();
+
+            stateTree.goBack();
+            expect(commit(stateTree)).to.equal('lobby');
+            expect(factory.flush()).to.deep.equal([
+                'PlayingSystem.onDeactivate',
+                'LobbySystem.onActivate',
+                'LobbySystem.onPostActivate'
+            ]);
+
+            stateTree.changeState('playing');
+            commit(stateTree);
+            stateTree.changeState('results');
+            commit(stateTree);
+
+            // The results state only allows a transition to the lobby, so the entry must be kept
+            stateTree.goBack();
+            expect(commit(stateTree)).to.equal('results');
+            expect(stateTree.getNavigationHistory()).to.deep.equal(['lobby', 'playing']);
+        });
+    });
+
+    describe('system ordering', () => {
+        const SYSTEMS = ['NetworkSystem', 'RenderSystem', 'AISystem', 'PhysicsSystem'];
+
+        function createTree(factory, desc) {
+            const stateTree = new StateTree(factory || MockFactory.createFactory(SYSTEMS), desc || require('./order_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+
+            return stateTree;
+        }
+
+        function update(stateTree) {
+            stateTree.systemFactory.flush();
+            stateTree.onUpdate(new UpdateArgs());
+
+            return stateTree.systemFactory.flush().filter(entry => entry.endsWith('.onUpdate'));
+        }
+
+        it('Should update systems after the systems they depend upon', () => {
+            const stateTree = createTree();
+
+            expect(update(stateTree)).to.deep.equal([
+                'RenderSystem.onUpdate',
+                'PhysicsSystem.onUpdate',
+                'AISystem.onUpdate',
+                'NetworkSystem.onUpdate'
+            ]);
+        });
+
+        it('Should use the priority declared by the system type', () => {
+            const factory = MockFactory.createFactory(SYSTEMS);
+            const RenderSystem = class extends MockFactory.RecordingSystem {};
+
+            RenderSystem.priority = 10;
+            factory.register('RenderSystem', RenderSystem);
+
+            expect(update(createTree(factory))).to.deep.equal([
+                'PhysicsSystem.onUpdate',
+                'AISystem.onUpdate',
+                'NetworkSystem.onUpdate',
+                'RenderSystem.onUpdate'
+            ]);
+        });
+
+        it('Should deactivate and destroy systems in the reverse order', () => {
+            const stateTree = createTree();
+            const factory = stateTree.systemFactory;
+
+            factory.flush();
+            stateTree.changeState('menu');
+            StateTree.commitStateChange(stateTree);
+
+            expect(factory.flush()).to.deep.equal([
+                'NetworkSystem.onDeactivate',
+                'AISystem.onDeactivate',
+                'PhysicsSystem.onDeactivate',
+                'RenderSystem.onDeactivate'
+            ]);
+
+            return stateTree.onDestroy().then(() => {
+                expect(factory.flush()).to.deep.equal([
+                    'NetworkSystem.onDestroy',
+                    'AISystem.onDestroy',
+                    'PhysicsSystem.onDestroy',
+                    'RenderSystem.onDestroy'
+                ]);
+            });
+        });
+
+        it('Should throw an exception for cyclic or unknown dependencies', () => {
+            const desc = JSON.parse(JSON.stringify(require('./order_test.json')));
+
+            desc.states[1].systems[1] = {
+                name: 'PhysicsSystem',
+                after: ['NetworkSystem']
+            };
+
+            expect(() => createTree(null, desc)).to.throw('StateTree.onInitialize - Cyclic dependency detected between systems \'NetworkSystem\', \'AISystem\', \'PhysicsSystem\'.');
+
+            desc.states[1].systems[1].after = ['AudioSystem'];
+
+            expect(() => createTree(null, desc)).to.throw('StateTree.onInitialize - System \'PhysicsSystem\' is declared after unknown system \'AudioSystem\'.');
+        });
+    });
+
+    describe('snapshots', () => {
+        const SYSTEMS = ['LobbySystem', 'PlayingSystem', 'ResultsSystem'];
+
+        function createFactory() {
+            const factory = MockFactory.createFactory(SYSTEMS);
+
+            factory.register('PlayingSystem', class extends MockFactory.RecordingSystem {
+                serialize() {
+                    return { score: this.score };
+                }
+
+                deserialize(data) {
+                    this.log.push('PlayingSystem.deserialize');
+                    this.score = data.score;
+                }
+            });
+
+            return factory;
+        }
+
+        function createTree(snapshot) {
+            const stateTree = new StateTree(createFactory(), require('./guard_test.json'));
+
+            if (snapshot) {
+                stateTree.restore(snapshot);
+            }
+
+            stateTree.onInitialize(new InitArgs());
+
+            return stateTree;
+        }
+
+        function createSnapshot() {
+            const stateTree = createTree();
+
+            stateTree.changeState('playing');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemMap.get('PlayingSystem').score = 42;
+
+            return JSON.parse(JSON.stringify(stateTree.serialize()));
+        }
+
+        it('Should record the active branch and system data', () => {
+            const snapshot = createSnapshot();
+
+            expect(snapshot.version).to.equal(StateTree.SNAPSHOT_VERSION);
+            expect(snapshot.stack).to.deep.equal([{ state: 'playing', branchRoot: null, leaves: ['playing'] }]);
+            expect(snapshot.navigation).to.deep.equal(['lobby']);
+            expect(snapshot.systems).to.deep.equal({ PlayingSystem: { score: 42 } });
+        });
+
+        it('Should enter the saved branch instead of the main state', () => {
+            const stateTree = createTree(createSnapshot());
+
+            expect(stateTree.activeState.name).to.equal('playing');
+            expect(stateTree.systemMap.get('PlayingSystem').score).to.equal(42);
+            expect(stateTree.getNavigationHistory()).to.deep.equal(['lobby']);
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'LobbySystem.onInitialize',
+                'PlayingSystem.onInitialize',
+                'ResultsSystem.onInitialize',
+                'PlayingSystem.deserialize',
+                'PlayingSystem.onActivate',
+                'PlayingSystem.onPostActivate'
+            ]);
+        });
+
+        it('Should leave the active branch when restoring a running tree', () => {
+            const snapshot = createSnapshot();
+            const stateTree = createTree();
+
+            stateTree.systemFactory.flush();
+            stateTree.restore(snapshot);
+
+            expect(stateTree.activeState.name).to.equal('playing');
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'PlayingSystem.deserialize',
+                'LobbySystem.onDeactivate',
+                'PlayingSystem.onActivate',
+                'PlayingSystem.onPostActivate'
+            ]);
+        });
+
+        it('Should apply state changes that were outstanding when serialized', () => {
+            const stateTree = createTree();
+
+            stateTree.changeState('playing', { map: 'arena' });
+
+            const restored = createTree(stateTree.serialize());
+
+            expect(restored.activeState.name).to.equal('playing');
+        });
+
+        it('Should throw an exception for an invalid snapshot', () => {
+            const stateTree = createTree();
+            const snapshot = createSnapshot();
+
+            expect(() => stateTree.restore(null)).to.throw('StateTree.restore - No snapshot was provided.');
+            expect(() => stateTree.restore({ version: 99 })).to.throw('StateTree.restore - Unsupported snapshot version \'99\'.');
+
+            snapshot.stack[0].leaves = ['missing'];
+
+            expect(() => stateTree.restore(snapshot)).to.throw('StateTree.restore - Snapshot refers to unknown state \'missing\'.');
+            expect(stateTree.activeState.name).to.equal('lobby');
+        });
+    });
+
+    describe('reloading', () => {
+        const SYSTEMS = ['LobbySystem', 'PlayingSystem', 'ResultsSystem', 'ScoreSystem'];
+
+        function createTree() {
+            const factory = MockFactory.createFactory(SYSTEMS);
+            const PlayingSystem = class extends MockFactory.RecordingSystem {};
+
+            PlayingSystem.Parameters = [{
+                name: 'speed',
+                extractValue: value => value,
+                getDefaultValue: () => 1
+            }];
+
+            factory.register('PlayingSystem', PlayingSystem);
+
+            const stateTree = new StateTree(factory, require('./guard_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+            stateTree.changeState('playing');
+            StateTree.commitStateChange(stateTree);
+            factory.flush();
+
+            return stateTree;
+        }
+
+        function createDescription() {
+            const desc = JSON.parse(JSON.stringify(require('./guard_test.json')));
+
+            desc.states[0].children = ['lobby', 'playing'];
+            desc.states[2].systems = [
+                {
+                    name: 'PlayingSystem',
+                    params: {
+                        speed: 5
+                    }
+                },
+                'ScoreSystem'
+            ];
+            desc.states.splice(3, 1);
+
+            return desc;
+        }
+
+        it('Should keep existing systems and the active leaf', () => {
+            const stateTree = createTree();
+            const playingSystem = stateTree.systemMap.get('PlayingSystem');
+
+            stateTree.reload(createDescription());
+
+            expect(stateTree.activeState.name).to.equal('playing');
+            expect(stateTree.getState('results')).to.be.undefined;
+            expect(stateTree.systemMap.get('PlayingSystem')).to.equal(playingSystem);
+            expect(playingSystem.speed).to.equal(5);
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'PlayingSystem.onDeactivate',
+                'ResultsSystem.onDestroy',
+                'ScoreSystem.onInitialize',
+                'PlayingSystem.onActivate',
+                'ScoreSystem.onActivate',
+                'PlayingSystem.onPostActivate',
+                'ScoreSystem.onPostActivate'
+            ]);
+        });
+
+        it('Should enter the main state if the active leaf was removed', () => {
+            const stateTree = createTree();
+            const desc = createDescription();
+
+            desc.states[0].children = ['lobby'];
+            desc.states.splice(2, 1);
+
+            stateTree.reload(desc);
+
+            expect(stateTree.activeState.name).to.equal('lobby');
+            expect(stateTree.systemMap.has('PlayingSystem')).to.be.false;
+        });
+
+        it('Should apply the transition settings of the new description', () => {
+            const stateTree = createTree();
+            const desc = Object.assign(createDescription(), {
+                transitionPolicy: 'notify',
+                transitionTimeout: 250,
+                navigationLimit: 4
+            });
+
+            stateTree.reload(desc);
+
+            expect(stateTree.transitionPolicy).to.equal('notify');
+            expect(stateTree.transitionTimeout).to.equal(250);
+            expect(stateTree.navigationLimit).to.equal(4);
+
+            desc.transitionPolicy = 'ignore';
+
+            expect(() => stateTree.reload(desc)).to.throw('StateTree.reload - Unknown transition policy \'ignore\'.');
+            expect(stateTree.transitionPolicy).to.equal('notify');
+
+            stateTree.reload(createDescription());
+
+            expect(stateTree.transitionPolicy).to.equal('throw');
+            expect(stateTree.transitionTimeout).to.equal(0);
+            expect(stateTree.navigationLimit).to.equal(20);
+        });
+
+        it('Should keep the previous description if the new one is invalid', () => {
+            const stateTree = createTree();
+            const desc = createDescription();
+
+            desc.states[0].children.push('missing');
+
+            expect(() => stateTree.reload(desc)).to.throw('Unable to resolve hierarchy, state \'missing\' could not be found.');
+
+            expect(stateTree.activeState.name).to.equal('playing');
+            expect(stateTree.getState('results')).to.not.be.undefined;
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'PlayingSystem.onDeactivate',
+                'PlayingSystem.onActivate',
+                'PlayingSystem.onPostActivate'
+            ]);
+        });
+
+        it('Should keep the active leaf of every region', () => {
+            const factory = MockFactory.createFactory([
+                'ServerSystem', 'LobbySystem', 'PlayingSystem', 'ChatOpenSystem',
+                'ChatMutedSystem', 'ClockSystem', 'ShutdownSystem'
+            ]);
+            const stateTree = new StateTree(factory, require('./parallel_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+            stateTree.changeState('playing');
+            StateTree.commitStateChange(stateTree);
+            stateTree.changeState('chatMuted');
+            StateTree.commitStateChange(stateTree);
+
+            stateTree.reload(JSON.parse(JSON.stringify(require('./parallel_test.json'))));
+
+            expect(stateTree.activeState.name).to.equal('chatMuted');
+            expect(stateTree.getActiveLeaves().map(leaf => leaf.name)).to.deep.equal(['playing', 'chatMuted', 'clock']);
+        });
+
+        it('Should keep overlays and the navigation history of states that still exist', () => {
+            const factory = MockFactory.createFactory(['GameSystem', 'PlaySystem', 'PauseSystem', 'InventorySystem', 'TitleSystem']);
+            const stateTree = new StateTree(factory, require('./overlay_test.json'));
+            const desc = JSON.parse(JSON.stringify(require('./overlay_test.json')));
+
+            stateTree.onInitialize(new InitArgs());
+
+            for (const name of ['title', 'play']) {
+                stateTree.changeState(name);
+                StateTree.commitStateChange(stateTree);
+            }
+
+            stateTree.pushState('pause');
+            StateTree.commitStateChange(stateTree);
+            factory.flush();
+
+            stateTree.reload(desc);
+
+            expect(stateTree.activeState.name).to.equal('pause');
+            expect(stateTree.stateStack.map(entry => entry.leaves.map(leaf => leaf.name))).to.deep.equal([['play'], ['pause']]);
+            expect(stateTree.getNavigationHistory()).to.deep.equal(['play', 'title']);
+            expect(factory.flush()).to.deep.equal([
+                'PauseSystem.onDeactivate',
+                'PlaySystem.onDeactivate',
+                'GameSystem.onDeactivate',
+                'GameSystem.onActivate',
+                'PlaySystem.onActivate',
+                'PauseSystem.onActivate',
+                'GameSystem.onPostActivate',
+                'PlaySystem.onPostActivate',
+                'PauseSystem.onPostActivate'
+            ]);
+
+            desc.states.splice(4, 2);
+
+            stateTree.reload(desc);
+
+            expect(stateTree.activeState.name).to.equal('pause');
+            expect(stateTree.getNavigationHistory()).to.deep.equal(['play']);
+        });
+    });
+
+    describe('lifecycle events', () => {
+        const SYSTEMS = ['LobbySystem', 'PlayingSystem', 'ResultsSystem'];
+        const EVENTS = ['beforeTransition', 'afterTransition', 'stateEntered', 'stateExited', 'systemInitialized', 'destroyed'];
+
+        function createTree(received) {
+            const stateTree = new StateTree(MockFactory.createFactory(SYSTEMS), require('./guard_test.json'));
+
+            for (const eventName of EVENTS) {
+                stateTree.events.on(eventName, e => {
+                    received.push({
+                        event: eventName,
+                        source: e.source ? e.source.name : null,
+                        target: e.target ? e.target.name : null,
+                        branchRoot: e.branchRoot ? e.branchRoot.name : null,
+                        state: e.state ? e.state.name : null,
+                        system: e.name || null
+                    });
+                });
+            }
+
+            return stateTree;
+        }
+
+        it('Should report each system as it is initialized', () => {
+            const received = [];
+
+            createTree(received).onInitialize(new InitArgs());
+
+            expect(received.filter(e => e.event === 'systemInitialized').map(e => e.system)).to.deep.equal(SYSTEMS);
+            expect(received.filter(e => e.event !== 'systemInitialized')).to.deep.equal([
+                { event: 'beforeTransition', source: null, target: 'lobby', branchRoot: null, state: null, system: null },
+                { event: 'stateEntered', source: null, target: 'lobby', branchRoot: null, state: 'match', system: null },
+                { event: 'stateEntered', source: null, target: 'lobby', branchRoot: null, state: 'lobby', system: null },
+                { event: 'afterTransition', source: null, target: 'lobby', branchRoot: null, state: null, system: null }
+            ]);
+        });
+
+        it('Should report the states exited and entered by a state change', () => {
+            const received = [];
+            const stateTree = createTree(received);
+
+            stateTree.onInitialize(new InitArgs());
+            received.length = 0;
+
+            stateTree.changeState('playing');
+            StateTree.commitStateChange(stateTree);
+
+            expect(received).to.deep.equal([
+                { event: 'beforeTransition', source: 'lobby', target: 'playing', branchRoot: 'match', state: null, system: null },
+                { event: 'stateExited', source: 'lobby', target: 'playing', branchRoot: 'match', state: 'lobby', system: null },
+                { event: 'stateEntered', source: 'lobby', target: 'playing', branchRoot: 'match', state: 'playing', system: null },
+                { event: 'afterTransition', source: 'lobby', target: 'playing', branchRoot: 'match', state: null, system: null }
+            ]);
+        });
+
+        it('Should not report a state change that was rejected', () => {
+            const received = [];
+            const stateTree = createTree(received);
+
+            stateTree.onInitialize(new InitArgs());
+            stateTree.changeState('results');
+            StateTree.commitStateChange(stateTree);
+            received.length = 0;
+
+            stateTree.changeState('playing');
+            expect(() => StateTree.commitStateChange(stateTree)).to.throw();
+            expect(received).to.deep.equal([]);
+        });
+
+        it('Should report when the state tree has been destroyed', () => {
+            const received = [];
+            const stateTree = createTree(received);
+
+            stateTree.onInitialize(new InitArgs());
+            received.length = 0;
+
+            return stateTree.onDestroy().then(() => {
+                expect(received).to.deep.equal([
+                    { event: 'stateExited', source: 'lobby', target: null, branchRoot: null, state: 'lobby', system: null },
+                    { event: 'stateExited', source: 'lobby', target: null, branchRoot: null, state: 'match', system: null },
+                    { event: 'destroyed', source: 'lobby', target: null, branchRoot: null, state: null, system: null }
+                ]);
+            });
+        });
+    });
+
+    describe('error policies', () => {
+        const SYSTEMS = ['LobbySystem', 'PlayingSystem', 'FailedSystem'];
+
+        function createTree(faultyDesc, treeDesc) {
+            const factory = MockFactory.createFactory(SYSTEMS);
+
+            factory.register('FaultySystem', class extends MockFactory.RecordingSystem {
+                onActivate() {
+                    super.onActivate();
+
+                    if (this.failActivate) {
+                        throw new Error('Activation failed');
+                    }
+                }
+
+                onUpdate() {
+                    super.onUpdate();
+
+                    if (this.failUpdate) {
+                        throw new Error('Update failed');
+                    }
+                }
+            });
+
+            const desc = Object.assign({
+                name: 'error_test',
+                main: 'lobby',
+                states: [
+                    { name: 'match', children: ['lobby', 'playing', 'failed'] },
+                    { name: 'lobby', systems: ['LobbySystem'] },
+                    { name: 'playing', systems: [Object.assign({ name: 'FaultySystem' }, faultyDesc), 'PlayingSystem'] },
+                    { name: 'failed', systems: ['FailedSystem'] }
+                ]
+            }, treeDesc);
+
+            const stateTree = new StateTree(factory, desc);
+
+            stateTree.onInitialize(new InitArgs());
+            stateTree.changeState('playing');
+            StateTree.commitStateChange(stateTree);
+            factory.flush();
+
+            return stateTree;
+        }
+
+        function update(stateTree) {
+            stateTree.onUpdate(new UpdateArgs());
+
+            return stateTree.systemFactory.flush();
+        }
+
+        function withoutLogging(cb) {
+            const log = console.log;
+
+            console.log = () => {};
+
+            try {
+                return cb();
+            } finally {
+                console.log = log;
+            }
+        }
+
+        it('Should pass exceptions on to the caller by default', () => {
+            const stateTree = createTree();
+            const errors = [];
+
+            stateTree.onError = e => errors.push([e.name, e.state.name, e.method, e.policy, e.error.message]);
+            stateTree.systemMap.get('FaultySystem').failUpdate = true;
+
+            expect(() => update(stateTree)).to.throw('Update failed');
+            expect(errors).to.deep.equal([['FaultySystem', 'playing', 'onUpdate', 'throw', 'Update failed']]);
+        });
+
+        it('Should continue with the next system when the exception is logged', () => {
+            const stateTree = createTree({ errorPolicy: 'log' });
+
+            stateTree.systemMap.get('FaultySystem').failUpdate = true;
+
+            expect(withoutLogging(() => update(stateTree))).to.deep.equal([
+                'FaultySystem.onUpdate',
+                'PlayingSystem.onUpdate',
+                'FaultySystem.onPostUpdate',
+                'PlayingSystem.onPostUpdate'
+            ]);
+        });
+
+        it('Should disable a system until it is enabled again', () => {
+            const stateTree = createTree(null, { errorPolicy: 'disable' });
+
+            stateTree.systemMap.get('FaultySystem').failUpdate = true;
+
+            expect(update(stateTree)).to.deep.equal(['FaultySystem.onUpdate', 'PlayingSystem.onUpdate', 'PlayingSystem.onPostUpdate']);
+            expect(stateTree.isSystemDisabled('FaultySystem')).to.equal(true);
+            expect(update(stateTree)).to.deep.equal(['PlayingSystem.onUpdate', 'PlayingSystem.onPostUpdate']);
+
+            stateTree.enableSystem('FaultySystem');
+            stateTree.systemMap.get('FaultySystem').failUpdate = false;
+
+            expect(stateTree.isSystemDisabled('FaultySystem')).to.equal(false);
+            expect(update(stateTree)).to.deep.equal(['FaultySystem.onUpdate', 'PlayingSystem.onUpdate', 'FaultySystem.onPostUpdate', 'PlayingSystem.onPostUpdate']);
+        });
+
+        it('Should apply the error policy when a state is updated directly', () => {
+            const stateTree = createTree(null, { errorPolicy: 'disable' });
+
+            stateTree.systemMap.get('FaultySystem').failUpdate = true;
+            stateTree.getState('playing').onUpdate(new UpdateArgs());
+
+            expect(stateTree.isSystemDisabled('FaultySystem')).to.equal(true);
+            expect(stateTree.systemFactory.flush()).to.deep.equal(['FaultySystem.onUpdate', 'PlayingSystem.onUpdate']);
+        });
+
+        it('Should change to the error state', () => {
+            const stateTree = createTree(null, { errorPolicy: 'transition', errorState: 'failed' });
+            const payloads = [];
+
+            stateTree.events.on('afterTransition', e => payloads.push(e.payload));
+            stateTree.systemMap.get('FaultySystem').failUpdate = true;
+
+            update(stateTree);
+
+            expect(stateTree.activeState.name).to.equal('failed');
+            expect(payloads[0].system).to.equal('FaultySystem');
+            expect(payloads[0].method).to.equal('onUpdate');
+            expect(payloads[0].error.message).to.equal('Update failed');
+        });
+
+        it('Should prefer the policy declared by the system', () => {
+            const stateTree = createTree({ errorPolicy: 'disable' }, { errorPolicy: 'transition', errorState: 'failed' });
+
+            stateTree.systemMap.get('FaultySystem').failUpdate = true;
+            update(stateTree);
+
+            expect(stateTree.activeState.name).to.equal('playing');
+            expect(stateTree.isSystemDisabled('FaultySystem')).to.equal(true);
+        });
+
+        it('Should roll back a state change when an exception is passed on', () => {
+            const stateTree = createTree();
+
+            stateTree.changeState('lobby');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemFactory.flush();
+
+            stateTree.systemMap.get('FaultySystem').failActivate = true;
+            stateTree.changeState('playing');
+
+            expect(() => StateTree.commitStateChange(stateTree)).to.throw('Activation failed');
+            expect(stateTree.activeState.name).to.equal('lobby');
+            expect(stateTree.stateStack[0].leaves.map(leaf => leaf.name)).to.deep.equal(['lobby']);
+            expect(stateTree.currentTransition).to.equal(null);
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'LobbySystem.onDeactivate',
+                'FaultySystem.onActivate',
+                'LobbySystem.onActivate',
+                'LobbySystem.onPostActivate'
+            ]);
+        });
+
+        it('Should throw if a policy is unknown or has no error state', () => {
+            const factory = MockFactory.createFactory(SYSTEMS);
+
+            expect(() => new StateTree(factory, { name: 'test', errorPolicy: 'ignore', states: [{ name: 'lobby' }] }))
+                .to.throw('StateTree.constructor - Unknown error policy \'ignore\'.');
+
+            const stateTree = new StateTree(factory, { name: 'test', states: [{ name: 'lobby', systems: [{ name: 'LobbySystem', errorPolicy: 'transition' }] }] });
+
+            expect(() => stateTree.onInitialize(new InitArgs()))
+                .to.throw('StateTree.onInitialize - System \'LobbySystem\' uses the \'transition\' error policy, but no error state was declared.');
+        });
+    });
+
+    describe('event dispatch', () => {
+        const SYSTEMS = ['ServerSystem', 'LobbySystem', 'PlayingSystem', 'ChatOpenSystem', 'ChatMutedSystem', 'ClockSystem', 'ShutdownSystem'];
+
+        function createTree() {
+            const factory = MockFactory.createFactory(SYSTEMS);
+
+            for (const name of SYSTEMS) {
+                factory.register(name, class extends MockFactory.RecordingSystem {
+                    onEvent_ping(data, context) {
+                        this.log.push(this.typeName + ' ' + context.state.name);
+
+                        if (data && data.consumer === this.typeName) {
+                            context.consume();
+                        }
+                    }
+                });
+            }
+
+            class ClockSystem extends MockFactory.RecordingSystem {
+                onTick(data, context) {
+                    this.log.push('ClockSystem.onTick ' + context.phase);
+                }
+            }
+
+            ClockSystem.EventHandlers = { ping: 'onTick' };
+            factory.register('ClockSystem', ClockSystem);
+
+            const stateTree = new StateTree(factory, require('./parallel_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+            factory.flush();
+
+            return {
+                factory: factory,
+                stateTree: stateTree
+            };
+        }
+
+        it('Should deliver events from the active leaves to the root', () => {
+            const test = createTree();
+
+            expect(test.stateTree.dispatch('ping')).to.equal(false);
+            expect(test.factory.flush()).to.deep.equal([
+                'LobbySystem lobby',
+                'ChatOpenSystem chatOpen',
+                'ClockSystem.onTick bubble',
+                'ServerSystem server'
+            ]);
+        });
+
+        it('Should deliver events from the root to the active leaves', () => {
+            const test = createTree();
+
+            test.stateTree.dispatch('ping', null, StateTree.DISPATCH_CAPTURE);
+            expect(test.factory.flush()).to.deep.equal([
+                'ServerSystem server',
+                'ClockSystem.onTick capture',
+                'LobbySystem lobby',
+                'ChatOpenSystem chatOpen'
+            ]);
+        });
+
+        it('Should stop delivering an event once it is consumed', () => {
+            const test = createTree();
+
+            expect(test.stateTree.dispatch('ping', { consumer: 'ChatOpenSystem' })).to.equal(true);
+            expect(test.factory.flush()).to.deep.equal(['LobbySystem lobby', 'ChatOpenSystem chatOpen']);
+
+            expect(test.stateTree.dispatch('unhandled')).to.equal(false);
+            expect(() => test.stateTree.dispatch('ping', null, 'sideways')).to.throw('StateTree.dispatch - Unknown dispatch phase \'sideways\'.');
+        });
+    });
+
+    describe('transient systems', () => {
+        const SYSTEMS = ['ServerSystem', 'LobbySystem', 'PhysicsSystem'];
+
+        function createTree(extraSystems) {
+            const factory = MockFactory.createFactory(SYSTEMS);
+            const PlayingSystem = class extends MockFactory.RecordingSystem {
+                onInitialize(initArgs) {
+                    super.onInitialize();
+
+                    initArgs.scheduler.every(1, () => this.log.push('PlayingSystem.tick'));
+                }
+
+                serialize() {
+                    return { score: this.score };
+                }
+
+                deserialize(data) {
+                    this.log.push('PlayingSystem.deserialize');
+                    this.score = data.score;
+                }
+            };
+
+            PlayingSystem.Parameters = [new SystemRef.ctor('server'), new SystemRef.ctor('physics')];
+            factory.register('PlayingSystem', PlayingSystem);
+
+            const ScoreSystem = class extends MockFactory.RecordingSystem {};
+
+            ScoreSystem.Parameters = [new SystemRef.ctor('physics')];
+            factory.register('ScoreSystem', ScoreSystem);
+
+            const stateTree = new StateTree(factory, {
+                name: 'transient_test',
+                main: 'lobby',
+                states: [
+                    { name: 'match', children: ['lobby', 'playing'], systems: ['ServerSystem'] },
+                    { name: 'lobby', systems: ['LobbySystem'] },
+                    {
+                        name: 'playing',
+                        systems: [
+                            { name: 'PlayingSystem', lifetime: 'active', params: { server: 'ServerSystem', physics: 'PhysicsSystem' } },
+                            { name: 'PhysicsSystem', lifetime: 'active' }
+                        ].concat(extraSystems || [])
+                    }
+                ]
+            });
+
+            return stateTree;
+        }
+
+        function changeState(stateTree, name) {
+            stateTree.changeState(name);
+            StateTree.commitStateChange(stateTree);
+
+            return stateTree.systemFactory.flush();
+        }
+
+        it('Should create transient systems when their state is entered and destroy them when it is exited', () => {
+            const stateTree = createTree();
+            const playing = stateTree.getState('playing');
+
+            stateTree.onInitialize(new InitArgs());
+            stateTree.systemFactory.flush();
+
+            expect(stateTree.systemMap.has('PlayingSystem')).to.equal(false);
+            expect(playing.findSystem('PlayingSystem')).to.equal(null);
+
+            expect(changeState(stateTree, 'playing')).to.deep.equal([
+                'LobbySystem.onDeactivate',
+                'PlayingSystem.onInitialize',
+                'PhysicsSystem.onInitialize',
+                'PlayingSystem.onActivate',
+                'PhysicsSystem.onActivate',
+                'PlayingSystem.onPostActivate',
+                'PhysicsSystem.onPostActivate'
+            ]);
+
+            const system = playing.findSystem('PlayingSystem');
+
+            expect(stateTree.systemMap.get('PlayingSystem')).to.equal(system);
+            expect(system.server).to.equal(stateTree.systemMap.get('ServerSystem'));
+            expect(system.physics).to.equal(stateTree.systemMap.get('PhysicsSystem'));
+
+            stateTree.onUpdate(new UpdateArgs());
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'ServerSystem.onUpdate',
+                'PlayingSystem.onUpdate',
+                'PhysicsSystem.onUpdate',
+                'ServerSystem.onPostUpdate',
+                'PlayingSystem.onPostUpdate',
+                'PhysicsSystem.onPostUpdate'
+            ]);
+
+            expect(changeState(stateTree, 'lobby')).to.deep.equal([
+                'PhysicsSystem.onDeactivate',
+                'PlayingSystem.onDeactivate',
+                'PhysicsSystem.onDestroy',
+                'PlayingSystem.onDestroy',
+                'LobbySystem.onActivate',
+                'LobbySystem.onPostActivate'
+            ]);
+
+            expect(stateTree.systemMap.has('PlayingSystem')).to.equal(false);
+            expect(playing.findSystem('PlayingSystem')).to.equal(null);
+            expect(stateTree.scheduler.count).to.equal(0);
+
+            changeState(stateTree, 'playing');
+            expect(playing.findSystem('PlayingSystem')).to.not.equal(system);
+        });
+
+        it('Should supply saved data to transient systems as they are created', () => {
+            const source = createTree();
+
+            source.onInitialize(new InitArgs());
+            changeState(source, 'playing');
+            source.systemMap.get('PlayingSystem').score = 42;
+
+            const snapshot = JSON.parse(JSON.stringify(source.serialize()));
+            const stateTree = createTree();
+
+            stateTree.onInitialize(new InitArgs());
+            stateTree.systemFactory.flush();
+            stateTree.restore(snapshot);
+
+            expect(stateTree.systemFactory.flush()).to.deep.equal([
+                'LobbySystem.onDeactivate',
+                'ServerSystem.onDeactivate',
+                'PlayingSystem.onInitialize',
+                'PlayingSystem.deserialize',
+                'PhysicsSystem.onInitialize',
+                'ServerSystem.onActivate',
+                'PlayingSystem.onActivate',
+                'PhysicsSystem.onActivate',
+                'ServerSystem.onPostActivate',
+                'PlayingSystem.onPostActivate',
+                'PhysicsSystem.onPostActivate'
+            ]);
+
+            expect(stateTree.systemMap.get('PlayingSystem').score).to.equal(42);
+        });
+
+        it('Should reject references to transient systems that do not exist', () => {
+            expect(() => createTree([{ name: 'ScoreSystem', params: { physics: 'PhysicsSystem' } }]).onInitialize(new InitArgs()))
+                .to.throw('SystemRef.extractValue - Referenced system object \'PhysicsSystem\' is transient and does not currently exist.');
+
+            expect(() => new StateTree(MockFactory.createFactory(SYSTEMS), { name: 'test', states: [{ name: 'lobby', systems: [{ name: 'LobbySystem', lifetime: 'match' }] }] }))
+                .to.throw('GameState.constructor - Unknown lifetime \'match\' for system \'LobbySystem\' in state \'lobby\'.');
+        });
+    });
+
+    describe('runtime changes', () => {
+        const SYSTEMS = ['LobbySystem', 'PlayingSystem', 'ResultsSystem', 'BonusSystem', 'ChatSystem', 'StatsSystem'];
+
+        function createTree() {
+            const factory = MockFactory.createFactory(SYSTEMS);
+            const stateTree = new StateTree(factory, require('./guard_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+            factory.flush();
+
+            return stateTree;
+        }
+
+        function changeState(stateTree, name) {
+            stateTree.changeState(name);
+            StateTree.commitStateChange(stateTree);
+
+            return stateTree.systemFactory.flush();
+        }
+
+        it('Should add states and systems while the tree is running', () => {
+            const stateTree = createTree();
+            const factory = stateTree.systemFactory;
+
+            stateTree.addState({ name: 'bonus', systems: ['BonusSystem'] }, 'match');
+            expect(factory.flush()).to.deep.equal(['BonusSystem.onInitialize']);
+
+            stateTree.getState('lobby').addSystem('ChatSystem');
+            expect(factory.flush()).to.deep.equal(['ChatSystem.onInitialize', 'ChatSystem.onActivate', 'ChatSystem.onPostActivate']);
+
+            stateTree.addSystem('bonus', { name: 'StatsSystem', lifetime: 'active' });
+            expect(factory.flush()).to.deep.equal([]);
+
+            expect(changeState(stateTree, 'bonus')).to.deep.equal([
+                'ChatSystem.onDeactivate',
+                'LobbySystem.onDeactivate',
+                'StatsSystem.onInitialize',
+                'BonusSystem.onActivate',
+                'StatsSystem.onActivate',
+                'BonusSystem.onPostActivate',
+                'StatsSystem.onPostActivate'
+            ]);
+
+            expect(stateTree.getState('bonus').parent).to.equal(stateTree.getState('match'));
+
+            stateTree.onUpdate(new UpdateArgs());
+            expect(factory.flush()).to.deep.equal([
+                'BonusSystem.onUpdate',
+                'StatsSystem.onUpdate',
+                'BonusSystem.onPostUpdate',
+                'StatsSystem.onPostUpdate'
+            ]);
+
+            stateTree.getState('bonus').removeSystem('BonusSystem');
+            expect(factory.flush()).to.deep.equal(['BonusSystem.onDeactivate', 'BonusSystem.onDestroy']);
+            expect(stateTree.systemMap.has('BonusSystem')).to.equal(false);
+
+            stateTree.onUpdate(new UpdateArgs());
+            expect(factory.flush()).to.deep.equal(['StatsSystem.onUpdate', 'StatsSystem.onPostUpdate']);
+        });
+
+        it('Should remove states that are not active', () => {
+            const stateTree = createTree();
+            const factory = stateTree.systemFactory;
+
+            changeState(stateTree, 'playing');
+            stateTree.removeState('results');
+
+            expect(factory.flush()).to.deep.equal(['ResultsSystem.onDestroy']);
+            expect(stateTree.getState('results')).to.equal(undefined);
+            expect(stateTree.getState('match').childNames).to.deep.equal(['lobby', 'playing']);
+            expect(stateTree.systemMap.has('ResultsSystem')).to.equal(false);
+
+            expect(() => stateTree.removeState('lobby')).to.throw('StateTree.removeState - Cannot remove state \'lobby\', it contains the main, loading or error state of the tree.');
+
+            stateTree.addState({ name: 'bonus', transitions: { finished: 'playing' } }, 'match');
+            changeState(stateTree, 'lobby');
+
+            expect(() => stateTree.removeState('playing')).to.throw('StateTree.removeState - Cannot remove state \'playing\', state \'bonus\' refers to state \'playing\'.');
+
+            stateTree.removeState('bonus');
+            stateTree.addSystem('lobby', { name: 'StatsSystem', after: ['PlayingSystem'] });
+            factory.flush();
+
+            expect(() => stateTree.removeState('playing')).to.throw('StateTree.removeState - Cannot remove state \'playing\', system \'StatsSystem\' is declared after system \'PlayingSystem\'.');
+            expect(stateTree.getState('playing')).to.not.equal(undefined);
+            expect(stateTree.systemMap.has('PlayingSystem')).to.equal(true);
+            expect(factory.flush()).to.deep.equal([]);
+
+            stateTree.removeSystem('StatsSystem');
+            stateTree.removeState('playing');
+
+            expect(stateTree.getNavigationHistory()).to.deep.equal(['lobby']);
+        });
+
+        it('Should reject changes that would affect the active leaves', () => {
+            const stateTree = createTree();
+
+            changeState(stateTree, 'playing');
+
+            expect(() => stateTree.removeState('playing')).to.throw('StateTree.removeState - Cannot remove state \'playing\' while it is active.');
+            expect(() => stateTree.removeState('match')).to.throw('StateTree.removeState - Cannot remove state \'match\' while it is active.');
+            expect(() => stateTree.addState({ name: 'paused' }, 'playing')).to.throw('StateTree.addState - Cannot add state \'paused\' to active state \'playing\', as it would change the active leaves.');
+            expect(() => stateTree.addSystem('playing', 'LobbySystem')).to.throw('StateTree.addSystem - System \'LobbySystem\' already exists.');
+
+            expect(stateTree.getState('paused')).to.equal(undefined);
+        });
+    });
+
+    describe('asynchronous lifecycle', () => {
+        const SYSTEMS = ['LobbySystem', 'LevelSystem', 'LoadingSystem'];
+
+        function createDeferred() {
+            const deferred = {};
+
+            deferred.promise = new Promise((resolve, reject) => {
+                deferred.resolve = resolve;
+                deferred.reject = reject;
+            });
+
+            return deferred;
+        }
+
+        function flushPromises() {
+            return new Promise(resolve => setImmediate(resolve));
+        }
+
+        function createTree(deferred, desc) {
+            const factory = MockFactory.createFactory(SYSTEMS);
+
+            factory.register('LevelSystem', class extends MockFactory.RecordingSystem {
+                onActivate() {
+                    super.onActivate();
+
+                    return deferred.promise;
+                }
+            });
+
+            const stateTree = new StateTree(factory, desc || require('./async_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+            factory.flush();
+
+            return stateTree;
+        }
+
+        function update(stateTree) {
+            stateTree.onUpdate(new UpdateArgs());
+
+            return stateTree.systemFactory.flush();
+        }
+
+        it('Should wait for systems to be activated before beginning updates', () => {
+            const deferred = createDeferred();
+            const stateTree = createTree(deferred, Object.assign({}, require('./async_test.json'), { loading: null }));
+
+            stateTree.changeState('level');
+
+            expect(update(stateTree)).to.deep.equal([
+                'LobbySystem.onDeactivate',
+                'LevelSystem.onActivate'
+            ]);
+
+            expect(stateTree.currentTransition.target.name).to.equal('level');
+            expect(update(stateTree)).to.deep.equal([]);
+
+            deferred.resolve();
+
+            return flushPromises().then(() => {
+                expect(stateTree.currentTransition).to.be.null;
+                expect(update(stateTree)).to.deep.equal([
+                    'LevelSystem.onPostActivate',
+                    'LevelSystem.onUpdate',
+                    'LevelSystem.onPostUpdate'
+                ]);
+            });
+        });
+
+        it('Should update the loading state while waiting for systems', () => {
+            const deferred = createDeferred();
+            const stateTree = createTree(deferred);
+
+            stateTree.changeState('level');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemFactory.flush();
+
+            expect(update(stateTree)).to.deep.equal([
+                'LoadingSystem.onUpdate',
+                'LoadingSystem.onPostUpdate'
+            ]);
+
+            deferred.resolve();
+
+            return flushPromises().then(() => {
+                expect(stateTree.systemFactory.flush()).to.deep.equal([
+                    'LevelSystem.onPostActivate',
+                    'LoadingSystem.onDeactivate'
+                ]);
+
+                expect(stateTree.isActive(stateTree.getState('loading'))).to.be.false;
+            });
+        });
+
+        it('Should apply the error policy to systems of the loading state', () => {
+            const deferred = createDeferred();
+            const desc = JSON.parse(JSON.stringify(require('./async_test.json')));
+            const errors = [];
+
+            desc.states[2].errorPolicy = 'disable';
+
+            const stateTree = createTree(deferred, desc);
+
+            stateTree.onError = e => errors.push([e.name, e.state.name, e.method, e.policy]);
+            stateTree.systemMap.get('LoadingSystem').onUpdate = () => {
+                throw new Error('Update failed');
+            };
+
+            stateTree.changeState('level');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemFactory.flush();
+
+            expect(update(stateTree)).to.deep.equal([]);
+            expect(update(stateTree)).to.deep.equal([]);
+            expect(errors).to.deep.equal([['LoadingSystem', 'loading', 'onUpdate', 'disable']]);
+
+            deferred.resolve();
+
+            return flushPromises();
+        });
+
+        it('Should roll back to the previous state if activation fails', () => {
+            const deferred = createDeferred();
+            const stateTree = createTree(deferred);
+            const failures = [];
+
+            stateTree.events.on(StateTree.Events.TRANSITION_FAILED, e => failures.push(e));
+
+            stateTree.changeState('level');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemFactory.flush();
+
+            deferred.reject(new Error('Level could not be loaded.'));
+
+            return flushPromises().then(() => {
+                expect(stateTree.systemFactory.flush()).to.deep.equal([
+                    'LevelSystem.onDeactivate',
+                    'LobbySystem.onActivate',
+                    'LobbySystem.onPostActivate',
+                    'LoadingSystem.onDeactivate'
+                ]);
+
+                expect(stateTree.activeState.name).to.equal('lobby');
+                expect(stateTree.currentTransition).to.be.null;
+                expect(failures.length).to.equal(1);
+                expect(failures[0].target.name).to.equal('level');
+                expect(failures[0].error.message).to.equal('Level could not be loaded.');
+            });
+        });
+
+        it('Should roll back to the previous state if activation times out', () => {
+            const stateTree = createTree(createDeferred(), Object.assign({}, require('./async_test.json'), { transitionTimeout: 5 }));
+            const failures = [];
+
+            stateTree.events.on(StateTree.Events.TRANSITION_FAILED, e => failures.push(e));
+
+            stateTree.changeState('level');
+            StateTree.commitStateChange(stateTree);
+
+            return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+                expect(stateTree.activeState.name).to.equal('lobby');
+                expect(failures.length).to.equal(1);
+                expect(failures[0].error.message).to.equal('StateTree - Lifecycle methods did not complete within 5ms.');
+            });
+        });
+
+        it('Should apply state changes requested while waiting once complete', () => {
+            const deferred = createDeferred();
+            const stateTree = createTree(deferred);
+
+            stateTree.changeState('level');
+            StateTree.commitStateChange(stateTree);
+
+            stateTree.changeState('lobby');
+            StateTree.commitStateChange(stateTree);
+
+            expect(stateTree.activeState.name).to.equal('level');
+
+            deferred.resolve();
+
+            return flushPromises().then(() => {
+                expect(stateTree.activeState.name).to.equal('lobby');
+            });
+        });
+
+        it('Should not roll back a completed state change if a state change requested while waiting fails', () => {
+            const deferred = createDeferred();
+            const stateTree = createTree(deferred);
+            const transitions = [];
+            const rejections = [];
+            const listeners = process.listeners('unhandledRejection');
+
+            stateTree.events.on(StateTree.Events.AFTER_TRANSITION, e => transitions.push(['after', e.source.name, e.target.name]));
+            stateTree.events.on(StateTree.Events.TRANSITION_FAILED, e => transitions.push(['failed', e.source.name, e.target.name]));
+            stateTree.systemMap.get('LobbySystem').onActivate = () => {
+                throw new Error('Activation failed');
+            };
+
+            stateTree.changeState('level');
+            StateTree.commitStateChange(stateTree);
+
+            stateTree.changeState('lobby');
+            StateTree.commitStateChange(stateTree);
+
+            process.removeAllListeners('unhandledRejection');
+            process.on('unhandledRejection', err => rejections.push(err.message));
+
+            deferred.resolve();
+
+            return flushPromises().then(flushPromises).then(() => {
+                process.removeAllListeners('unhandledRejection');
+                listeners.forEach(listener => process.on('unhandledRejection', listener));
+
+                expect(stateTree.activeState.name).to.equal('level');
+                expect(transitions).to.deep.equal([
+                    ['after', 'lobby', 'level'],
+                    ['failed', 'level', 'lobby']
+                ]);
+                expect(rejections).to.deep.equal(['Activation failed']);
+            });
+        });
+
+        it('Should wait for systems to initialize before entering the main state', () => {
+            const deferred = createDeferred();
+            const factory = MockFactory.createFactory(SYSTEMS);
+
+            factory.register('LobbySystem', class extends MockFactory.RecordingSystem {
+                onInitialize() {
+                    super.onInitialize();
+
+                    return deferred.promise;
+                }
+            });
+
+            const stateTree = new StateTree(factory, require('./async_test.json'));
+            const ready = stateTree.onInitialize(new InitArgs());
+
+            expect(stateTree.activeState).to.be.null;
+
+            deferred.resolve();
+
+            return ready.then(() => {
+                expect(stateTree.activeState.name).to.equal('lobby');
+            });
+        });
+
+        it('Should destroy systems that are still initializing without entering the main state', () => {
+            const deferred = createDeferred();
+            const factory = MockFactory.createFactory(SYSTEMS);
+
+            factory.register('LobbySystem', class extends MockFactory.RecordingSystem {
+                onInitialize() {
+                    super.onInitialize();
+
+                    return deferred.promise;
+                }
+            });
+
+            const stateTree = new StateTree(factory, require('./async_test.json'));
+            const ready = stateTree.onInitialize(new InitArgs());
+
+            factory.flush();
+
+            return stateTree.onDestroy().then(() => {
+                deferred.resolve();
+
+                return ready;
+            }).then(() => {
+                expect(stateTree.activeState).to.be.null;
+                expect(factory.flush()).to.deep.equal([
+                    'LoadingSystem.onDestroy',
+                    'LevelSystem.onDestroy',
+                    'LobbySystem.onDestroy'
+                ]);
+            });
+        });
+
+        it('Should cancel a state change waiting for its systems when destroyed', () => {
+            const deferred = createDeferred();
+            const stateTree = createTree(deferred, Object.assign({}, require('./async_test.json'), { loading: null }));
+            const events = [];
+
+            stateTree.events.on(StateTree.Events.AFTER_TRANSITION, () => events.push('afterTransition'));
+            stateTree.events.on(StateTree.Events.TRANSITION_FAILED, () => events.push('transitionFailed'));
+
+            stateTree.changeState('level');
+            StateTree.commitStateChange(stateTree);
+            stateTree.systemFactory.flush();
+
+            const destroyed = stateTree.onDestroy();
+
+            deferred.resolve();
+
+            return destroyed.then(flushPromises).then(() => {
+                const log = stateTree.systemFactory.flush();
+
+                expect(log).to.not.include('LevelSystem.onPostActivate');
+                expect(log.slice(-3)).to.deep.equal([
+                    'LoadingSystem.onDestroy',
+                    'LevelSystem.onDestroy',
+                    'LobbySystem.onDestroy'
+                ]);
+                expect(events).to.deep.equal([]);
+                expect(stateTree.currentTransition).to.be.null;
+            });
+        });
+
+        it('Should wait for systems to be deactivated before they are destroyed', () => {
+            const deferred = createDeferred();
+            const factory = MockFactory.createFactory(SYSTEMS);
+
+            factory.register('LobbySystem', class extends MockFactory.RecordingSystem {
+                onDeactivate() {
+                    super.onDeactivate();
+
+                    return deferred.promise;
+                }
+            });
+
+            const stateTree = new StateTree(factory, require('./async_test.json'));
+
+            stateTree.onInitialize(new InitArgs());
+            factory.flush();
+
+            const destroyed = stateTree.onDestroy();
+
+            expect(factory.flush()).to.deep.equal(['LobbySystem.onDeactivate']);
+
+            deferred.resolve();
+
+            return destroyed.then(() => {
+                expect(factory.flush()).to.deep.equal([
+                    'LoadingSystem.onDestroy',
+                    'LevelSystem.onDestroy',
+                    'LobbySystem.onDestroy'
+                ]);
+            });
+        });
+    });
 });
@@ -0,0 +1,172 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const validateDescription = require('../../lib/validation').validateDescription;
+const StateRef = require('../../lib/parameters/state_ref');
+const SystemRef = require('../../lib/parameters/system_ref');
+const MockFactory = require('../state_tree/mock_factory.js');
+
+/**
+ * Verify descriptions are validated as expected.
+ */
+describe('validation', () => {
+    function createFactory() {
+        const factory = MockFactory.createFactory(['MenuSystem', 'InputSystem']);
+        const PlaySystem = class extends MockFactory.RecordingSystem {};
+
+        PlaySystem.Parameters = [
+            new StateRef.ctor('nextState'),
+            new SystemRef.ctor('input')
+        ];
+
+        factory.register('PlaySystem', PlaySystem);
+
+        return factory;
+    }
+
+    function createDescription() {
+        return {
+            name: 'validation_test',
+            main: 'play',
+            states: [
+                {
+                    name: 'game',
+                    children: ['play', 'menu'],
+                    systems: ['InputSystem']
+                },
+                {
+                    name: 'play',
+                    systems: [
+                        {
+                            name: 'PlaySystem',
+                            params: {
+                                nextState: 'menu',
+                                input: 'InputSystem'
+                            }
+                        }
+                    ]
+                },
+                {
+                    name: 'menu',
+                    systems: ['MenuSystem']
+                }
+            ]
+        };
+    }
+
+    it('Should not report any problems for a valid description', () => {
+        expect(validateDescription(createDescription(), createFactory())).to.deep.equal([]);
+    });
+
+    it('Should report problems within the hierarchy', () => {
+        const desc = createDescription();
+
+        desc.main = 'game';
+        desc.states[1].children = ['menu', 'missing'];
+        desc.states.push({ name: 'loop_a', children: ['loop_b'] });
+        desc.states.push({ name: 'loop_b', children: ['loop_a'] });
+
+        expect(validateDescription(desc)).to.deep.equal([
+            { path: 'states[1].children[0]', message: 'State \'menu\' is already a child of \'game\'.' },
+            { path: 'states[1].children[1]', message: 'Child state \'missing\' could not be found.' },
+            { path: 'states[3].children', message: 'State \'loop_a\' is its own ancestor (loop_a -> loop_b -> loop_a).' },
+            { path: 'main', message: 'Main state \'game\' is not a leaf and does not declare an initial child or history.' }
+        ]);
+    });
+
+    it('Should report problems with systems and their parameters', () => {
+        const desc = createDescription();
+
+        desc.states[2].systems.push('InputSystem', 'AudioSystem');
+        desc.states[1].systems[0].params = {
+            nextState: 'missing',
+            input: 'MenuSystem',
+            speed: 10
+        };
+
+        expect(validateDescription(desc, createFactory())).to.deep.equal([
+            { path: 'states[1].systems[0].params.nextState', message: 'StateRef.extractValue - Referenced game state \'missing\' could not be found.' },
+            { path: 'states[1].systems[0].params.input', message: 'SystemRef.extractValue - Referenced system object \'MenuSystem\' could not be found.' },
+            { path: 'states[1].systems[0].params.speed', message: 'System type \'PlaySystem\' does not declare a parameter named \'speed\'.' },
+            { path: 'states[2].systems[1]', message: 'System \'InputSystem\' is declared more than once, it was first declared at states[0].systems[0].' },
+            { path: 'states[2].systems[2]', message: 'System type \'AudioSystem\' has not been registered.' }
+        ]);
+    });
+
+    it('Should report unknown error policies and error states', () => {
+        const desc = createDescription();
+
+        desc.errorPolicy = 'ignore';
+        desc.errorState = 'missing';
+        desc.states[0].errorPolicy = 'retry';
+        desc.states[1].errorState = 'crashed';
+        desc.states[1].systems[0].errorPolicy = 'skip';
+
+        expect(validateDescription(desc)).to.deep.equal([
+            { path: 'states[0].errorPolicy', message: 'Unknown error policy \'retry\'.' },
+            { path: 'states[1].errorState', message: 'Error state \'crashed\' could not be found.' },
+            { path: 'errorPolicy', message: 'Unknown error policy \'ignore\'.' },
+            { path: 'errorState', message: 'Error state \'missing\' could not be found.' },
+            { path: 'states[1].systems[0].errorPolicy', message: 'Unknown error policy \'skip\'.' }
+        ]);
+    });
+
+    it('Should report unknown lifetimes and references to transient systems', () => {
+        const desc = createDescription();
+
+        desc.states[0].systems = [{ name: 'InputSystem', lifetime: 'active' }];
+        desc.states[2].systems = [{ name: 'MenuSystem', lifetime: 'match' }];
+
+        expect(validateDescription(desc, createFactory())).to.deep.equal([
+            { path: 'states[1].systems[0].params.input', message: 'SystemRef.extractValue - Referenced system object \'InputSystem\' is transient and does not currently exist.' },
+            { path: 'states[2].systems[0].lifetime', message: 'Unknown lifetime \'match\'.' }
+        ]);
+
+        desc.states[1].systems[0].lifetime = 'active';
+        desc.states[2].systems[0].lifetime = 'tree';
+
+        expect(validateDescription(desc, createFactory())).to.deep.equal([]);
+    });
+
+    it('Should report states and systems that are not objects', () => {
+        const desc = createDescription();
+
+        desc.states.unshift(null);
+        desc.states[3].systems.push(null, 5);
+
+        expect(validateDescription(desc)).to.deep.equal([
+            { path: 'states[0]', message: 'State description must be an object.' },
+            { path: 'states[3].systems[1]', message: 'System description must be a name or an object.' },
+            { path: 'states[3].systems[2]', message: 'System description must be a name or an object.' }
+        ]);
+
+        expect(validateDescription({ states: [null] })).to.deep.equal([
+            { path: 'states[0]', message: 'State description must be an object.' }
+        ]);
+    });
+
+    it('Should report properties that are not lists or objects', () => {
+        const desc = createDescription();
+
+        desc.states[0].children = 'play';
+        desc.states[0].allowedTransitions = null;
+        desc.states[1].transitions = ['menu'];
+        desc.states[1].systems[0].after = 'InputSystem';
+        desc.states[1].systems[0].params = 'fast';
+        desc.states[2].systems = { name: 'MenuSystem' };
+
+        expect(validateDescription(desc, createFactory())).to.deep.equal([
+            { path: 'states[0].children', message: 'Property must be a list.' },
+            { path: 'states[1].transitions', message: 'Property must be an object.' },
+            { path: 'states[1].systems[0].after', message: 'Property must be a list.' },
+            { path: 'states[1].systems[0].params', message: 'Property must be an object.' },
+            { path: 'states[2].systems', message: 'Property must be a list.' }
+        ]);
+    });
+
+    it('Should report a description without states', () => {
+        expect(validateDescription(null)).to.deep.equal([{ path: '', message: 'Description must be an object.' }]);
+        expect(validateDescription({ name: 'empty' })).to.deep.equal([{ path: 'states', message: 'Description does not contain any states.' }]);
+    });
+});